@@ -2,11 +2,23 @@
 
 const fs = require("fs");
 const path = require("path");
-const { execSync } = require("child_process");
+const { execFileSync, execSync } = require("child_process");
+const { parseArgs } = require("util");
+const { compareVersions } = require("./lib/versions");
+const { isRemoteRepository, resolveRepository } = require("./lib/repository");
+
+// Hook types found in Ruby files, which take `#` comments instead of JSDoc
+const RUBY_HOOK_TYPES = [
+  "server_event",
+  "server_modifier",
+  "plugin_instance_method",
+];
 
 class HookDocumentationGenerator {
-  constructor() {
+  constructor(options = {}) {
     this.workDir = path.join(__dirname, "discourse");
+    this.repository = resolveRepository(options.repository);
+    this.offline = Boolean(options.offline);
     this.masterDir = path.join(this.workDir, "main");
     this.reportPath = path.join(__dirname, "hooks-report.json");
     this.hooksData = null;
@@ -81,23 +93,47 @@ class HookDocumentationGenerator {
   }
 
   ensureMainBranch() {
+    const canReachRepository =
+      !this.offline || !isRemoteRepository(this.repository);
+
     if (!fs.existsSync(this.masterDir)) {
+      if (!canReachRepository) {
+        console.error(
+          `❌ Offline mode needs an existing checkout in ${this.masterDir} or a local --repo`
+        );
+        return false;
+      }
+
       console.log("📥 Cloning main branch...");
       try {
-        execSync(
-          `git clone --depth 1 --branch main https://github.com/discourse/discourse.git ${this.masterDir}`,
+        execFileSync(
+          "git",
+          [
+            "clone",
+            "--depth",
+            "1",
+            "--branch",
+            "main",
+            "--",
+            this.repository,
+            this.masterDir,
+          ],
           { stdio: "inherit" }
         );
       } catch (error) {
         console.error("❌ Error cloning main branch:", error.message);
         return false;
       }
+    } else if (!canReachRepository) {
+      console.log("📴 Offline mode: using the existing main branch checkout");
     } else {
       console.log("🔄 Updating main branch...");
       try {
-        execSync(`cd ${this.masterDir} && git pull origin main`, {
-          stdio: "inherit",
-        });
+        execFileSync(
+          "git",
+          ["-C", this.masterDir, "pull", this.repository, "main"],
+          { stdio: "inherit" }
+        );
       } catch (error) {
         console.error("❌ Error updating main branch:", error.message);
         return false;
@@ -200,6 +236,11 @@ class HookDocumentationGenerator {
 
       const line = lines[i].trim();
 
+      // Ruby hooks count as documented when a comment sits directly above them
+      if (RUBY_HOOK_TYPES.includes(hookType)) {
+        return i === hookLine - 1 && line.startsWith("#");
+      }
+
       // Check for JSDoc comments
       if (hookType !== "plugin_outlet" && line.includes("/**")) {
         return true;
@@ -287,6 +328,10 @@ Please provide a brief, technical description of what this hook does and when it
       value_transformer: `Value transformer for modifying data`,
       app_event_trigger: `Application event for triggering actions`,
       behavior_transformer: `Behavior transformer for modifying functionality`,
+      plugin_api_method: `Plugin API method available to plugins`,
+      server_event: `Server-side event triggered through DiscourseEvent`,
+      server_modifier: `Server-side modifier applied through DiscoursePluginRegistry`,
+      plugin_instance_method: `Plugin::Instance method available to plugin.rb`,
     };
 
     return typeDescriptions[hook.type] || `${hook.type.replace("_", " ")} hook`;
@@ -374,28 +419,7 @@ Please provide a brief, technical description of what this hook does and when it
   }
 
   compareVersions(a, b) {
-    // Handle "main" as the latest version
-    if (a === "main" && b === "main") {
-      return 0;
-    }
-    if (a === "main") {
-      return 1;
-    }
-    if (b === "main") {
-      return -1;
-    }
-
-    const parseVersion = (v) => v.replace("v", "").split(".").map(Number);
-    const [aMajor, aMinor, aPatch] = parseVersion(a);
-    const [bMajor, bMinor, bPatch] = parseVersion(b);
-
-    if (aMajor !== bMajor) {
-      return aMajor - bMajor;
-    }
-    if (aMinor !== bMinor) {
-      return aMinor - bMinor;
-    }
-    return aPatch - bPatch;
+    return compareVersions(a, b);
   }
 
   generateDocComment(hook, description, location) {
@@ -407,6 +431,10 @@ Please provide a brief, technical description of what this hook does and when it
         return this.generateTransformerDoc(hook, description);
       case "app_event_trigger":
         return this.generateAppEventDoc(hook, description);
+      case "server_event":
+      case "server_modifier":
+      case "plugin_instance_method":
+        return this.generateRubyDoc(hook, description);
       default:
         return this.generateGenericDoc(hook, description);
     }
@@ -498,6 +526,18 @@ Please provide a brief, technical description of what this hook does and when it
     ];
   }
 
+  generateRubyDoc(hook, description) {
+    const args = this.getAppEventArgs(hook);
+    const params = args.map((arg) => `# @param ${arg} - ${arg} data`);
+
+    // Generate @since entries for argument changes
+    const sinceEntries = this.generateSinceEntries(hook).map(
+      (entry) => `# ${entry.replace(/^\s+/, "")}`
+    );
+
+    return [`# ${description}`, "#", ...sinceEntries, ...params];
+  }
+
   generateGenericDoc(hook, description) {
     return [
       "/**",
@@ -530,9 +570,17 @@ Please provide a brief, technical description of what this hook does and when it
 
 // CLI interface
 if (require.main === module) {
-  const specificHook = process.argv[2];
-
-  if (process.argv.includes("--help") || process.argv.includes("-h")) {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      repo: { type: "string" },
+      offline: { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  const specificHook = positionals[0] || null;
+
+  if (values.help) {
     console.log(`
 🔧 Hook Documentation Generator
 
@@ -548,7 +596,10 @@ Examples:
   node generate-docs.js topic-list-item    # Generate docs for specific hook
 
 Options:
-  --help, -h   Show this help message
+  --repo <path-or-url>  Clone main from this repository, e.g. a fork or local mirror
+  --offline             Don't fetch from remote repositories; use the existing
+                        checkout or a local --repo
+  --help, -h            Show this help message
 
 Notes:
   - Only applies documentation to the main branch
@@ -559,7 +610,10 @@ Notes:
     process.exit(0);
   }
 
-  const generator = new HookDocumentationGenerator();
+  const generator = new HookDocumentationGenerator({
+    repository: values.repo,
+    offline: values.offline,
+  });
   generator.run(specificHook).catch(console.error);
 }
 
@@ -2,66 +2,265 @@
 
 const fs = require("fs");
 const path = require("path");
-const { execSync } = require("child_process");
+const crypto = require("crypto");
+const { execFileSync } = require("child_process");
 const {
   Worker,
   isMainThread,
   parentPort,
+  threadId,
   workerData,
 } = require("worker_threads");
 const os = require("os");
+const JsHookExtractor = require("./lib/js-extractor");
+const TemplateHookExtractor = require("./lib/template-extractor");
+const RubyHookExtractor = require("./lib/ruby-extractor");
+const GitObjectReader = require("./lib/git-objects");
+const {
+  getNameSimilarity,
+  matchesNamePattern,
+  mentionsHookName,
+} = require("./lib/hook-names");
+const {
+  compareVersions,
+  isPrerelease,
+  parseVersion,
+} = require("./lib/versions");
+const { matchesGlob } = require("./lib/glob");
+const { getHookKey } = require("./lib/hook-types");
+const { getReportTotals } = require("./lib/report-totals");
+const {
+  getRepositoryWebUrl,
+  isRemoteRepository,
+  resolveRepository,
+} = require("./lib/repository");
+const { getSqlitePath, writeSqliteReport } = require("./lib/sqlite-report");
+const {
+  getSnapshotsDir,
+  writeVersionSnapshots,
+} = require("./lib/version-snapshots");
+
+// Bump whenever extractor output changes so cached versions are re-analyzed
+const EXTRACTOR_VERSION = 5;
+
+// Length of each --sample-main unit, in seconds
+const INTERVAL_UNITS = {
+  h: 60 * 60,
+  d: 24 * 60 * 60,
+  w: 7 * 24 * 60 * 60,
+  m: 30 * 24 * 60 * 60,
+  y: 365 * 24 * 60 * 60,
+};
+
+// Version labels become cache file names
+function toFileName(version) {
+  return version.replace(/[^\w.-]/g, "_");
+}
+
+// Each call site of a hook in a file, with its exact argument source
+function getHookCall(hook) {
+  return {
+    span: hook.span || null,
+    argumentExpressions: hook.argumentExpressions || [],
+  };
+}
+
+// Dependencies, git metadata and tests never define hooks
+const SKIPPED_DIRECTORIES = new Set([
+  "node_modules",
+  ".git",
+  "test",
+  "tests",
+  "spec",
+]);
+
+// topic_spec.rb, topic-test.js, topic.test.js
+const TEST_FILE_PATTERN = /[._-](?:spec|test)\.\w+$/;
+
+// Directories of the Discourse tree that contain hooks
+const SOURCE_DIRECTORIES = ["app", "lib", "plugins", "assets/javascripts"];
+
+// Weights of the evidence that a hook was renamed rather than retired while an
+// unrelated one was added; pairs scoring below RENAME_MIN_CONFIDENCE are ignored
+const RENAME_WEIGHTS = { name: 0.4, file: 0.25, lines: 0.15, arguments: 0.2 };
+const RENAME_MIN_CONFIDENCE = 0.6;
+
+// Hook types whose argument signatures are tracked across versions
+const ARGUMENT_TRACKED_TYPES = [
+  "value_transformer",
+  "app_event_trigger",
+  "plugin_api_method",
+  "server_event",
+  "server_modifier",
+  "plugin_instance_method",
+];
+
+// Hook types whose names must be registered before they can be applied
+const REGISTERED_TYPES = ["value_transformer", "behavior_transformer"];
+
+// Hook types whose arguments come from a declaration rather than call sites,
+// so they are recorded as-is instead of being inferred from argument names
+const DECLARED_SIGNATURE_TYPES = [
+  "plugin_api_method",
+  "plugin_instance_method",
+];
+
+// Calls of a hook in the same file share one location. Tracked types keep
+// every argument any of those calls passes; declared signatures keep the
+// first declaration's parameters in order.
+function mergeLocationArguments(location, hook) {
+  if (
+    !ARGUMENT_TRACKED_TYPES.includes(hook.type) ||
+    DECLARED_SIGNATURE_TYPES.includes(hook.type)
+  ) {
+    return;
+  }
+
+  const existingArgs = new Set(location.arguments);
+  (hook.arguments || []).forEach((arg) => {
+    if (!existingArgs.has(arg)) {
+      location.arguments.push(arg);
+      existingArgs.add(arg);
+    }
+  });
+  // Sort for consistency
+  location.arguments.sort();
+}
 
 class DiscourseHooksDB {
-  constructor() {
+  constructor(options = {}) {
     this.hooksDb = new Map();
-    this.workDir = path.join(__dirname, "discourse");
+    this.workDir = options.workDir || path.join(__dirname, "discourse");
+    this.cacheDir = path.join(this.workDir, ".cache");
+    this.outputPath =
+      options.outputPath || path.join(__dirname, "hooks-report.json");
+    // The same report as normalized SQLite tables, next to the JSON by default
+    this.sqlitePath = options.sqlitePath || getSqlitePath(this.outputPath);
+    // versions/<version>.json with each version's hooks, and an index.json
+    this.snapshotsDir =
+      options.snapshotsDir || getSnapshotsDir(this.outputPath);
+    // Worker threads analyzing versions at once; defaults to one per CPU, up to 10
+    this.maxWorkers = options.workers || null;
+    // Hook types kept in the report; null keeps every type
+    this.types = options.types || null;
+    // "quiet" only reports errors, "verbose" adds per-version details
+    this.logLevel = options.logLevel || "normal";
+    // Called with { stage, message, ... } as the run moves along, e.g. to
+    // stream progress to the web UI
+    this.onProgress = options.onProgress || null;
+    // Where Discourse is cloned and fetched from: GitHub, a fork or a local mirror
+    this.repository = resolveRepository(options.repository);
+    // Offline runs never touch the network, only the clone and local mirrors
+    this.offline = Boolean(options.offline);
+    // When disabled, every version is re-analyzed and its cache entry rewritten
+    this.useCache = options.useCache !== false;
+    this.versionOptions = {
+      patterns: options.versions || [],
+      prereleases: Boolean(options.prereleases),
+      branches: [...new Set(["main", ...(options.branches || [])])],
+      sampleMain: options.sampleMain || null,
+      since: options.since || null,
+      until: options.until || null,
+    };
+    this.jsExtractor = new JsHookExtractor();
+    this.templateExtractor = new TemplateHookExtractor();
+    this.rubyExtractor = new RubyHookExtractor();
   }
 
   async run() {
     this.totalStartTime = Date.now();
-    console.log("Discourse Hooks DB - Starting analysis...");
+    this.log("Discourse Hooks DB - Starting analysis...");
+    this.reportProgress("setup", "Updating the Discourse repository");
 
     this.setupStartTime = Date.now();
     await this.setupWorkDirectory();
     this.setupEndTime = Date.now();
-    console.log(
+    this.log(
       `Git setup completed in ${((this.setupEndTime - this.setupStartTime) / 1000).toFixed(2)}s`
     );
 
     const versions = await this.getDiscourseVersions();
 
     if (versions.length === 0) {
-      console.log("No versions found to analyze");
+      this.log("No versions found to analyze");
       return;
     }
 
-    // Use worker threads for parallel processing
-    const maxWorkers = Math.min(os.cpus().length, versions.length, 10); // Limit to 10 concurrent downloads
-    console.log(
-      `Using ${maxWorkers} worker threads for ${versions.length} versions`
+    // Tagged releases never change, so only new tags and moved branches need analyzing
+    const { cachedResults, uncachedVersions } =
+      this.loadCachedResults(versions);
+    this.log(
+      `Reusing cached results for ${cachedResults.length} versions, analyzing ${uncachedVersions.length}`
+    );
+    this.reportProgress(
+      "versions",
+      `Analyzing ${uncachedVersions.length} of ${versions.length} versions`,
+      { completed: 0, total: uncachedVersions.length }
     );
 
+    this.pruneBlobCache();
+
     this.analysisStartTime = Date.now();
-    const results = await this.processVersionsInParallel(versions, maxWorkers);
+    let analyzedResults = [];
+    if (uncachedVersions.length > 0) {
+      // Use worker threads for parallel processing
+      // --workers, or one per CPU up to 10; never more than there are versions
+      const maxWorkers = Math.min(
+        this.maxWorkers || Math.min(os.cpus().length, 10),
+        uncachedVersions.length
+      );
+      this.log(
+        `Using ${maxWorkers} worker threads for ${uncachedVersions.length} versions`
+      );
+
+      const { results: versionResults, failed } =
+        await this.processVersionsInParallel(uncachedVersions, maxWorkers);
+      // Versions that did finish are kept for the next run
+      versionResults.forEach((result) => this.saveCachedResult(result));
+      if (failed.length > 0) {
+        throw new Error(
+          `Failed to analyze ${failed.length} of ${uncachedVersions.length} versions: ${failed.join(", ")}`
+        );
+      }
+      analyzedResults = versionResults;
+    }
+    // Oldest first, so firstVersion and firstSeenVersion don't depend on
+    // which worker finished first or which versions came from the cache
+    const results = [...cachedResults, ...analyzedResults].sort((a, b) =>
+      this.compareVersions(a.version, b.version)
+    );
     this.analysisEndTime = Date.now();
-    console.log(
+    this.log(
       `Version analysis completed in ${((this.analysisEndTime - this.analysisStartTime) / 1000).toFixed(2)}s`
     );
 
+    // Plugin API version (PLUGIN_API_VERSION) exposed by each Discourse version
+    this.pluginApiVersions = new Map();
+    results.forEach(({ version, pluginApiVersion }) => {
+      if (pluginApiVersion) {
+        this.pluginApiVersions.set(version, pluginApiVersion);
+      }
+    });
+
     // Merge all results
-    results.forEach((hooks) => {
+    results.forEach(({ hooks }) => {
       hooks.forEach((hook) => {
-        if (!this.hooksDb.has(hook.name)) {
-          this.hooksDb.set(hook.name, {
+        const key = getHookKey(hook);
+        if (!this.hooksDb.has(key)) {
+          this.hooksDb.set(key, {
             name: hook.name,
             type: hook.type,
+            dynamic: Boolean(hook.dynamic),
+            namePattern: hook.namePattern,
             firstVersion: hook.version,
             locations: [],
+            consumers: [],
+            deprecations: new Map(),
             argumentHistory: new Map(),
           });
         }
 
-        const hookData = this.hooksDb.get(hook.name);
+        const hookData = this.hooksDb.get(key);
 
         // Find existing location entry for this version/file combination
         let locationEntry = hookData.locations.find(
@@ -73,7 +272,10 @@ class DiscourseHooksDB {
             version: hook.version,
             file: hook.file,
             lines: [...(hook.lines || [])],
-            arguments: hook.arguments || [],
+            arguments: [...(hook.arguments || [])],
+            outlet: hook.outlet,
+            nameExpression: hook.nameExpression,
+            calls: [...(hook.calls || [])],
           };
           hookData.locations.push(locationEntry);
         } else {
@@ -85,24 +287,9 @@ class DiscourseHooksDB {
             }
           });
           locationEntry.lines.sort((a, b) => a - b); // Keep lines sorted
+          locationEntry.calls.push(...(hook.calls || []));
 
-          // For value transformers and app events, merge arguments within the same version
-          // (behavior transformers don't track arguments)
-          if (
-            hook.type === "value_transformer" ||
-            hook.type === "app_event_trigger"
-          ) {
-            const existingArgs = new Set(locationEntry.arguments);
-            const newArgs = hook.arguments || [];
-            newArgs.forEach((arg) => {
-              if (!existingArgs.has(arg)) {
-                locationEntry.arguments.push(arg);
-                existingArgs.add(arg);
-              }
-            });
-            // Sort for consistency
-            locationEntry.arguments.sort();
-          }
+          mergeLocationArguments(locationEntry, hook);
         }
 
         // For now, just track raw arguments - we'll consolidate later
@@ -118,72 +305,340 @@ class DiscourseHooksDB {
       });
     });
 
+    this.mergeConsumers(results);
+    this.mergeDeprecations(results);
+    this.mergeTransformerRegistry(results);
+
     // Post-process argument history for value transformers and app events
     this.consolidateArgumentHistory();
 
+    this.detectRenames();
+
+    this.filterHookTypes();
+
+    this.reportProgress("report", "Writing the report");
     await this.generateReport();
   }
 
+  reportProgress(stage, message, details = {}) {
+    if (this.onProgress) {
+      this.onProgress({ stage, message, ...details });
+    }
+  }
+
+  log(...args) {
+    if (this.logLevel !== "quiet") {
+      console.log(...args);
+    }
+  }
+
+  logVerbose(...args) {
+    if (this.logLevel === "verbose") {
+      console.log(...args);
+    }
+  }
+
+  // Types are filtered after merging so consumers, deprecations and the
+  // transformer registry are still matched against every hook
+  filterHookTypes() {
+    if (!this.types) {
+      return;
+    }
+
+    const isSelected = (entry) => this.types.includes(entry.type);
+    [
+      this.hooksDb,
+      this.unmatchedConsumers || new Map(),
+      this.unappliedTransformerNames || new Map(),
+    ].forEach((entries) => {
+      entries.forEach((entry, key) => {
+        if (!isSelected(entry)) {
+          entries.delete(key);
+        }
+      });
+    });
+  }
+
+  mergeConsumers(results) {
+    // Consumers whose hook isn't produced in the same version, e.g. app events
+    // that are listened to but never triggered
+    this.unmatchedConsumers = new Map();
+
+    results.forEach(({ consumers = [] }) => {
+      consumers.forEach((consumer) => {
+        const entry = {
+          version: consumer.version,
+          file: consumer.file,
+          lines: consumer.lines,
+          via: consumer.via,
+        };
+
+        const key = getHookKey(consumer);
+        const hookData = this.hooksDb.get(key);
+        if (hookData) {
+          hookData.consumers.push(entry);
+        }
+
+        if (
+          !hookData ||
+          !hookData.locations.some((loc) => loc.version === consumer.version)
+        ) {
+          if (!this.unmatchedConsumers.has(key)) {
+            this.unmatchedConsumers.set(key, {
+              name: consumer.name,
+              type: consumer.type,
+              consumers: [],
+            });
+          }
+          this.unmatchedConsumers.get(key).consumers.push(entry);
+        }
+      });
+    });
+  }
+
+  mergeDeprecations(results) {
+    results.forEach(({ version, hooks, deprecations = [] }) => {
+      deprecations.forEach((deprecation) => {
+        this.findDeprecatedHooks(deprecation, hooks).forEach((hookData) => {
+          this.addDeprecation(hookData, { ...deprecation, version });
+        });
+      });
+    });
+  }
+
+  findDeprecatedHooks(deprecation, versionHooks) {
+    // Deprecations the extractors already tied to a hook
+    if (deprecation.name) {
+      return Array.from(this.hooksDb.values()).filter(
+        (hookData) =>
+          hookData.name === deprecation.name &&
+          (!deprecation.type || hookData.type === deprecation.type)
+      );
+    }
+
+    // Otherwise, any hook of this version the message names
+    const keys = new Set(
+      versionHooks
+        .filter(
+          (hook) =>
+            (!deprecation.type || hook.type === deprecation.type) &&
+            mentionsHookName(deprecation.message, hook.name)
+        )
+        .map((hook) => getHookKey(hook))
+    );
+
+    return Array.from(keys, (key) => this.hooksDb.get(key));
+  }
+
+  mergeTransformerRegistry(results) {
+    // Names registered in a version without any call site applying them
+    this.unappliedTransformerNames = new Map();
+
+    results.forEach(({ version, hooks, transformerRegistrations = [] }) => {
+      REGISTERED_TYPES.forEach((type) => {
+        const registrations = transformerRegistrations.filter(
+          (registration) => registration.type === type
+        );
+
+        // Versions from before the registry existed accept any name
+        if (registrations.length === 0) {
+          return;
+        }
+
+        const registeredNames = [...new Set(registrations.map((r) => r.name))];
+        // A name built entirely at runtime could be anything, so it can't be checked
+        const appliedHooks = hooks.filter(
+          (hook) =>
+            hook.type === type &&
+            (!hook.dynamic || /[^*]/.test(hook.namePattern))
+        );
+        const isApplied = (name) =>
+          appliedHooks.some((hook) =>
+            hook.dynamic
+              ? matchesNamePattern(hook.namePattern, name)
+              : hook.name === name
+          );
+
+        new Set(appliedHooks.map((hook) => hook.name)).forEach((name) => {
+          const hookData = this.hooksDb.get(getHookKey({ type, name }));
+          if (!hookData) {
+            return;
+          }
+
+          const isRegistered = hookData.dynamic
+            ? registeredNames.some((registered) =>
+                matchesNamePattern(hookData.namePattern, registered)
+              )
+            : registeredNames.includes(name);
+
+          hookData.registeredIn = hookData.registeredIn || [];
+          hookData.unregisteredIn = hookData.unregisteredIn || [];
+          const versions = isRegistered
+            ? hookData.registeredIn
+            : hookData.unregisteredIn;
+          if (!versions.includes(version)) {
+            versions.push(version);
+          }
+        });
+
+        registrations
+          .filter((registration) => !isApplied(registration.name))
+          .forEach((registration) => {
+            const key = `${type}|${registration.name}`;
+            if (!this.unappliedTransformerNames.has(key)) {
+              this.unappliedTransformerNames.set(key, {
+                name: registration.name,
+                type,
+                via: registration.via,
+                file: registration.file,
+                versions: [],
+              });
+            }
+
+            const entry = this.unappliedTransformerNames.get(key);
+            if (!entry.versions.includes(version)) {
+              entry.versions.push(version);
+            }
+          });
+      });
+    });
+  }
+
+  addDeprecation(hookData, deprecation) {
+    const key = [
+      deprecation.via,
+      deprecation.id || deprecation.message,
+      deprecation.argument || "",
+    ].join("|");
+
+    if (!hookData.deprecations.has(key)) {
+      hookData.deprecations.set(key, { versions: [] });
+    }
+    const entry = hookData.deprecations.get(key);
+
+    // Details (e.g. a postponed dropFrom) are taken from the newest version
+    const newest = entry.versions.every(
+      (version) => this.compareVersions(deprecation.version, version) > 0
+    );
+    if (newest) {
+      Object.assign(entry, {
+        id: deprecation.id,
+        since: deprecation.since,
+        dropFrom: deprecation.dropFrom,
+        message: deprecation.message,
+        argument: deprecation.argument || null,
+        via: deprecation.via,
+        file: deprecation.file,
+        lines: deprecation.lines,
+      });
+    }
+
+    if (!entry.versions.includes(deprecation.version)) {
+      entry.versions.push(deprecation.version);
+    }
+  }
+
+  // Resolves with the results of the versions that were analyzed and the
+  // names of those that failed, once every worker has finished
   async processVersionsInParallel(versions, maxWorkers) {
     return new Promise((resolve) => {
       const results = [];
+      const failed = [];
       let completed = 0;
       let versionIndex = 0;
       const workers = [];
 
+      // Each worker finishes once: with a result, an error message, or by
+      // crashing or exiting without sending either
+      const finishWorker = (worker) => {
+        completed++;
+        worker.terminate();
+        workers.splice(workers.indexOf(worker), 1);
+
+        if (completed === versions.length) {
+          resolve({ results, failed });
+        } else {
+          createWorker(); // Start next version
+        }
+      };
+
+      const failVersion = (worker, version, message) => {
+        console.error(`Failed to analyze ${version}: ${message}`);
+        failed.push(version);
+        this.reportProgress("versions", `Failed to analyze ${version}`, {
+          completed: completed + 1,
+          total: versions.length,
+        });
+        finishWorker(worker);
+      };
+
       const createWorker = () => {
         if (versionIndex >= versions.length) {
           return;
         }
 
         const version = versions[versionIndex++];
+        const { ref } = this.getVersionRef(version);
         const worker = new Worker(__filename, {
-          workerData: { version, workDir: this.workDir },
+          workerData: {
+            version,
+            ref,
+            workDir: this.workDir,
+            useCache: this.useCache,
+            logLevel: this.logLevel,
+          },
         });
 
         workers.push(worker);
+        let finished = false;
 
         worker.on("message", (data) => {
-          // Handle new message format with timing data
-          if (data.hooks && data.timing) {
-            results.push(data.hooks);
-            completed++;
-            const {
-              version: completedVersion,
-              totalTime,
-              gitTime,
-              analysisTime,
-            } = data.timing;
-            console.log(
-              `Completed ${completedVersion} (${completed}/${versions.length})`
-            );
-            console.log(
-              `  Time: ${totalTime.toFixed(2)}s (git: ${gitTime.toFixed(2)}s, analysis: ${analysisTime.toFixed(2)}s)`
-            );
-          } else {
-            console.log(data);
+          if (finished) {
+            return;
           }
+          finished = true;
 
-          worker.terminate();
-          workers.splice(workers.indexOf(worker), 1);
-
-          if (completed === versions.length) {
-            resolve(results);
-          } else {
-            createWorker(); // Start next version
+          if (data.error) {
+            failVersion(worker, version, data.error);
+            return;
           }
+
+          results.push(data);
+          const {
+            version: completedVersion,
+            totalTime,
+            gitTime,
+            analysisTime,
+            files,
+            reusedFiles,
+          } = data.timing;
+          this.log(
+            `Completed ${completedVersion} (${completed + 1}/${versions.length})`
+          );
+          this.reportProgress("versions", `Completed ${completedVersion}`, {
+            completed: completed + 1,
+            total: versions.length,
+          });
+          this.logVerbose(
+            `  Time: ${totalTime.toFixed(2)}s (git: ${gitTime.toFixed(2)}s, analysis: ${analysisTime.toFixed(2)}s)`
+          );
+          this.logVerbose(
+            `  Files: ${files} (${reusedFiles} reused from the blob cache)`
+          );
+          finishWorker(worker);
         });
 
         worker.on("error", (error) => {
-          console.error(`Worker error for ${version}:`, error);
-          completed++;
-          worker.terminate();
-          workers.splice(workers.indexOf(worker), 1);
-
-          if (completed === versions.length) {
-            resolve(results);
-          } else {
-            createWorker();
+          if (!finished) {
+            finished = true;
+            failVersion(worker, version, error.message);
+          }
+        });
+
+        worker.on("exit", (code) => {
+          if (!finished) {
+            finished = true;
+            failVersion(worker, version, `worker exited with code ${code}`);
           }
         });
       };
@@ -195,84 +650,288 @@ class DiscourseHooksDB {
     });
   }
 
+  loadCachedResults(versions) {
+    const cachedResults = [];
+    const uncachedVersions = [];
+    this.versionCommits = new Map();
+
+    versions.forEach((version) => {
+      const commit = this.getVersionCommit(version);
+      this.versionCommits.set(version, commit);
+
+      const entry =
+        this.useCache && commit ? this.readCacheEntry(version) : null;
+      if (
+        entry &&
+        entry.commit === commit &&
+        entry.extractorVersion === EXTRACTOR_VERSION
+      ) {
+        cachedResults.push(entry.result);
+      } else {
+        uncachedVersions.push(version);
+      }
+    });
+
+    return { cachedResults, uncachedVersions };
+  }
+
+  getVersionCommit(version) {
+    const mainRepoDir = path.join(this.workDir, ".discourse-main-repo");
+    const { ref } = this.getVersionRef(version);
+    try {
+      return execFileSync(
+        "git",
+        [`--git-dir=${mainRepoDir}`, "rev-parse", `${ref}^{commit}`],
+        { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }
+      ).trim();
+    } catch {
+      // Versions that can't be resolved are always analyzed and never cached
+      return null;
+    }
+  }
+
+  getCachePath(version) {
+    return path.join(this.cacheDir, `${toFileName(version)}.json`);
+  }
+
+  readCacheEntry(version) {
+    const cachePath = this.getCachePath(version);
+    if (!fs.existsSync(cachePath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(cachePath, "utf8"));
+    } catch (error) {
+      console.error(`Ignoring unreadable cache for ${version}:`, error.message);
+      return null;
+    }
+  }
+
+  saveCachedResult(result) {
+    const commit = this.versionCommits.get(result.version);
+    if (!commit) {
+      return;
+    }
+
+    // Timing describes this run only
+    const cachedResult = { ...result };
+    delete cachedResult.timing;
+
+    fs.mkdirSync(this.cacheDir, { recursive: true });
+    fs.writeFileSync(
+      this.getCachePath(result.version),
+      JSON.stringify({
+        version: result.version,
+        commit,
+        extractorVersion: EXTRACTOR_VERSION,
+        result: cachedResult,
+      })
+    );
+  }
+
   async setupWorkDirectory() {
     if (!fs.existsSync(this.workDir)) {
       fs.mkdirSync(this.workDir, { recursive: true });
     }
 
+    const canReachRepository =
+      !this.offline || !isRemoteRepository(this.repository);
+
     // Set up main repository for efficient version access
     const mainRepoDir = path.join(this.workDir, ".discourse-main-repo");
     if (!fs.existsSync(mainRepoDir)) {
-      console.log("Cloning main Discourse repository...");
+      if (!canReachRepository) {
+        throw new Error(
+          `Offline mode needs an existing clone in ${mainRepoDir} or a local --repo to clone from`
+        );
+      }
+
+      this.log(`Cloning Discourse repository from ${this.repository}...`);
       const cloneStartTime = Date.now();
-      execSync(
-        `git clone --bare https://github.com/discourse/discourse.git ${mainRepoDir}`,
-        { stdio: "inherit" }
+      execFileSync(
+        "git",
+        ["clone", "--bare", "--", this.repository, mainRepoDir],
+        { stdio: this.logLevel === "quiet" ? "pipe" : "inherit" }
       );
       const cloneEndTime = Date.now();
-      console.log(
+      this.log(
         `Repository cloned in ${((cloneEndTime - cloneStartTime) / 1000).toFixed(2)}s`
       );
+    } else if (!canReachRepository) {
+      this.log("Offline mode: using the existing repository as-is");
     } else {
-      console.log("Updating main Discourse repository...");
+      this.log(`Updating Discourse repository from ${this.repository}...`);
       const fetchStartTime = Date.now();
-      execSync(`cd ${mainRepoDir} && git fetch --all --tags`, {
-        stdio: "pipe",
-      });
+      // Follow --repo to a different remote, e.g. when switching to a fork
+      this.git(["remote", "set-url", "origin", this.repository]);
+      // A bare clone has no fetch refspec, so branches are mapped explicitly;
+      // otherwise main would never move and its cache entry would never expire
+      this.git(["fetch", "origin", "+refs/heads/*:refs/heads/*", "--tags"]);
       const fetchEndTime = Date.now();
-      console.log(
+      this.log(
         `Repository updated in ${((fetchEndTime - fetchStartTime) / 1000).toFixed(2)}s`
       );
     }
   }
 
   async getDiscourseVersions() {
-    // Get all Discourse tags from GitHub
+    // Labels of the versions to analyze, mapped to the git ref each one reads
+    this.versionRefs = new Map();
+    const { patterns, prereleases, branches, sampleMain } = this.versionOptions;
+
     try {
-      const tags = execSync(
-        "git ls-remote --tags https://github.com/discourse/discourse.git",
-        { encoding: "utf8" }
-      );
-      const versions = tags
+      const since = this.parseDateOption("since");
+      const until = this.parseDateOption("until");
+      const inRange = (timestamp) =>
+        (since === null || timestamp >= since) &&
+        (until === null || timestamp <= until);
+
+      // Release tags, optionally with pre-releases (v3.3.0.beta1 etc.)
+      this.git([
+        "for-each-ref",
+        "refs/tags",
+        "--format=%(refname:strip=2) %(creatordate:unix)",
+      ])
         .split("\n")
-        .filter((line) => line.includes("refs/tags/v") && !line.includes("^{}"))
-        .map((line) => line.split("refs/tags/")[1])
-        .filter((tag) => tag && tag.match(/^v\d+\.\d+\.\d+$/))
-        .sort((a, b) => this.compareVersions(a, b));
+        .filter(Boolean)
+        .forEach((line) => {
+          const [tag, timestamp] = line.split(" ");
+          const version = parseVersion(tag);
+          if (
+            version &&
+            version.distance === 0 &&
+            (prereleases || !isPrerelease(tag)) &&
+            (patterns.length === 0 ||
+              patterns.some((pattern) => matchesGlob(tag, pattern))) &&
+            inRange(Number(timestamp))
+          ) {
+            this.versionRefs.set(tag, { ref: tag, isBranch: false });
+          }
+        });
 
-      // Add "main" as the latest version
-      versions.push("main");
+      // Branches such as tests-passed, stable and esr, at their current commit
+      branches.forEach((branch) => {
+        try {
+          this.git([
+            "rev-parse",
+            "--verify",
+            "--quiet",
+            `refs/heads/${branch}`,
+          ]);
+          this.versionRefs.set(branch, { ref: branch, isBranch: true });
+        } catch {
+          console.error(`Skipping unknown branch: ${branch}`);
+        }
+      });
 
-      return versions;
+      // main sampled at an interval, e.g. one commit per week
+      if (sampleMain) {
+        this.sampleMainCommits(sampleMain, inRange).forEach(
+          ({ label, commit }) => {
+            if (!this.versionRefs.has(label)) {
+              this.versionRefs.set(label, { ref: commit, isBranch: false });
+            }
+          }
+        );
+      }
     } catch (error) {
-      console.error("Error fetching versions:", error.message);
+      console.error("Error selecting versions:", error.message);
       return [];
     }
+
+    return Array.from(this.versionRefs.keys()).sort((a, b) =>
+      this.compareVersions(a, b)
+    );
   }
 
-  compareVersions(a, b) {
-    // Handle "main" as the latest version
-    if (a === "main" && b === "main") {
-      return 0;
+  getVersionRef(version) {
+    return (
+      (this.versionRefs && this.versionRefs.get(version)) || {
+        ref: version,
+        isBranch: version === "main",
+      }
+    );
+  }
+
+  sampleMainCommits(interval, inRange) {
+    const match = interval.match(/^(\d+)\s*([hdwmy])$/);
+    if (!match) {
+      throw new Error(
+        `Invalid --sample-main interval "${interval}", expected e.g. 1w, 14d or 1m`
+      );
     }
-    if (a === "main") {
-      return 1; // main is greater than any version
+    const step = Number(match[1]) * INTERVAL_UNITS[match[2]];
+
+    // Oldest first, following main itself rather than merged branches
+    const commits = this.git([
+      "log",
+      "--first-parent",
+      "--reverse",
+      "--format=%H %ct",
+      "main",
+    ])
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        const [commit, timestamp] = line.split(" ");
+        return { commit, timestamp: Number(timestamp) };
+      })
+      .filter(({ timestamp }) => inRange(timestamp));
+
+    // The first commit of each interval-sized bucket of time
+    const buckets = new Map();
+    commits.forEach(({ commit, timestamp }) => {
+      const bucket = Math.floor(timestamp / step);
+      if (!buckets.has(bucket)) {
+        buckets.set(bucket, commit);
+      }
+    });
+    const samples = Array.from(buckets.values());
+
+    // Label each sample relative to the closest tag, e.g. v3.3.0.beta1-120-gdeadbee
+    return samples.map((commit) => {
+      let label;
+      try {
+        label = this.git([
+          "describe",
+          "--tags",
+          "--match",
+          "v*",
+          commit,
+        ]).trim();
+      } catch {
+        label = commit.slice(0, 12);
+      }
+      return { label, commit };
+    });
+  }
+
+  parseDateOption(name) {
+    const value = this.versionOptions[name];
+    if (!value) {
+      return null;
     }
-    if (b === "main") {
-      return -1; // any version is less than main
+
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+      throw new Error(`Invalid --${name} date "${value}", expected YYYY-MM-DD`);
     }
+    return Math.floor(time / 1000);
+  }
 
-    const parseVersion = (v) => v.replace("v", "").split(".").map(Number);
-    const [aMajor, aMinor, aPatch] = parseVersion(a);
-    const [bMajor, bMinor, bPatch] = parseVersion(b);
+  // Runs git against the bare clone; args are passed as-is, without a shell
+  git(args) {
+    const mainRepoDir = path.join(this.workDir, ".discourse-main-repo");
+    return execFileSync("git", [`--git-dir=${mainRepoDir}`, ...args], {
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "pipe"],
+      maxBuffer: 64 * 1024 * 1024,
+    });
+  }
 
-    if (aMajor !== bMajor) {
-      return aMajor - bMajor;
-    }
-    if (aMinor !== bMinor) {
-      return aMinor - bMinor;
-    }
-    return aPatch - bPatch;
+  compareVersions(a, b) {
+    return compareVersions(a, b);
   }
 
   createArgumentKey(args) {
@@ -293,12 +952,9 @@ class DiscourseHooksDB {
   }
 
   consolidateArgumentHistory() {
-    // Post-process argument history for value transformers and app events
+    // Post-process argument history for hook types that track arguments
     this.hooksDb.forEach((hookData) => {
-      if (
-        hookData.type !== "value_transformer" &&
-        hookData.type !== "app_event_trigger"
-      ) {
+      if (!ARGUMENT_TRACKED_TYPES.includes(hookData.type)) {
         return; // Skip other hook types (behavior_transformer doesn't track arguments)
       }
 
@@ -338,6 +994,122 @@ class DiscourseHooksDB {
     });
   }
 
+  // Links a hook that disappears to a similar hook of the same type that
+  // appears in the very next version, e.g. topic-list-item-class becoming
+  // topic-list-item-classes, as renamedTo/renamedFrom with a confidence score
+  detectRenames() {
+    const byVersion = (a, b) => this.compareVersions(a, b);
+    const versions = new Set();
+    this.hooksDb.forEach((hookData) => {
+      hookData.locations.forEach((loc) => versions.add(loc.version));
+    });
+    const sortedVersions = Array.from(versions).sort(byVersion);
+
+    const introducedIn = new Map();
+    this.hooksDb.forEach((hookData) => {
+      if (!introducedIn.has(hookData.firstVersion)) {
+        introducedIn.set(hookData.firstVersion, []);
+      }
+      introducedIn.get(hookData.firstVersion).push(hookData);
+    });
+
+    const candidates = [];
+    this.hooksDb.forEach((oldHook) => {
+      const lastVersion = oldHook.locations
+        .map((loc) => loc.version)
+        .sort(byVersion)
+        .pop();
+      const nextVersion =
+        sortedVersions[sortedVersions.indexOf(lastVersion) + 1];
+      if (!nextVersion) {
+        return; // Still present in the latest version
+      }
+
+      (introducedIn.get(nextVersion) || [])
+        .filter((newHook) => newHook.type === oldHook.type)
+        .forEach((newHook) => {
+          const confidence = this.scoreRename(
+            oldHook,
+            lastVersion,
+            newHook,
+            nextVersion
+          );
+          if (confidence >= RENAME_MIN_CONFIDENCE) {
+            candidates.push({ oldHook, newHook, lastVersion, confidence });
+          }
+        });
+    });
+
+    // Each hook is paired at most once, best matches first
+    candidates
+      .sort((a, b) => b.confidence - a.confidence)
+      .forEach(({ oldHook, newHook, lastVersion, confidence }) => {
+        if (oldHook.renamedTo || newHook.renamedFrom) {
+          return;
+        }
+
+        const rounded = Math.round(confidence * 100) / 100;
+        oldHook.renamedTo = {
+          name: newHook.name,
+          version: newHook.firstVersion,
+          confidence: rounded,
+        };
+        newHook.renamedFrom = {
+          name: oldHook.name,
+          version: lastVersion,
+          confidence: rounded,
+        };
+      });
+  }
+
+  scoreRename(oldHook, oldVersion, newHook, newVersion) {
+    const oldLocations = oldHook.locations.filter(
+      (loc) => loc.version === oldVersion
+    );
+    const newLocations = newHook.locations.filter(
+      (loc) => loc.version === newVersion
+    );
+
+    // Renames happen in place; a hook in an unrelated directory isn't one
+    let fileScore = 0;
+    let lineScore = 0;
+    oldLocations.forEach((oldLoc) => {
+      newLocations.forEach((newLoc) => {
+        if (oldLoc.file === newLoc.file) {
+          fileScore = 1;
+          const distance = Math.min(
+            ...oldLoc.lines.flatMap((oldLine) =>
+              newLoc.lines.map((newLine) => Math.abs(oldLine - newLine))
+            )
+          );
+          lineScore = Math.max(lineScore, 1 - Math.min(distance, 50) / 50);
+        } else if (path.dirname(oldLoc.file) === path.dirname(newLoc.file)) {
+          fileScore = Math.max(fileScore, 0.5);
+        }
+      });
+    });
+    if (fileScore === 0) {
+      return 0;
+    }
+
+    const oldArgs = new Set(
+      this.consolidateArgumentsForVersion(oldHook, oldVersion)
+    );
+    const newArgs = new Set(
+      this.consolidateArgumentsForVersion(newHook, newVersion)
+    );
+    const sharedArgs = [...oldArgs].filter((arg) => newArgs.has(arg)).length;
+    const allArgs = new Set([...oldArgs, ...newArgs]).size;
+    const argumentScore = allArgs === 0 ? 1 : sharedArgs / allArgs;
+
+    return (
+      RENAME_WEIGHTS.name * getNameSimilarity(oldHook.name, newHook.name) +
+      RENAME_WEIGHTS.file * fileScore +
+      RENAME_WEIGHTS.lines * lineScore +
+      RENAME_WEIGHTS.arguments * argumentScore
+    );
+  }
+
   consolidateArgumentsForVersion(hookData, version) {
     // Collect all argument arrays for this hook in this version
     const allArgumentArrays = [];
@@ -354,6 +1126,10 @@ class DiscourseHooksDB {
       return [];
     }
 
+    if (DECLARED_SIGNATURE_TYPES.includes(hookData.type)) {
+      return allArgumentArrays[0];
+    }
+
     // Find the maximum number of arguments across all instances
     const maxArgLength = Math.max(
       ...allArgumentArrays.map((args) => args.length)
@@ -382,7 +1158,14 @@ class DiscourseHooksDB {
       }
     }
 
-    // Priority 2: Method or member calls - extract the method/member name
+    // Priority 2: Object shapes like "{post,user}"
+    for (const arg of argumentGroup) {
+      if (/^{.*}$/.test(arg)) {
+        return arg;
+      }
+    }
+
+    // Priority 3: Method or member calls - extract the method/member name
     for (const arg of argumentGroup) {
       const extracted = this.extractMethodOrMemberName(arg);
       if (extracted) {
@@ -390,7 +1173,7 @@ class DiscourseHooksDB {
       }
     }
 
-    // Priority 3: Use "value" as fallback
+    // Priority 4: Use "value" as fallback
     return "value";
   }
 
@@ -443,504 +1226,236 @@ class DiscourseHooksDB {
     return match ? match[1] : "value";
   }
 
-  async analyzeHooks(version) {
-    const versionDir = path.join(this.workDir, version);
-    if (!fs.existsSync(versionDir)) {
-      return;
-    }
-
-    const hooks = this.findHooks(versionDir);
-
-    hooks.forEach((hook) => {
-      if (!this.hooksDb.has(hook.name)) {
-        this.hooksDb.set(hook.name, {
-          name: hook.name,
-          type: hook.type,
-          firstVersion: version,
-          locations: [],
-        });
-      }
-
-      const hookData = this.hooksDb.get(hook.name);
-      hookData.locations.push({
-        version,
-        file: hook.file,
-        line: hook.line,
-      });
-    });
-  }
-
   findHooks(dir) {
     const hooks = [];
-
-    const searchPatterns = [
-      // Plugin hooks
-      {
-        pattern: /<PluginOutlet\s+@name=['"]([^'"]+)['"]/,
-        type: "plugin_outlet",
-      },
-      {
-        pattern: /{{plugin-outlet\s+name=['"]([^'"]+)['"]/,
-        type: "plugin_outlet",
-      },
-      {
-        pattern: /applyValueTransformer\(['"]([^'"]+)['"]/,
-        type: "value_transformer",
-      },
-      {
-        pattern: /appEvents\.trigger\(['"]([^'"]+)['"]/,
-        type: "app_event_trigger",
-      },
-      {
-        pattern: /applyBehaviorTransformer\(['"]([^'"]+)['"]/,
-        type: "behavior_transformer",
-      },
-    ];
+    const consumers = [];
+    const deprecations = [];
+    const transformerRegistrations = [];
+    let pluginApiVersion = null;
 
     this.walkDirectory(dir, (filePath) => {
-      if (this.shouldAnalyzeFile(filePath)) {
+      // Only the path inside `dir` counts, e.g. a plugin checked out under ~/tests
+      if (this.shouldAnalyzeFile(path.relative(dir, filePath))) {
         const content = fs.readFileSync(filePath, "utf8");
+        const result = this.analyzeFile(path.relative(dir, filePath), content);
 
-        // Handle multi-line patterns by processing the entire content
-        this.findMultiLineHooks(content, filePath, dir, hooks);
-
-        // Keep single-line pattern matching for simpler cases
-        const lines = content.split("\n");
-        lines.forEach((line, index) => {
-          searchPatterns.forEach(({ pattern, type }) => {
-            const match = line.match(pattern);
-            if (match) {
-              hooks.push({
-                name: match[1] || `${type}_${hooks.length}`,
-                type,
-                file: path.relative(dir, filePath),
-                lines: [index + 1],
-              });
-            }
-          });
-        });
+        hooks.push(...result.hooks);
+        consumers.push(...result.consumers);
+        deprecations.push(...result.deprecations);
+        transformerRegistrations.push(...result.transformerRegistrations);
+        pluginApiVersion = result.pluginApiVersion || pluginApiVersion;
       }
     });
 
-    return hooks;
-  }
-
-  findMultiLineHooks(content, filePath, dir, hooks) {
-    // Multi-line patterns for applyValueTransformer with arguments
-    const valueTransformerRegex =
-      /applyValueTransformer\s*\(\s*['"]([^'"]+)['"]([^)]*)\)/gs;
-    let match;
-
-    while ((match = valueTransformerRegex.exec(content)) !== null) {
-      const lines = this.getMatchLines(content, match);
-      const args = this.parseArguments(match[2]);
-      hooks.push({
-        name: match[1],
-        type: "value_transformer",
-        file: path.relative(dir, filePath),
-        lines,
-        arguments: args,
-      });
-    }
-
-    // Multi-line patterns for appEvents.trigger with arguments
-    const appEventRegex =
-      /appEvents\.trigger\s*\(\s*['"]([^'"]+)['"]([^)]*)\)/gs;
-
-    while ((match = appEventRegex.exec(content)) !== null) {
-      const lines = this.getMatchLines(content, match);
-      const args = this.parseAppEventArgs(match[2]);
-      hooks.push({
-        name: match[1],
-        type: "app_event_trigger",
-        file: path.relative(dir, filePath),
-        lines,
-        arguments: args,
-      });
-    }
-
-    // Multi-line patterns for applyBehaviorTransformer (function parameter ignored)
-    const behaviorTransformerRegex =
-      /applyBehaviorTransformer\s*\(\s*['"]([^'"]+)['"][^)]*\)/gs;
-
-    while ((match = behaviorTransformerRegex.exec(content)) !== null) {
-      const lines = this.getMatchLines(content, match);
-      hooks.push({
-        name: match[1],
-        type: "behavior_transformer",
-        file: path.relative(dir, filePath),
-        lines,
-        arguments: [], // No arguments tracked for behavior transformers
-      });
-    }
-
-    // Multi-line patterns for PluginOutlet components with attributes
-    const pluginOutletRegex =
-      /<PluginOutlet\s+@name\s*=\s*['"]([^'"]+)['"][^>]*>/gs;
-
-    while ((match = pluginOutletRegex.exec(content)) !== null) {
-      const lines = this.getMatchLines(content, match);
-      const outletArgs = this.parsePluginOutletArgs(match[0]);
-      hooks.push({
-        name: match[1],
-        type: "plugin_outlet",
-        file: path.relative(dir, filePath),
-        lines,
-        arguments: outletArgs,
-      });
-    }
-
-    // Multi-line patterns for plugin-outlet helpers with arguments
-    const pluginOutletHelperRegex =
-      /{{plugin-outlet\s+name\s*=\s*['"]([^'"]+)['"][^}]*}}/gs;
-
-    while ((match = pluginOutletHelperRegex.exec(content)) !== null) {
-      const lines = this.getMatchLines(content, match);
-      const args = this.parsePluginOutletHelperArgs(match[0]);
-      hooks.push({
-        name: match[1],
-        type: "plugin_outlet",
-        file: path.relative(dir, filePath),
-        lines,
-        arguments: args,
-      });
-    }
-  }
-
-  getMatchLines(content, match) {
-    // Get the matched text
-    const matchedText = match[0];
-
-    // Find the starting line number
-    const beforeMatch = content.substring(0, match.index);
-    const startLine = beforeMatch.split("\n").length;
-
-    // Count newlines in the matched text to determine how many lines it spans
-    const matchLines = matchedText.split("\n").length;
-
-    // Generate array of all line numbers this match spans
-    const lines = [];
-    for (let i = 0; i < matchLines; i++) {
-      lines.push(startLine + i);
-    }
-
-    return lines;
+    return {
+      hooks,
+      consumers,
+      deprecations,
+      transformerRegistrations,
+      pluginApiVersion,
+    };
   }
 
-  parseAppEventArgs(argString) {
-    if (!argString || argString.trim() === "") {
-      return [];
-    }
-
-    // Clean up the argument string and remove leading comma
-    const cleaned = argString.trim().replace(/^,\s*/, "");
-    if (!cleaned) {
-      return [];
-    }
-
-    // Parse all arguments after the event name
-    const args = [];
-    let current = "";
-    let depth = 0;
-    let inString = false;
-    let stringChar = "";
-
-    for (let i = 0; i < cleaned.length; i++) {
-      const char = cleaned[i];
-
-      if (!inString && (char === '"' || char === "'")) {
-        inString = true;
-        stringChar = char;
-        current += char;
-      } else if (inString && char === stringChar && cleaned[i - 1] !== "\\") {
-        inString = false;
-        current += char;
-      } else if (!inString && (char === "(" || char === "[" || char === "{")) {
-        depth++;
-        current += char;
-      } else if (!inString && (char === ")" || char === "]" || char === "}")) {
-        depth--;
-        current += char;
-      } else if (!inString && char === "," && depth === 0) {
-        // Found a top-level argument separator
-        if (current.trim()) {
-          args.push(this.normalizeAppEventArg(current.trim()));
-        }
-        current = "";
-      } else {
-        current += char;
+  // Same as findHooks, but reads the files of `ref` straight from git objects.
+  // Files that didn't change between versions keep their blob, so each blob is
+  // analyzed once and its result reused from the blob cache everywhere else.
+  findHooksInRef(reader, ref, paths = SOURCE_DIRECTORIES) {
+    const hooks = [];
+    const consumers = [];
+    const deprecations = [];
+    const transformerRegistrations = [];
+    let pluginApiVersion = null;
+    const stats = { files: 0, reused: 0, gitTime: 0 };
+
+    let startTime = Date.now();
+    const files = reader
+      .listFiles(ref, paths)
+      .filter((file) => this.shouldAnalyzeFile(file.path));
+    stats.files = files.length;
+
+    const results = new Map();
+    files.forEach((file) => {
+      const result = this.readBlobResult(file);
+      if (result) {
+        results.set(file.path, result);
+        stats.reused++;
       }
-    }
-
-    // Handle the last argument
-    if (current.trim()) {
-      args.push(this.normalizeAppEventArg(current.trim()));
-    }
+    });
 
-    return args.sort(); // Sort for consistent comparison
-  }
+    const pending = files.filter((file) => !results.has(file.path));
+    const contents = reader.readBlobs(pending.map((file) => file.oid));
+    stats.gitTime = (Date.now() - startTime) / 1000;
 
-  normalizeAppEventArg(arg) {
-    const trimmed = arg.trim();
-
-    // If it's an object literal, extract property names
-    if (trimmed.startsWith("{") && trimmed.endsWith("}")) {
-      const objectContent = trimmed.slice(1, -1);
-      const propNames = [];
-
-      // Simple extraction of property names from object
-      let current = "";
-      let depth = 0;
-      let inString = false;
-      let stringChar = "";
-
-      for (let i = 0; i < objectContent.length; i++) {
-        const char = objectContent[i];
-
-        if (!inString && (char === '"' || char === "'")) {
-          inString = true;
-          stringChar = char;
-        } else if (
-          inString &&
-          char === stringChar &&
-          objectContent[i - 1] !== "\\"
-        ) {
-          inString = false;
-        } else if (
-          !inString &&
-          (char === "{" || char === "[" || char === "(")
-        ) {
-          depth++;
-        } else if (
-          !inString &&
-          (char === "}" || char === "]" || char === ")")
-        ) {
-          depth--;
-        } else if (!inString && char === "," && depth === 0) {
-          if (current.trim()) {
-            const propName = this.extractPropertyName(current.trim());
-            if (propName) {
-              propNames.push(propName);
-            }
-          }
-          current = "";
-          continue;
-        }
-
-        current += char;
+    pending.forEach((file) => {
+      if (!contents.has(file.oid)) {
+        return;
       }
+      const result = this.analyzeFile(file.path, contents.get(file.oid));
+      this.saveBlobResult(file, result);
+      results.set(file.path, result);
+    });
 
-      // Handle the last property
-      if (current.trim()) {
-        const propName = this.extractPropertyName(current.trim());
-        if (propName) {
-          propNames.push(propName);
-        }
+    files.forEach((file) => {
+      const result = results.get(file.path);
+      if (!result) {
+        return;
       }
+      hooks.push(...result.hooks);
+      consumers.push(...result.consumers);
+      deprecations.push(...result.deprecations);
+      transformerRegistrations.push(...result.transformerRegistrations);
+      pluginApiVersion = result.pluginApiVersion || pluginApiVersion;
+    });
 
-      return propNames.length > 0
-        ? `{${propNames.sort().join(",")}}`
-        : "object";
-    }
-
-    // For non-object arguments, normalize to a generic type
-    if (trimmed.match(/^['"].*['"]$/)) {
-      return "string";
-    }
-    if (trimmed.match(/^\d+$/)) {
-      return "number";
-    }
-    if (trimmed === "true" || trimmed === "false") {
-      return "boolean";
-    }
-    if (trimmed.startsWith("[") && trimmed.endsWith("]")) {
-      return "array";
-    }
-    if (trimmed === "null") {
-      return "null";
-    }
+    return {
+      hooks,
+      consumers,
+      deprecations,
+      transformerRegistrations,
+      pluginApiVersion,
+      stats,
+    };
+  }
 
-    // For variables or complex expressions, keep the raw form for now
-    // We'll do the intelligent inference later during consolidation
-    return trimmed;
+  // Extractors look at the path as well as the content (file type, connector
+  // directories, app/ vs lib/), so results are keyed by both
+  getBlobCachePath({ oid, path: filePath }) {
+    const pathHash = crypto
+      .createHash("sha1")
+      .update(filePath)
+      .digest("hex")
+      .slice(0, 12);
+    return path.join(
+      this.cacheDir,
+      "blobs",
+      String(EXTRACTOR_VERSION),
+      oid.slice(0, 2),
+      `${oid}-${pathHash}.json`
+    );
   }
 
-  extractPropertyName(propString) {
-    // Handle shorthand property (just "prop")
-    if (propString.match(/^\w+$/)) {
-      return propString;
+  readBlobResult(file) {
+    if (!this.useCache) {
+      return null;
     }
 
-    // Handle full property ("prop: value" or "prop:value")
-    const colonMatch = propString.match(/^(\w+)\s*:/);
-    if (colonMatch) {
-      return colonMatch[1];
+    try {
+      return JSON.parse(fs.readFileSync(this.getBlobCachePath(file), "utf8"));
+    } catch {
+      return null;
     }
-
-    return null;
   }
 
-  parseArguments(argString) {
-    if (!argString || argString.trim() === "") {
-      return [];
-    }
+  saveBlobResult(file, result) {
+    const cachePath = this.getBlobCachePath(file);
+    // Workers share the cache, so write to a private file and rename it into
+    // place to never expose a partially written entry
+    const tempPath = `${cachePath}.${process.pid}-${threadId}.tmp`;
 
-    // Clean up the argument string
-    const cleaned = argString.trim().replace(/^,\s*/, "");
-    if (!cleaned) {
-      return [];
-    }
-
-    // Simple argument parsing - could be enhanced for complex cases
-    const args = [];
-    let current = "";
-    let depth = 0;
-    let inString = false;
-    let stringChar = "";
-
-    for (let i = 0; i < cleaned.length; i++) {
-      const char = cleaned[i];
-
-      if (!inString && (char === '"' || char === "'")) {
-        inString = true;
-        stringChar = char;
-        current += char;
-      } else if (inString && char === stringChar && cleaned[i - 1] !== "\\") {
-        inString = false;
-        current += char;
-      } else if (!inString && (char === "(" || char === "[" || char === "{")) {
-        depth++;
-        current += char;
-      } else if (!inString && (char === ")" || char === "]" || char === "}")) {
-        depth--;
-        current += char;
-      } else if (!inString && char === "," && depth === 0) {
-        if (current.trim()) {
-          args.push(this.normalizeArgument(current.trim()));
-        }
-        current = "";
-      } else {
-        current += char;
-      }
+    try {
+      fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(result));
+      fs.renameSync(tempPath, cachePath);
+    } catch (error) {
+      console.error(`Failed to cache ${file.path}:`, error.message);
     }
+  }
 
-    if (current.trim()) {
-      args.push(this.normalizeArgument(current.trim()));
+  // Blob results from earlier extractor versions can never be reused
+  pruneBlobCache() {
+    const blobsDir = path.join(this.cacheDir, "blobs");
+    if (!fs.existsSync(blobsDir)) {
+      return;
     }
 
-    return args;
+    fs.readdirSync(blobsDir)
+      .filter((entry) => entry !== String(EXTRACTOR_VERSION))
+      .forEach((entry) => {
+        fs.rmSync(path.join(blobsDir, entry), { recursive: true, force: true });
+      });
   }
 
-  normalizeArgument(arg) {
-    // Normalize common argument patterns to focus on structural changes, not value changes
-    let normalized = arg;
-
-    // Normalize handlebars hash arguments - extract just the key names
-    // @outletArgs={{hash topic=@topic user=@user}} -> @outletArgs={{hash topic user}}
-    normalized = normalized.replace(/{{hash\s+([^}]+)}}/g, (_, content) => {
-      const keys = content
-        .split(/\s+/)
-        .map((pair) => {
-          const key = pair.split("=")[0];
-          return key;
-        })
-        .join(" ");
-      return `{{hash ${keys}}}`;
-    });
-
-    // Normalize simple value references - keep the structure but generalize values
-    // @topic -> @topic, this.topic -> this.topic, topic -> topic
-    // But @outletArgs={{@topic}} -> @outletArgs={{value}}
-    normalized = normalized.replace(/{{([^}]+)}}/g, (match, content) => {
-      if (content.includes("hash")) {
-        return match; // Already handled above
-      }
-      // Generalize single value expressions
-      if (content.match(/^[@\w.]+$/)) {
-        return "{{value}}";
+  analyzeFile(file, content) {
+    const hooks = [];
+    const consumers = [];
+    const deprecations = [];
+    const transformerRegistrations = [];
+    let pluginApiVersion = null;
+
+    [this.jsExtractor, this.templateExtractor, this.rubyExtractor].forEach(
+      (extractor) => {
+        if (extractor.canExtract(file)) {
+          const result = extractor.extract(content, file);
+          hooks.push(...result.hooks);
+          consumers.push(...result.consumers);
+          deprecations.push(...result.deprecations);
+          transformerRegistrations.push(...result.transformerRegistrations);
+          pluginApiVersion = result.pluginApiVersion || pluginApiVersion;
+        }
       }
-      return match;
-    });
-
-    // Normalize attribute values in component attributes
-    // @attr="string" -> @attr="string", @attr={{value}} -> @attr={{value}}
-    normalized = normalized.replace(
-      /@(\w+)=(["'])([^"']*)\2/g,
-      "@$1=$2string$2"
-    );
-
-    return normalized;
-  }
-
-  parsePluginOutletArgs(componentString) {
-    // Extract @outletArgs content to get the actual outlet arguments (newer versions)
-    let outletArgsMatch = componentString.match(
-      /@(?:outletArgs|args)\s*=\s*{{([^}]+)}}/s
     );
 
-    if (!outletArgsMatch) {
-      return []; // No outlet args found
+    // Files under connectors/<outlet-name>/ render into that outlet
+    const connectorOutlet = this.getConnectorOutlet(file);
+    if (connectorOutlet) {
+      consumers.push({
+        name: connectorOutlet,
+        type: "plugin_outlet",
+        via: "connector",
+        file,
+        lines: [],
+      });
     }
 
-    const outletArgsContent = outletArgsMatch[1];
-
-    // Handle different hash patterns: hash, lazyHash, etc.
-    const hashMatch = outletArgsContent.match(/(?:lazy)?hash\s+([^}]+)/is);
-    if (hashMatch) {
-      const hashContent = hashMatch[1];
-      // Extract argument names from key=value pairs
-      const argNames = [];
-      const argRegex = /(\w+)\s*=/g;
-      let match;
-
-      while ((match = argRegex.exec(hashContent)) !== null) {
-        argNames.push(match[1]);
+    // Outlet arguments read by a connector, or by a component rendered with
+    // renderInOutlet, so a plugin check can tell when an outlet stops passing them
+    const outletConsumers = consumers.filter(
+      (consumer) => consumer.type === "plugin_outlet"
+    );
+    if (outletConsumers.length === 1) {
+      const outletArguments = this.getOutletArgumentUsages(file, content);
+      if (outletArguments.length > 0) {
+        outletConsumers[0].outletArguments = outletArguments;
       }
-
-      return argNames.sort(); // Sort for consistent comparison
     }
 
-    return [];
+    return {
+      hooks,
+      consumers,
+      deprecations,
+      transformerRegistrations,
+      pluginApiVersion,
+    };
   }
 
-  parsePluginOutletHelperArgs(helperString) {
-    // For plugin-outlet helpers, extract arguments from args parameter
-    // Example: {{plugin-outlet name="admin-below-plugins-index" args=(hash model=this.getModel)}}
-    const argsMatch = helperString.match(/args\s*=\s*\(([^)]+)\)/);
-
-    if (!argsMatch) {
-      return []; // No args found
-    }
-
-    const argsContent = argsMatch[1];
-
-    // Handle hash patterns
-    const hashMatch = argsContent.match(/(?:lazy)?hash\s+([^)]+)/);
-    if (hashMatch) {
-      const hashContent = hashMatch[1];
-      // Extract argument names from key=value pairs
-      const argNames = [];
-      const argRegex = /(\w+)\s*=/g;
-      let match;
-
-      while ((match = argRegex.exec(hashContent)) !== null) {
-        argNames.push(match[1]);
+  // {{@outletArgs.topic}}, this.args.outletArgs.topic and the like, found in
+  // the parsed code so comments and strings that mention them don't count
+  getOutletArgumentUsages(file, content) {
+    const names = new Set();
+    [this.jsExtractor, this.templateExtractor].forEach((extractor) => {
+      if (extractor.canExtract(file)) {
+        extractor
+          .getOutletArgumentUsages(content, file)
+          .forEach((name) => names.add(name));
       }
+    });
+    return [...names].sort();
+  }
 
-      return argNames.sort(); // Sort for consistent comparison
-    }
-
-    return [];
+  getConnectorOutlet(file) {
+    const match = file.match(/(?:^|\/)connectors\/([^/]+)\/[^/]+$/);
+    return match ? match[1] : null;
   }
 
   shouldAnalyzeFile(filePath) {
     const ext = path.extname(filePath);
+    const segments = filePath.split(/[\\/]/);
+    const fileName = segments.pop();
+    // Whole directory names only, so e.g. latest-topics.gjs is still analyzed
     return (
-      [".js", ".hbs", ".gjs", ".ts"].includes(ext) &&
-      !filePath.includes("node_modules") &&
-      !filePath.includes(".git") &&
-      !filePath.includes("test") &&
-      !filePath.includes("spec")
+      [".js", ".es6", ".hbs", ".gjs", ".ts", ".rb"].includes(ext) &&
+      !segments.some((segment) => SKIPPED_DIRECTORIES.has(segment)) &&
+      !TEST_FILE_PATTERN.test(fileName)
     );
   }
 
@@ -956,6 +1471,10 @@ class DiscourseHooksDB {
       const stats = fs.statSync(fullPath);
 
       if (stats.isDirectory()) {
+        // Never analyzed, and a plugin's node_modules can be huge
+        if (item === "node_modules" || item === ".git") {
+          return;
+        }
         this.walkDirectory(fullPath, callback);
       } else {
         callback(fullPath);
@@ -978,12 +1497,38 @@ class DiscourseHooksDB {
       // Detect argument changes
       const hasArgumentChanges = argumentHistoryArray.length > 1;
 
-      return {
+      const reportHook = {
         ...hook,
+        deprecations: Array.from(hook.deprecations.values()).map(
+          (deprecation) => ({
+            ...deprecation,
+            versions: [...deprecation.versions].sort((a, b) =>
+              this.compareVersions(a, b)
+            ),
+          })
+        ),
         argumentHistory: argumentHistoryArray,
         hasArgumentChanges,
         argumentChangeCount: argumentHistoryArray.length - 1,
       };
+
+      if (hook.type === "plugin_api_method") {
+        reportHook.introducedInApiVersion =
+          this.pluginApiVersions.get(hook.firstVersion) || null;
+      }
+
+      // Releases where the name is (or isn't) in the transformer registry
+      if (REGISTERED_TYPES.includes(hook.type)) {
+        const byVersion = (a, b) => this.compareVersions(a, b);
+        reportHook.registeredIn = [...(hook.registeredIn || [])].sort(
+          byVersion
+        );
+        reportHook.unregisteredIn = [...(hook.unregisteredIn || [])].sort(
+          byVersion
+        );
+      }
+
+      return reportHook;
     });
 
     // Find the most recent version
@@ -999,170 +1544,188 @@ class DiscourseHooksDB {
     );
     const latestVersion = sortedVersions[sortedVersions.length - 1];
 
-    // Calculate stats for latest version
-    const hooksInLatestVersion = hooks.filter((hook) =>
-      hook.locations.some((loc) => loc.version === latestVersion)
-    );
-
-    // Calculate retired hooks (hooks that don't exist in the latest version)
-    const retiredHooks = hooks.filter(
-      (hook) => !hook.locations.some((loc) => loc.version === latestVersion)
-    );
+    // Consumers of hooks that aren't produced in the version they appear in
+    const unmatchedConsumers = Array.from(
+      (this.unmatchedConsumers || new Map()).values()
+    ).map((entry) => ({
+      ...entry,
+      versions: [...new Set(entry.consumers.map((c) => c.version))].sort(
+        (a, b) => this.compareVersions(a, b)
+      ),
+    }));
+
+    const transformerRegistry = {
+      registeredNotApplied: Array.from(
+        (this.unappliedTransformerNames || new Map()).values()
+      ).map((entry) => ({
+        ...entry,
+        versions: [...entry.versions].sort((a, b) =>
+          this.compareVersions(a, b)
+        ),
+      })),
+      appliedNotRegistered: hooks
+        .filter((hook) => hook.unregisteredIn && hook.unregisteredIn.length > 0)
+        .map((hook) => ({
+          name: hook.name,
+          type: hook.type,
+          versions: hook.unregisteredIn,
+        })),
+    };
 
-    // Calculate latest version stats by type
-    const latestVersionHooksByType = {};
-    hooksInLatestVersion.forEach((hook) => {
-      latestVersionHooksByType[hook.type] =
-        (latestVersionHooksByType[hook.type] || 0) + 1;
+    const { summary, ...totals } = getReportTotals({
+      hooks,
+      latestVersion,
+      unmatchedConsumers,
+      transformerRegistry,
     });
 
     const report = {
-      totalHooks: this.hooksDb.size,
-      hooksByType: {},
-      hooksWithArgumentChanges: hooksInLatestVersion.filter(
-        (h) => h.hasArgumentChanges
-      ).length,
-      latestVersion,
-      hooksInLatestVersion: hooksInLatestVersion.length,
-      latestVersionHooksByType,
-      retiredHooks: retiredHooks.length,
+      ...totals,
       lastUpdated: new Date().toISOString(),
       hooks,
-      summary: {
-        totalArgumentChanges: hooksInLatestVersion.reduce(
-          (sum, hook) => sum + hook.argumentChangeCount,
-          0
-        ),
-        hooksWithMostChanges: hooksInLatestVersion
-          .filter((h) => h.argumentChangeCount > 0)
-          .sort((a, b) => b.argumentChangeCount - a.argumentChangeCount)
-          .slice(0, 10)
-          .map((h) => ({
-            name: h.name,
-            type: h.type,
-            changes: h.argumentChangeCount,
-          })),
-        retiredHooksList: retiredHooks.slice(0, 10).map((h) => ({
-          name: h.name,
-          type: h.type,
-          lastSeenVersion: h.locations
-            .map((loc) => loc.version)
-            .sort((a, b) => this.compareVersions(a, b))
-            .pop(),
-        })),
-      },
+      transformerRegistry,
+      unmatchedConsumers,
+      // Browsable repository for source links, when it's hosted on GitHub
+      repositoryUrl: getRepositoryWebUrl(this.repository),
+      // Commit each analyzed version label points to, for permalinks
+      versionCommits: Object.fromEntries(
+        Array.from((this.versionCommits || new Map()).entries())
+          .filter(([, commit]) => commit)
+          .sort(([a], [b]) => this.compareVersions(a, b))
+      ),
+      pluginApiVersions: Object.fromEntries(
+        Array.from(this.pluginApiVersions.entries()).sort(([a], [b]) =>
+          this.compareVersions(a, b)
+        )
+      ),
+      summary,
     };
 
-    this.hooksDb.forEach((hook) => {
-      report.hooksByType[hook.type] = (report.hooksByType[hook.type] || 0) + 1;
-    });
+    fs.mkdirSync(path.dirname(this.outputPath), { recursive: true });
+    fs.writeFileSync(this.outputPath, JSON.stringify(report, null, 2));
 
-    const reportPath = path.join(__dirname, "hooks-report.json");
-    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    let snapshotsSaved = false;
+    try {
+      writeVersionSnapshots(report, this.snapshotsDir);
+      snapshotsSaved = true;
+    } catch (error) {
+      console.error(`Error writing version snapshots: ${error.message}`);
+    }
+
+    let sqliteSaved = false;
+    try {
+      await writeSqliteReport(report, this.sqlitePath);
+      sqliteSaved = true;
+    } catch (error) {
+      console.error(`Error writing SQLite database: ${error.message}`);
+    }
+
+    this.log("\n=== Discourse Hooks Analysis Complete ===");
+    this.printSummary(report);
+    this.log(`\nDetailed report saved to: ${this.outputPath}`);
+    if (snapshotsSaved) {
+      this.log(`Version snapshots saved to: ${this.snapshotsDir}`);
+    }
+    if (sqliteSaved) {
+      this.log(`SQLite database saved to: ${this.sqlitePath}`);
+    }
+
+    const totalEndTime = Date.now();
+    const totalTime = (totalEndTime - this.totalStartTime) / 1000;
+    const setupTime = (this.setupEndTime - this.setupStartTime) / 1000;
+    const analysisTime = (this.analysisEndTime - this.analysisStartTime) / 1000;
+    const reportTime = totalTime - setupTime - analysisTime;
 
-    console.log("\n=== Discourse Hooks Analysis Complete ===");
-    console.log(`Total hooks found: ${report.totalHooks}`);
-    console.log(
-      `Hooks with argument changes: ${report.hooksWithArgumentChanges}`
+    this.log(`\n=== Performance Summary ===`);
+    this.log(`Total runtime: ${totalTime.toFixed(2)}s`);
+    this.log(
+      `  Git setup: ${setupTime.toFixed(2)}s (${((setupTime / totalTime) * 100).toFixed(1)}%)`
+    );
+    this.log(
+      `  Version analysis: ${analysisTime.toFixed(2)}s (${((analysisTime / totalTime) * 100).toFixed(1)}%)`
+    );
+    this.log(
+      `  Report generation: ${reportTime.toFixed(2)}s (${((reportTime / totalTime) * 100).toFixed(1)}%)`
     );
-    console.log(
+  }
+
+  // Console overview of a report, also used by `report` for saved reports
+  printSummary(report) {
+    this.log(`Total hooks found: ${report.totalHooks}`);
+    this.log(`Hooks with argument changes: ${report.hooksWithArgumentChanges}`);
+    this.log(
       `Total argument changes across versions: ${report.summary.totalArgumentChanges}`
     );
 
-    console.log(`\n=== Latest Version Stats (${report.latestVersion}) ===`);
-    console.log(`Hooks in latest version: ${report.hooksInLatestVersion}`);
-    console.log(`Retired hooks: ${report.retiredHooks}`);
+    this.log(`\n=== Latest Version Stats (${report.latestVersion}) ===`);
+    this.log(`Hooks in latest version: ${report.hooksInLatestVersion}`);
+    this.log(`Retired hooks: ${report.retiredHooks}`);
+    this.log(`Probable renames: ${report.renamedHooks || 0}`);
+    this.log(
+      `Consumers without a matching hook: ${report.unmatchedConsumersInLatestVersion}`
+    );
+    this.log(`Deprecated hooks: ${report.deprecatedHooksInLatestVersion}`);
+    this.log(
+      `Transformer names registered but never applied: ${report.registeredNotAppliedInLatestVersion}`
+    );
+    this.log(
+      `Transformers applied without being registered: ${report.appliedNotRegisteredInLatestVersion}`
+    );
 
-    console.log("\nHooks by type (all versions):");
+    this.log("\nHooks by type (all versions):");
     Object.entries(report.hooksByType).forEach(([type, count]) => {
-      console.log(`  ${type}: ${count}`);
+      this.log(`  ${type}: ${count}`);
     });
 
-    console.log(`\nHooks by type (${report.latestVersion}):`);
+    this.log(`\nHooks by type (${report.latestVersion}):`);
     Object.entries(report.latestVersionHooksByType).forEach(([type, count]) => {
-      console.log(`  ${type}: ${count}`);
+      this.log(`  ${type}: ${count}`);
     });
 
     if (report.summary.hooksWithMostChanges.length > 0) {
-      console.log("\nHooks with most argument changes:");
+      this.log("\nHooks with most argument changes:");
       report.summary.hooksWithMostChanges.forEach((hook) => {
-        console.log(`  ${hook.name} (${hook.type}): ${hook.changes} changes`);
+        this.log(`  ${hook.name} (${hook.type}): ${hook.changes} changes`);
       });
     }
 
     if (report.summary.retiredHooksList.length > 0) {
-      console.log("\nRecently retired hooks:");
+      this.log("\nRecently retired hooks:");
       report.summary.retiredHooksList.forEach((hook) => {
-        console.log(
+        this.log(
           `  ${hook.name} (${hook.type}) - last seen in ${hook.lastSeenVersion}`
         );
       });
     }
-
-    console.log(`\nDetailed report saved to: ${reportPath}`);
-
-    const totalEndTime = Date.now();
-    const totalTime = (totalEndTime - this.totalStartTime) / 1000;
-    const setupTime = (this.setupEndTime - this.setupStartTime) / 1000;
-    const analysisTime = (this.analysisEndTime - this.analysisStartTime) / 1000;
-    const reportTime = totalTime - setupTime - analysisTime;
-
-    console.log(`\n=== Performance Summary ===`);
-    console.log(`Total runtime: ${totalTime.toFixed(2)}s`);
-    console.log(
-      `  Git setup: ${setupTime.toFixed(2)}s (${((setupTime / totalTime) * 100).toFixed(1)}%)`
-    );
-    console.log(
-      `  Version analysis: ${analysisTime.toFixed(2)}s (${((analysisTime / totalTime) * 100).toFixed(1)}%)`
-    );
-    console.log(
-      `  Report generation: ${reportTime.toFixed(2)}s (${((reportTime / totalTime) * 100).toFixed(1)}%)`
-    );
   }
 }
 
 // Worker thread logic
 if (!isMainThread) {
-  const { version, workDir } = workerData;
+  const { version, ref, workDir, useCache, logLevel } = workerData;
 
   async function processVersion() {
     try {
       const workerStartTime = Date.now();
-      console.log(`Worker processing ${version}...`);
-
-      // Set up version directory using git worktree
-      const versionDir = path.join(workDir, version);
-      const mainRepoDir = path.join(workDir, ".discourse-main-repo");
-
-      const gitStartTime = Date.now();
-
-      if (version === "main") {
-        // For main branch, re-extract to get latest changes
-        execSync(`rm -rf ${versionDir}`, { stdio: "pipe" });
+      if (logLevel === "verbose") {
+        console.log(`Worker processing ${version}...`);
       }
 
-      if (!fs.existsSync(versionDir)) {
-        // Create directory and extract only the directories we need
-        fs.mkdirSync(versionDir, { recursive: true });
-
-        // Extract only key directories that contain hooks
-        const dirsToExtract = ["app", "lib", "plugins", "assets/javascripts"];
-        for (const dir of dirsToExtract) {
-          try {
-            execSync(
-              `git --git-dir=${mainRepoDir} archive ${version} ${dir} | tar -x -C ${versionDir} 2>/dev/null || true`,
-              { stdio: "pipe" }
-            );
-          } catch {
-            // Directory might not exist in this version, continue
-          }
-        }
-      }
-      const gitEndTime = Date.now();
+      // Files are read from the bare repository's objects, nothing is extracted
+      const reader = new GitObjectReader(
+        path.join(workDir, ".discourse-main-repo")
+      );
 
       // Analyze hooks
-      const analyzer = new DiscourseHooksDB();
-      const foundHooks = analyzer.findHooks(versionDir);
+      const analyzer = new DiscourseHooksDB({ useCache, workDir });
+      const {
+        hooks: foundHooks,
+        consumers: foundConsumers,
+        deprecations: foundDeprecations,
+        transformerRegistrations: foundTransformerRegistrations,
+        pluginApiVersion,
+        stats,
+      } = analyzer.findHooksInRef(reader, ref);
 
       // Aggregate hooks by name, type, and file to combine lines
       const hookMap = new Map();
@@ -1176,7 +1739,12 @@ if (!isMainThread) {
             type: hook.type,
             file: hook.file,
             lines: [...(hook.lines || [])],
-            arguments: hook.arguments || [],
+            arguments: [...(hook.arguments || [])],
+            outlet: hook.outlet,
+            dynamic: hook.dynamic,
+            namePattern: hook.namePattern,
+            nameExpression: hook.nameExpression,
+            calls: [getHookCall(hook)],
             version,
           });
         } else {
@@ -1188,39 +1756,91 @@ if (!isMainThread) {
             }
           });
           existing.lines.sort((a, b) => a - b);
+          existing.calls.push(getHookCall(hook));
+          mergeLocationArguments(existing, hook);
+
+          // An outlet used as a wrapper anywhere in the file is a wrapper outlet
+          if (existing.outlet && hook.outlet?.wrapper) {
+            existing.outlet = { ...existing.outlet, wrapper: true };
+          }
         }
       });
 
       const hooks = Array.from(hookMap.values());
 
+      // Aggregate consumers the same way, keeping each consuming call style apart
+      const consumerMap = new Map();
+
+      foundConsumers.forEach((consumer) => {
+        const key = `${consumer.name}|${consumer.type}|${consumer.via}|${consumer.file}`;
+
+        if (!consumerMap.has(key)) {
+          consumerMap.set(key, {
+            name: consumer.name,
+            type: consumer.type,
+            via: consumer.via,
+            file: consumer.file,
+            lines: [...consumer.lines],
+            version,
+          });
+        } else {
+          const existing = consumerMap.get(key);
+          consumer.lines.forEach((line) => {
+            if (!existing.lines.includes(line)) {
+              existing.lines.push(line);
+            }
+          });
+          existing.lines.sort((a, b) => a - b);
+        }
+      });
+
+      const consumers = Array.from(consumerMap.values());
+
+      const deprecations = foundDeprecations.map((deprecation) => ({
+        ...deprecation,
+        version,
+      }));
+
+      const transformerRegistrations = foundTransformerRegistrations.map(
+        (registration) => ({ ...registration, version })
+      );
+
       const workerEndTime = Date.now();
       const totalWorkerTime = (workerEndTime - workerStartTime) / 1000;
-      const gitTime = (gitEndTime - gitStartTime) / 1000;
+      const { gitTime } = stats;
       const analysisTime = totalWorkerTime - gitTime;
 
       // Send timing data back to main thread for consistent logging
       parentPort.postMessage({
+        version,
         hooks,
+        consumers,
+        deprecations,
+        transformerRegistrations,
+        pluginApiVersion,
         timing: {
           version,
           totalTime: totalWorkerTime,
           gitTime,
           analysisTime,
+          files: stats.files,
+          reusedFiles: stats.reused,
         },
       });
     } catch (error) {
-      console.error(`Error processing ${version}:`, error.message);
-      parentPort.postMessage([]);
+      parentPort.postMessage({ version, error: error.message });
     }
   }
 
   processVersion();
-} else {
-  // Main thread
-  if (require.main === module) {
-    const app = new DiscourseHooksDB();
-    app.run().catch(console.error);
-  }
 }
 
 module.exports = DiscourseHooksDB;
+
+if (isMainThread && require.main === module) {
+  require("./lib/cli")
+    .main()
+    .then((exitCode) => {
+      process.exitCode = exitCode;
+    });
+}
@@ -0,0 +1,21 @@
+// Runs one analysis for LiveAnalysis in a child process, so the web server
+// keeps answering requests while the analyzer blocks on git and file I/O.
+// Receives the analyzer options and sends back progress, then "complete" or
+// "failed".
+const DiscourseHooksDB = require("../index");
+
+process.once("message", async (analyzerOptions) => {
+  let result;
+  try {
+    const app = new DiscourseHooksDB({
+      ...analyzerOptions,
+      onProgress: (progress) => process.send({ type: "progress", progress }),
+    });
+    await app.run();
+    result = { type: "complete" };
+  } catch (error) {
+    result = { type: "failed", error: error.message };
+  }
+
+  process.send(result, () => process.disconnect());
+});
@@ -0,0 +1,165 @@
+const { diffVersions, getAnalyzedVersions } = require("./diff");
+const { filterHooks, getQueryRow } = require("./query");
+const {
+  getVersionManifest,
+  getVersionSnapshot,
+} = require("./version-snapshots");
+
+const DEFAULT_PER_PAGE = 50;
+const MAX_PER_PAGE = 500;
+
+// Thrown for requests that can't be answered; sent as a JSON error body
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Version listings are built once per loaded report
+const manifests = new WeakMap();
+
+function getManifest(report) {
+  if (!manifests.has(report)) {
+    manifests.set(report, getVersionManifest(report));
+  }
+  return manifests.get(report);
+}
+
+function parsePageParam(params, name, fallback, max = Infinity) {
+  const value = params.get(name);
+  if (value === null || value === "") {
+    return fallback;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ApiError(400, `${name} must be a positive integer`);
+  }
+  return Math.min(number, max);
+}
+
+function paginate(items, params) {
+  const page = parsePageParam(params, "page", 1);
+  const perPage = parsePageParam(
+    params,
+    "per_page",
+    DEFAULT_PER_PAGE,
+    MAX_PER_PAGE
+  );
+
+  return {
+    items: items.slice((page - 1) * perPage, page * perPage),
+    pagination: {
+      page,
+      perPage,
+      total: items.length,
+      totalPages: Math.ceil(items.length / perPage),
+    },
+  };
+}
+
+// "latest" stands for the report's most recent version
+function resolveVersion(report, version) {
+  const resolved = version === "latest" ? report.latestVersion : version;
+  if (!getAnalyzedVersions(report).includes(resolved)) {
+    throw new ApiError(404, `Version ${version} is not in the report`);
+  }
+  return resolved;
+}
+
+function listHooks(report, params) {
+  const version = params.get("version");
+  const type = params.get("type");
+
+  const hooks = filterHooks(report, {
+    name: params.get("q") || null,
+    types: type ? type.split(",") : null,
+    presentIn: version ? resolveVersion(report, version) : null,
+    changedOnly: params.get("changed") === "true",
+  });
+
+  const { items, pagination } = paginate(hooks, params);
+  return {
+    hooks: items.map((hook) => getQueryRow(report, hook)),
+    pagination,
+  };
+}
+
+// Hooks of different types can share a name; ?type= picks one of them
+function getHook(report, name, params) {
+  const type = params.get("type");
+  const hook = report.hooks.find(
+    (entry) => entry.name === name && (!type || entry.type === type)
+  );
+  if (!hook) {
+    throw new ApiError(404, `Hook ${name} not found`);
+  }
+  return { hook };
+}
+
+function listVersionHooks(report, version, params) {
+  const snapshot = getVersionSnapshot(report, resolveVersion(report, version));
+  const type = params.get("type");
+  const hooks = type
+    ? snapshot.hooks.filter((hook) => type.split(",").includes(hook.type))
+    : snapshot.hooks;
+
+  const { items, pagination } = paginate(hooks, params);
+  return {
+    version: snapshot.version,
+    commit: snapshot.commit,
+    hooks: items,
+    pagination,
+  };
+}
+
+function getDiff(report, params) {
+  const from = params.get("from");
+  const to = params.get("to");
+  if (!from || !to) {
+    throw new ApiError(400, "from and to are required");
+  }
+
+  return diffVersions(
+    report,
+    resolveVersion(report, from),
+    resolveVersion(report, to)
+  );
+}
+
+// Routes a GET under /api/ to the JSON it answers with.
+//
+//   /api/hooks?q=&type=&version=&changed=true&page=&per_page=
+//   /api/hooks/:name?type=
+//   /api/versions
+//   /api/versions/:version/hooks?type=&page=&per_page=
+//   /api/diff?from=&to=
+function handleApiRequest(report, pathname, params) {
+  const segments = pathname
+    .replace(/^\/api\/?/, "")
+    .split("/")
+    .filter(Boolean)
+    .map((segment) => decodeURIComponent(segment));
+  const [resource, id, child] = segments;
+
+  if (resource === "hooks" && segments.length === 1) {
+    return listHooks(report, params);
+  }
+  if (resource === "hooks" && segments.length === 2) {
+    return getHook(report, id, params);
+  }
+  if (resource === "versions" && segments.length === 1) {
+    return getManifest(report);
+  }
+  if (resource === "versions" && child === "hooks" && segments.length === 3) {
+    return listVersionHooks(report, id, params);
+  }
+  if (resource === "diff" && segments.length === 1) {
+    return getDiff(report, params);
+  }
+
+  throw new ApiError(404, `No API endpoint at ${pathname}`);
+}
+
+module.exports = { ApiError, handleApiRequest };
@@ -0,0 +1,482 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const {
+  FORMATS,
+  diffVersions,
+  formatDiff,
+  getAnalyzedVersions,
+} = require("./diff");
+const { FORMATS: QUERY_FORMATS, filterHooks, formatQuery } = require("./query");
+const { checkPlugin, formatCheck } = require("./plugin-check");
+const {
+  COMPATIBILITY_FILE,
+  findPluginCommit,
+  formatCompatibility,
+  getCompatibilityRange,
+  updateCompatibilityFile,
+} = require("./compatibility");
+const { HOOK_TYPES } = require("./hook-types");
+const { getReportTotals } = require("./report-totals");
+
+const OPTIONS = {
+  help: { type: "boolean", short: "h" },
+  output: { type: "string", short: "o" },
+  "work-dir": { type: "string" },
+  types: { type: "string", multiple: true },
+  quiet: { type: "boolean", short: "q" },
+  verbose: { type: "boolean", short: "v" },
+  // analyze
+  versions: { type: "string", multiple: true },
+  prereleases: { type: "boolean" },
+  branch: { type: "string", multiple: true },
+  "sample-main": { type: "string" },
+  since: { type: "string" },
+  until: { type: "string" },
+  workers: { type: "string" },
+  "no-cache": { type: "boolean" },
+  repo: { type: "string" },
+  offline: { type: "boolean" },
+  // query
+  regex: { type: "boolean" },
+  introduced: { type: "string" },
+  "present-in": { type: "string" },
+  changed: { type: "boolean" },
+  file: { type: "string" },
+  // query, diff, check
+  format: { type: "string" },
+  // check
+  target: { type: "string" },
+  from: { type: "string" },
+  // compatibility
+  reference: { type: "string" },
+  write: { type: "boolean" },
+  // serve
+  port: { type: "string" },
+  host: { type: "string" },
+  watch: { type: "boolean" },
+  production: { type: "boolean" },
+};
+
+const HELP = `Usage: discourse-hooks-db [command] [options]
+
+Commands:
+  analyze              Analyze Discourse versions and write the report (default)
+  report               Print the summary of an existing report
+  query [pattern]      List hooks whose name contains [pattern] or matches it
+                       as a glob, e.g. "topic-*"; all hooks without one
+  diff <from> <to>     List hooks added, removed, renamed, moved or with
+                       changed arguments between two analyzed versions
+  check <plugin-dir>   Check the hooks a plugin or theme uses against a version;
+                       exits with 1 when any are missing or changed
+  compatibility <plugin-dir>
+                       Find the range of versions a plugin or theme supports
+  serve                Start the web interface
+
+Options:
+  -o, --output <file>      Report file to write or read (default: hooks-report.json)
+      --work-dir <dir>     Directory for the Discourse clone and cache
+                           (default: discourse/)
+      --types <types>      Only include these hook types, comma separated
+                           (${HOOK_TYPES.join(", ")})
+  -q, --quiet              Only print errors
+  -v, --verbose            Print per-version timing and cache details
+  -h, --help               Show this help
+
+Analyze options:
+      --versions <pattern> Only tags matching a glob such as "v3.*" (repeatable)
+      --prereleases        Include pre-release tags
+      --branch <name>      Also analyze a branch (repeatable)
+      --sample-main <period>
+                           Also analyze one main commit per period (1w, 14d, 1m)
+      --since <date>       Only tags and samples from this date on
+      --until <date>       Only tags and samples up to this date
+      --workers <n>        Versions analyzed at once (default: one per CPU, up to 10)
+      --no-cache           Re-analyze every version
+      --repo <path-or-url> Clone from a local checkout, mirror or fork
+      --offline            Don't fetch from remote repositories
+
+Query options:
+      --regex              Match [pattern] as a regular expression
+      --introduced <version>
+                           Only hooks added in this version
+      --present-in <version>
+                           Only hooks that exist in this version, or "latest"
+      --changed            Only hooks whose arguments changed
+      --file <glob>        Only hooks in matching files, e.g. "**/topic-list/**"
+      --format <format>    Output as ${QUERY_FORMATS.join(", ")} (default: table)
+
+Diff options:
+      --format <format>    Output as ${FORMATS.join(", ")} (default: text)
+
+Check options:
+      --target <version>   Version to check against (default: the latest analyzed)
+      --from <version>     Report argument changes since this version
+                           (default: the version analyzed before --target)
+      --format <format>    Output as text or json (default: text)
+
+Compatibility options:
+      --reference <version>
+                           Version whose hook arguments the plugin expects
+                           (default: the latest analyzed)
+      --write              Pin the newest plugin commit that supports the
+                           version below the range in ${COMPATIBILITY_FILE}
+      --format <format>    Output as text or json (default: text)
+
+Serve options:
+      --port <port>        Port to listen on (default: 3001)
+      --host <host>        Interface to listen on, e.g. 0.0.0.0 for every one
+                           (default: localhost)
+      --watch              Analyze on startup, when a local --repo gets new
+                           commits or tags, and on request from the web UI,
+                           which updates as results land; takes the analyze
+                           options
+      --production         Let browsers reuse files for 5 minutes before
+                           revalidating, as with NODE_ENV=production
+                           (default: revalidate on every request)
+`;
+
+// Commands that only read an existing report don't load the analyzer
+const COMMANDS = {
+  analyze: runAnalyze,
+  report: runReport,
+  query: runQuery,
+  diff: runDiff,
+  check: runCheck,
+  compatibility: runCompatibility,
+  serve: runServe,
+};
+
+class UsageError extends Error {}
+
+async function main(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    });
+  } catch (error) {
+    return fail(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(HELP);
+    return 0;
+  }
+
+  const [command = "analyze", ...args] = positionals;
+  if (!COMMANDS[command]) {
+    return fail(`Unknown command "${command}"`);
+  }
+
+  try {
+    const options = getCommonOptions(values);
+    return (await COMMANDS[command](args, values, options)) || 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      return fail(error.message);
+    }
+    console.error(error.message);
+    return 1;
+  }
+}
+
+function fail(message) {
+  console.error(`${message}\nRun with --help for usage.`);
+  return 1;
+}
+
+function getCommonOptions(values) {
+  if (values.quiet && values.verbose) {
+    throw new UsageError("--quiet and --verbose can't be used together");
+  }
+
+  return {
+    outputPath: path.resolve(values.output || "hooks-report.json"),
+    workDir: values["work-dir"] && path.resolve(values["work-dir"]),
+    types: parseTypes(values.types),
+    logLevel: values.quiet ? "quiet" : values.verbose ? "verbose" : "normal",
+  };
+}
+
+// --types accepts both repeated flags and comma separated lists
+function parseTypes(values) {
+  if (!values) {
+    return null;
+  }
+
+  const types = values.flatMap((value) =>
+    value
+      .split(",")
+      .map((type) => type.trim())
+      .filter(Boolean)
+  );
+  const unknown = types.filter((type) => !HOOK_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown hook type: ${unknown.join(", ")}`);
+  }
+
+  return types;
+}
+
+function parsePositiveInteger(value, name) {
+  if (value === undefined) {
+    return null;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new UsageError(`--${name} must be a positive integer`);
+  }
+  return number;
+}
+
+function loadReport(outputPath) {
+  if (!fs.existsSync(outputPath)) {
+    throw new Error(
+      `No report at ${outputPath}. Run the analysis first or pass --output.`
+    );
+  }
+  return JSON.parse(fs.readFileSync(outputPath, "utf8"));
+}
+
+function getAnalyzerOptions(values, options) {
+  return {
+    ...options,
+    workers: parsePositiveInteger(values.workers, "workers"),
+    useCache: !values["no-cache"],
+    repository: values.repo,
+    offline: values.offline,
+    versions: values.versions,
+    prereleases: values.prereleases,
+    branches: values.branch,
+    sampleMain: values["sample-main"],
+    since: values.since,
+    until: values.until,
+  };
+}
+
+async function runAnalyze(args, values, options) {
+  const DiscourseHooksDB = require("../index");
+
+  const app = new DiscourseHooksDB(getAnalyzerOptions(values, options));
+  await app.run();
+}
+
+async function runReport(args, values, options) {
+  const DiscourseHooksDB = require("../index");
+
+  const report = loadReport(options.outputPath);
+  if (options.types) {
+    const isSelected = ({ type }) => options.types.includes(type);
+    const { registeredNotApplied, appliedNotRegistered } =
+      report.transformerRegistry;
+
+    Object.assign(
+      report,
+      getReportTotals({
+        hooks: report.hooks.filter(isSelected),
+        latestVersion: report.latestVersion,
+        unmatchedConsumers: report.unmatchedConsumers.filter(isSelected),
+        transformerRegistry: {
+          registeredNotApplied: registeredNotApplied.filter(isSelected),
+          appliedNotRegistered: appliedNotRegistered.filter(isSelected),
+        },
+      })
+    );
+  }
+
+  const app = new DiscourseHooksDB(options);
+  app.printSummary(report);
+}
+
+async function runQuery(args, values, options) {
+  const [pattern] = args;
+
+  const format = values.format || "table";
+  if (!QUERY_FORMATS.includes(format)) {
+    throw new UsageError(`--format must be one of ${QUERY_FORMATS.join(", ")}`);
+  }
+
+  let name = pattern;
+  if (values.regex) {
+    if (!pattern) {
+      throw new UsageError("--regex needs a pattern");
+    }
+    try {
+      name = new RegExp(pattern);
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+  }
+
+  const report = loadReport(options.outputPath);
+  const presentIn =
+    values["present-in"] === "latest"
+      ? report.latestVersion
+      : values["present-in"];
+
+  const versions = getAnalyzedVersions(report);
+  [values.introduced, presentIn].filter(Boolean).forEach((version) => {
+    if (!versions.includes(version)) {
+      throw new Error(`${version} is not in the report`);
+    }
+  });
+
+  const hooks = filterHooks(report, {
+    name,
+    types: options.types,
+    introducedIn: values.introduced,
+    presentIn,
+    changedOnly: values.changed,
+    file: values.file,
+  });
+
+  console.log(formatQuery(report, hooks, format));
+
+  // Only tables are read by people; the other formats are piped elsewhere
+  if (format === "table" && options.logLevel !== "quiet") {
+    console.log(`\n${hooks.length} of ${report.hooks.length} hooks match`);
+  }
+}
+
+async function runDiff(args, values, options) {
+  const [from, to] = args;
+  if (!from || !to) {
+    throw new UsageError("diff needs two versions, e.g. diff v3.2.0 v3.3.0");
+  }
+
+  const format = values.format || "text";
+  if (!FORMATS.includes(format)) {
+    throw new UsageError(`--format must be one of ${FORMATS.join(", ")}`);
+  }
+
+  const report = loadReport(options.outputPath);
+  if (options.types) {
+    report.hooks = report.hooks.filter((hook) =>
+      options.types.includes(hook.type)
+    );
+  }
+
+  console.log(formatDiff(diffVersions(report, from, to), format));
+}
+
+function getPluginDir(args, command) {
+  const [pluginDir] = args;
+  if (!pluginDir) {
+    throw new UsageError(`${command} needs a plugin or theme directory`);
+  }
+  if (!fs.existsSync(pluginDir)) {
+    throw new UsageError(`${pluginDir} doesn't exist`);
+  }
+  return path.resolve(pluginDir);
+}
+
+function getTextOrJsonFormat(values) {
+  const format = values.format || "text";
+  if (!["text", "json"].includes(format)) {
+    throw new UsageError("--format must be one of text, json");
+  }
+  return format;
+}
+
+// The hooks a plugin or theme produces and consumes, read with the same
+// extractors as Discourse itself
+function findPluginHooks(pluginDir, options) {
+  const DiscourseHooksDB = require("../index");
+
+  const pluginHooks = new DiscourseHooksDB(options).findHooks(pluginDir);
+  if (options.types) {
+    pluginHooks.consumers = pluginHooks.consumers.filter((consumer) =>
+      options.types.includes(consumer.type)
+    );
+  }
+  return pluginHooks;
+}
+
+async function runCheck(args, values, options) {
+  const pluginDir = getPluginDir(args, "check");
+  const format = getTextOrJsonFormat(values);
+
+  const report = loadReport(options.outputPath);
+  const pluginHooks = findPluginHooks(pluginDir, options);
+
+  const result = checkPlugin(report, pluginHooks, {
+    target: values.target || report.latestVersion,
+    from: values.from,
+  });
+  console.log(formatCheck(result, format));
+
+  return result.problems.length > 0 ? 1 : 0;
+}
+
+async function runCompatibility(args, values, options) {
+  const pluginDir = getPluginDir(args, "compatibility");
+  const format = getTextOrJsonFormat(values);
+
+  const report = loadReport(options.outputPath);
+  const range = getCompatibilityRange(
+    report,
+    findPluginHooks(pluginDir, options),
+    { reference: values.reference }
+  );
+  console.log(formatCompatibility(range, format));
+
+  if (!range.min) {
+    return 1;
+  }
+  if (!values.write) {
+    return 0;
+  }
+
+  if (!range.lowerBound) {
+    console.log(
+      `\nNo analyzed version is older than ${range.min}; ${COMPATIBILITY_FILE} left as-is`
+    );
+    return 0;
+  }
+
+  const DiscourseHooksDB = require("../index");
+
+  const commit = findPluginCommit(
+    pluginDir,
+    report,
+    range.lowerBound,
+    new DiscourseHooksDB(options)
+  );
+  if (!commit) {
+    throw new Error(
+      `No commit in the plugin's git history supports ${range.lowerBound.version}`
+    );
+  }
+
+  const filePath = updateCompatibilityFile(pluginDir, range.min, commit);
+  console.log(
+    `\nPinned ${commit} for versions before ${range.min} in ${filePath}`
+  );
+  return 0;
+}
+
+async function runServe(args, values, options) {
+  const WebServer = require("../server");
+
+  const port = parsePositiveInteger(values.port, "port") || 3001;
+  let live = null;
+  if (values.watch) {
+    const LiveAnalysis = require("./live-analysis");
+    live = new LiveAnalysis(getAnalyzerOptions(values, options));
+  }
+
+  const server = new WebServer(port, {
+    reportPath: options.outputPath,
+    host: values.host,
+    live,
+    cacheMode: values.production ? "production" : null,
+  });
+  server.start();
+}
+
+module.exports = { main };
@@ -0,0 +1,217 @@
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { compareVersions, parseVersion } = require("./versions");
+const { getAnalyzedVersions } = require("./diff");
+const { checkPlugin } = require("./plugin-check");
+const GitObjectReader = require("./git-objects");
+
+const COMPATIBILITY_FILE = ".discourse-compatibility";
+
+// Plugin commits searched for one that still supports older Discourse versions
+const MAX_PLUGIN_COMMITS = 500;
+
+function getProblems(report, pluginHooks, version, reference) {
+  return checkPlugin(report, pluginHooks, { target: version, from: reference })
+    .problems;
+}
+
+// The run of analyzed versions around `reference` (by default the latest) in
+// which every hook the plugin uses exists with the arguments it has in
+// `reference`. Each end records the first version outside the range and the
+// hooks that rule it out.
+function getCompatibilityRange(report, pluginHooks, { reference } = {}) {
+  const referenceVersion = reference || report.latestVersion;
+
+  // Branches other than the reference aren't points in release history
+  const versions = getAnalyzedVersions(report).filter(
+    (version) => parseVersion(version) || version === referenceVersion
+  );
+  const index = versions.indexOf(referenceVersion);
+  if (index === -1) {
+    throw new Error(`${referenceVersion} is not in the report`);
+  }
+
+  const result = {
+    reference: referenceVersion,
+    min: null,
+    max: null,
+    lowerBound: null,
+    upperBound: null,
+  };
+
+  const referenceProblems = getProblems(
+    report,
+    pluginHooks,
+    referenceVersion,
+    referenceVersion
+  );
+  if (referenceProblems.length > 0) {
+    result.lowerBound = {
+      version: referenceVersion,
+      problems: referenceProblems,
+    };
+    return result;
+  }
+
+  const findEnd = (step) => {
+    let end = index;
+    while (versions[end + step]) {
+      const problems = getProblems(
+        report,
+        pluginHooks,
+        versions[end + step],
+        referenceVersion
+      );
+      if (problems.length > 0) {
+        return { end, bound: { version: versions[end + step], problems } };
+      }
+      end += step;
+    }
+    return { end, bound: null };
+  };
+
+  const lower = findEnd(-1);
+  const upper = findEnd(1);
+  return {
+    ...result,
+    min: versions[lower.end],
+    max: versions[upper.end],
+    lowerBound: lower.bound,
+    upperBound: upper.bound,
+  };
+}
+
+function formatProblems(problems) {
+  return problems.map(
+    (problem) => `  ✗ ${problem.name} (${problem.type}): ${problem.message}`
+  );
+}
+
+function formatCompatibility(range, format = "text") {
+  if (format === "json") {
+    return JSON.stringify(range, null, 2);
+  }
+
+  if (!range.min) {
+    return [
+      `Not compatible with ${range.reference}`,
+      ...formatProblems(range.lowerBound.problems),
+    ].join("\n");
+  }
+
+  const lines = [
+    `Supported: ${range.min} – ${range.max} (arguments as in ${range.reference})`,
+    "",
+  ];
+
+  if (range.lowerBound) {
+    lines.push(`Lower bound: not compatible with ${range.lowerBound.version}`);
+    lines.push(...formatProblems(range.lowerBound.problems));
+  } else {
+    lines.push(`Lower bound: ${range.min} is the oldest analyzed version`);
+  }
+
+  if (range.upperBound) {
+    lines.push(`Upper bound: not compatible with ${range.upperBound.version}`);
+    lines.push(...formatProblems(range.upperBound.problems));
+  } else {
+    lines.push(`Upper bound: ${range.max} is the newest analyzed version`);
+  }
+
+  return lines.join("\n");
+}
+
+function git(pluginDir, args) {
+  return execFileSync("git", ["-C", pluginDir, ...args], {
+    encoding: "utf8",
+    stdio: ["ignore", "pipe", "ignore"],
+  }).trim();
+}
+
+// The commit to pin for Discourse versions older than the supported range:
+// the newest one from before the plugin last changed the code using the hooks
+// that bound the range, as long as all its hooks exist in `bound.version`.
+// `analyzer` is a DiscourseHooksDB used to read each commit's hooks.
+function findPluginCommit(pluginDir, report, bound, analyzer) {
+  const files = [
+    ...new Set(
+      bound.problems.flatMap((problem) =>
+        problem.files.map((file) => file.replace(/:[\d,]+$/, ""))
+      )
+    ),
+  ];
+
+  let gitDir, prefix, commits;
+  try {
+    gitDir = git(pluginDir, ["rev-parse", "--absolute-git-dir"]);
+    // Plugins can live in a subdirectory of a larger repository
+    prefix = git(pluginDir, ["rev-parse", "--show-prefix"]);
+    const lastChange = git(pluginDir, [
+      "log",
+      "-1",
+      "--format=%H",
+      "--",
+      ...files,
+    ]);
+    commits = git(pluginDir, [
+      "rev-list",
+      "--first-parent",
+      `--max-count=${MAX_PLUGIN_COMMITS}`,
+      `${lastChange}^`,
+    ]).split("\n");
+  } catch {
+    // Not a git repository, or the code was never changed since it was added
+    return null;
+  }
+
+  const reader = new GitObjectReader(gitDir);
+  const paths = prefix ? [prefix] : [];
+
+  return (
+    commits.find((commit) => {
+      const pluginHooks = analyzer.findHooksInRef(reader, commit, paths);
+      return (
+        getProblems(report, pluginHooks, bound.version, bound.version)
+          .length === 0
+      );
+    }) || null
+  );
+}
+
+// Adds (or replaces) the `< version: commit` entry, keeping the file's other
+// entries and listing them newest version first
+function updateCompatibilityFile(pluginDir, version, commit) {
+  const filePath = path.join(pluginDir, COMPATIBILITY_FILE);
+  const entries = new Map();
+
+  if (fs.existsSync(filePath)) {
+    fs.readFileSync(filePath, "utf8")
+      .split("\n")
+      .forEach((line) => {
+        const match = line.match(/^\s*([^#:][^:]*?)\s*:\s*(\S+)/);
+        if (match) {
+          entries.set(match[1], match[2]);
+        }
+      });
+  }
+
+  entries.set(`< ${version.replace(/^v/, "")}`, commit);
+
+  // Keys look like "< 3.2.0.beta2-dev" or "3.1.0"
+  const versionOf = (key) => key.replace(/^[<=\s]+/, "").replace(/-dev$/, "");
+  const lines = [...entries.entries()]
+    .sort(([a], [b]) => compareVersions(versionOf(b), versionOf(a)))
+    .map(([key, value]) => `${key}: ${value}`);
+
+  fs.writeFileSync(filePath, `${lines.join("\n")}\n`);
+  return filePath;
+}
+
+module.exports = {
+  COMPATIBILITY_FILE,
+  findPluginCommit,
+  formatCompatibility,
+  getCompatibilityRange,
+  updateCompatibilityFile,
+};
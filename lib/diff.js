@@ -0,0 +1,241 @@
+// Also loaded by the web page as a plain script, as the HookDiff global
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./hook-types"), require("./versions"));
+  } else {
+    root.HookDiff = factory(root.HookTypes, root.HookVersions);
+  }
+})(globalThis, function ({ getHookKey }, { compareVersions }) {
+  const FORMATS = ["text", "markdown", "json"];
+
+  // Hooks that exist in a version, with what's needed to compare them
+  function getVersionHooks(report, version) {
+    const versionHooks = new Map();
+
+    report.hooks.forEach((hook) => {
+      const locations = hook.locations.filter(
+        (location) => location.version === version
+      );
+      if (locations.length === 0) {
+        return;
+      }
+
+      versionHooks.set(getHookKey(hook), {
+        name: hook.name,
+        type: hook.type,
+        files: [...new Set(locations.map((location) => location.file))].sort(),
+        arguments: getVersionArguments(hook, version),
+      });
+    });
+
+    return versionHooks;
+  }
+
+  // Tracked types have a consolidated signature per version; for the others
+  // (e.g. outlet arguments) the arguments seen at any location are compared
+  function getVersionArguments(hook, version) {
+    const history = (hook.argumentHistory || []).find((entry) =>
+      entry.versions.includes(version)
+    );
+    if (history) {
+      return history.argumentSignature;
+    }
+
+    const args = new Set();
+    hook.locations
+      .filter((location) => location.version === version)
+      .forEach((location) => {
+        (location.arguments || []).forEach((arg) => args.add(arg));
+      });
+    return [...args].sort();
+  }
+
+  function getAnalyzedVersions(report) {
+    const versions = new Set();
+    report.hooks.forEach((hook) => {
+      hook.locations.forEach((location) => versions.add(location.version));
+    });
+    return [...versions].sort(compareVersions);
+  }
+
+  function sameList(a, b) {
+    return a.length === b.length && a.every((item, i) => item === b[i]);
+  }
+
+  // Changelog of the hooks between two analyzed versions of a report
+  function diffVersions(report, from, to) {
+    const versions = getAnalyzedVersions(report);
+    [from, to].forEach((version) => {
+      if (!versions.includes(version)) {
+        throw new Error(`${version} is not in the report`);
+      }
+    });
+
+    const fromHooks = getVersionHooks(report, from);
+    const toHooks = getVersionHooks(report, to);
+    const byName = (a, b) => a.name.localeCompare(b.name);
+
+    const added = [...toHooks.values()]
+      .filter((hook) => !fromHooks.has(getHookKey(hook)))
+      .map(({ name, type, files }) => ({ name, type, files }));
+
+    let removed = [...fromHooks.values()]
+      .filter((hook) => !toHooks.has(getHookKey(hook)))
+      .map(({ name, type, files }) => ({ name, type, files }));
+
+    // Removed hooks renamed to an added one somewhere in (from, to]
+    const renamed = [];
+    removed.forEach((change) => {
+      const { renamedTo } =
+        report.hooks.find(
+          (hook) => hook.name === change.name && hook.type === change.type
+        ) || {};
+      const index = renamedTo
+        ? added.findIndex(
+            (hook) => hook.name === renamedTo.name && hook.type === change.type
+          )
+        : -1;
+      if (
+        index !== -1 &&
+        compareVersions(from, renamedTo.version) < 0 &&
+        compareVersions(renamedTo.version, to) <= 0
+      ) {
+        const [newHook] = added.splice(index, 1);
+        renamed.push({
+          ...newHook,
+          from: change.name,
+          confidence: renamedTo.confidence,
+        });
+      }
+    });
+    removed = removed.filter(
+      (change) =>
+        !renamed.some(
+          (rename) => rename.from === change.name && rename.type === change.type
+        )
+    );
+
+    const argumentsChanged = [];
+    const moved = [];
+    toHooks.forEach((hook) => {
+      const previous = fromHooks.get(getHookKey(hook));
+      if (!previous) {
+        return;
+      }
+
+      if (!sameList(previous.arguments, hook.arguments)) {
+        argumentsChanged.push({
+          name: hook.name,
+          type: hook.type,
+          from: previous.arguments,
+          to: hook.arguments,
+        });
+      }
+      if (!sameList(previous.files, hook.files)) {
+        moved.push({
+          name: hook.name,
+          type: hook.type,
+          from: previous.files,
+          to: hook.files,
+        });
+      }
+    });
+
+    return {
+      from,
+      to,
+      added: added.sort(byName),
+      removed: removed.sort(byName),
+      renamed: renamed.sort(byName),
+      argumentsChanged: argumentsChanged.sort(byName),
+      moved: moved.sort(byName),
+    };
+  }
+
+  function formatArguments(args) {
+    return `(${args.join(", ")})`;
+  }
+
+  const SECTIONS = [
+    {
+      key: "added",
+      title: "Added",
+      describe: (change) => change.files.join(", "),
+    },
+    {
+      key: "removed",
+      title: "Removed",
+      describe: (change) => change.files.join(", "),
+    },
+    {
+      key: "renamed",
+      title: "Renamed",
+      describe: (change) =>
+        `renamed from ${change.from} (confidence ${change.confidence})`,
+    },
+    {
+      key: "argumentsChanged",
+      title: "Arguments changed",
+      describe: (change) =>
+        `${formatArguments(change.from)} → ${formatArguments(change.to)}`,
+    },
+    {
+      key: "moved",
+      title: "Moved",
+      describe: (change) =>
+        `${change.from.join(", ")} → ${change.to.join(", ")}`,
+    },
+  ];
+
+  function formatDiff(diff, format = "text") {
+    if (format === "json") {
+      return JSON.stringify(diff, null, 2);
+    }
+
+    const markdown = format === "markdown";
+    const lines = [
+      markdown
+        ? `# Hook changes from ${diff.from} to ${diff.to}`
+        : `Hook changes from ${diff.from} to ${diff.to}`,
+    ];
+
+    SECTIONS.forEach(({ key, title, describe }) => {
+      const changes = diff[key];
+      if (changes.length === 0) {
+        return;
+      }
+
+      lines.push(
+        "",
+        markdown
+          ? `## ${title} (${changes.length})`
+          : `${title} (${changes.length}):`
+      );
+      if (markdown) {
+        lines.push("");
+      }
+      changes.forEach((change) => {
+        lines.push(
+          markdown
+            ? `- \`${change.name}\` (${change.type}): ${describe(change)}`
+            : `  ${change.name} (${change.type}): ${describe(change)}`
+        );
+      });
+    });
+
+    if (lines.length === 1) {
+      lines.push("", "No changes");
+    }
+
+    return lines.join("\n");
+  }
+
+  return {
+    FORMATS,
+    SECTIONS,
+    diffVersions,
+    formatDiff,
+    getAnalyzedVersions,
+    getVersionArguments,
+  };
+});
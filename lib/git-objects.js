@@ -0,0 +1,73 @@
+const { execFileSync } = require("child_process");
+
+// Blobs requested per `git cat-file --batch` call, to bound memory use
+const BATCH_SIZE = 500;
+
+// Reads trees and file contents straight from a (bare) repository's object
+// database, so versions never have to be checked out or extracted to disk
+class GitObjectReader {
+  constructor(gitDir) {
+    this.gitDir = gitDir;
+  }
+
+  // Lists the blobs under `paths` at `ref` as { path, oid }
+  listFiles(ref, paths = []) {
+    const output = this.git(
+      ["ls-tree", "-r", "-z", "--full-tree", ref, "--", ...paths],
+      "utf8"
+    );
+
+    return output
+      .split("\0")
+      .filter(Boolean)
+      .map((entry) => {
+        // <mode> SP <type> SP <oid> TAB <path>
+        const tab = entry.indexOf("\t");
+        const [, type, oid] = entry.slice(0, tab).split(" ");
+        return { type, oid, path: entry.slice(tab + 1) };
+      })
+      .filter((entry) => entry.type === "blob")
+      .map(({ oid, path }) => ({ oid, path }));
+  }
+
+  // Reads blob contents as UTF-8, returning a Map of oid => content
+  readBlobs(oids) {
+    const contents = new Map();
+    const unique = [...new Set(oids)];
+
+    for (let i = 0; i < unique.length; i += BATCH_SIZE) {
+      const batch = unique.slice(i, i + BATCH_SIZE);
+      const output = this.git(["cat-file", "--batch"], null, batch.join("\n"));
+
+      let offset = 0;
+      while (offset < output.length) {
+        const headerEnd = output.indexOf(10, offset);
+        const header = output.toString("utf8", offset, headerEnd).split(" ");
+        offset = headerEnd + 1;
+
+        // "<oid> missing" for objects that don't exist
+        if (header[1] === "missing") {
+          continue;
+        }
+
+        const size = Number(header[2]);
+        contents.set(header[0], output.toString("utf8", offset, offset + size));
+        // Each object is followed by a newline
+        offset += size + 1;
+      }
+    }
+
+    return contents;
+  }
+
+  git(args, encoding, input) {
+    return execFileSync("git", [`--git-dir=${this.gitDir}`, ...args], {
+      encoding,
+      input,
+      maxBuffer: 1024 * 1024 * 1024,
+      stdio: ["pipe", "pipe", "ignore"],
+    });
+  }
+}
+
+module.exports = GitObjectReader;
@@ -0,0 +1,47 @@
+// Converts a shell-style glob into a regular expression. `*` matches within a
+// path segment, `**` across segments, `?` a single character and `{a,b}` either
+// alternative; everything else is literal.
+function globToRegExp(pattern) {
+  let source = "";
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "*") {
+      if (pattern[i + 1] === "*" && pattern[i + 2] === "/") {
+        // "**/" also matches no directories at all
+        source += "(?:.*/)?";
+        i += 2;
+      } else if (pattern[i + 1] === "*") {
+        source += ".*";
+        i++;
+      } else {
+        source += "[^/]*";
+      }
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      const end = pattern.indexOf("}", i);
+      if (end === -1) {
+        source += "\\{";
+        continue;
+      }
+      const alternatives = pattern
+        .slice(i + 1, end)
+        .split(",")
+        .map((alternative) => globToRegExp(alternative).source.slice(1, -1));
+      source += `(?:${alternatives.join("|")})`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+function matchesGlob(value, pattern) {
+  return globToRegExp(pattern).test(value);
+}
+
+module.exports = { globToRegExp, matchesGlob };
@@ -0,0 +1,253 @@
+const { buildSchema, graphql } = require("graphql");
+const { getAnalyzedVersions, getVersionArguments } = require("./diff");
+const { HOOK_TYPES, getHookKey } = require("./hook-types");
+const { filterHooks } = require("./query");
+const { compareVersions } = require("./versions");
+
+const SCHEMA = `
+"""
+A hook point in Discourse: a plugin outlet, transformer, app event, plugin API
+method, server event or modifier
+"""
+type Hook {
+  name: String!
+  type: HookType!
+  "Whether the name is built at runtime; see namePattern"
+  dynamic: Boolean!
+  "Glob the runtime-built names match, e.g. *-class"
+  namePattern: String
+  firstVersion: Version!
+  lastVersion: Version!
+  "Not present in the latest analyzed version"
+  retired: Boolean!
+  "Versions the hook is present in, oldest first"
+  versions: [Version!]!
+  "Where the hook is defined, in every version or only the given one"
+  locations(version: String): [Location!]!
+  "Code in Discourse itself that uses the hook"
+  consumers(version: String): [Consumer!]!
+  "Each distinct argument signature and the versions that have it"
+  argumentHistory: [ArgumentSignature!]!
+  "The arguments in one version, or null when the hook isn't in it"
+  arguments(version: String!): [String!]
+  argumentChangeCount: Int!
+  renamedFrom: Rename
+  renamedTo: Rename
+}
+
+enum HookType {
+  ${HOOK_TYPES.join("\n  ")}
+}
+
+"An analyzed tag, branch or sampled commit"
+type Version {
+  name: String!
+  commit: String
+  pluginApiVersion: String
+  hookCount: Int!
+  "Hooks present in this version, with the same filters as Query.hooks"
+  hooks(type: HookType, name: String, changed: Boolean): [Hook!]!
+}
+
+type Location {
+  version: Version!
+  file: String!
+  lines: [Int!]!
+  arguments: [String!]!
+}
+
+type Consumer {
+  hook: Hook!
+  version: Version!
+  file: String!
+  lines: [Int!]!
+  "How the hook is used, e.g. registerValueTransformer"
+  via: String
+}
+
+type ArgumentSignature {
+  arguments: [String!]!
+  firstSeenVersion: Version!
+  versions: [Version!]!
+}
+
+"A probable rename, from name and location similarity"
+type Rename {
+  hook: Hook!
+  "The version the new name first appears in"
+  version: Version!
+  confidence: Float!
+}
+
+type Query {
+  """
+  Hooks filtered by type, by name (a substring, or a glob with * ? {}),
+  by the version they are present in and by whether their arguments changed
+  """
+  hooks(
+    type: HookType
+    name: String
+    presentIn: String
+    changed: Boolean
+  ): [Hook!]!
+  "A hook by name; hooks of different types can share one"
+  hook(name: String!, type: HookType): Hook
+  "Analyzed versions, oldest first"
+  versions: [Version!]!
+  "A version by name, or latest"
+  version(name: String!): Version
+  latestVersion: Version!
+}
+`;
+
+const schema = buildSchema(SCHEMA);
+
+// Wraps a report in the objects the schema resolves against. Nodes are created
+// once per hook or version so nested queries don't rebuild them.
+function createRoot(report) {
+  const versionNames = getAnalyzedVersions(report);
+  const hooksByKey = new Map(
+    report.hooks.map((hook) => [getHookKey(hook), hook])
+  );
+  const hookNodes = new Map();
+  const versionNodes = new Map();
+
+  const resolveVersionName = (name) =>
+    name === "latest" ? report.latestVersion : name;
+
+  const findHooks = (filters) =>
+    filterHooks(report, filters).map((hook) => getHookNode(hook));
+
+  function getVersionNode(name) {
+    if (!versionNodes.has(name)) {
+      const hookCount = report.hooks.filter((hook) =>
+        hook.locations.some((location) => location.version === name)
+      ).length;
+
+      versionNodes.set(name, {
+        name,
+        commit: (report.versionCommits || {})[name] || null,
+        pluginApiVersion: (report.pluginApiVersions || {})[name] || null,
+        hookCount,
+        hooks: ({ type, name: hookName, changed }) =>
+          findHooks({
+            types: type ? [type] : null,
+            name: hookName,
+            presentIn: name,
+            changedOnly: changed,
+          }),
+      });
+    }
+    return versionNodes.get(name);
+  }
+
+  // Renames are always between hooks of the same type
+  function getRenameNode(rename, type) {
+    const hook =
+      rename && hooksByKey.get(getHookKey({ type, name: rename.name }));
+    if (!hook) {
+      return null;
+    }
+    return {
+      hook: () => getHookNode(hook),
+      version: () => getVersionNode(rename.version),
+      confidence: rename.confidence,
+    };
+  }
+
+  function getHookNode(hook) {
+    const key = getHookKey(hook);
+    if (hookNodes.has(key)) {
+      return hookNodes.get(key);
+    }
+
+    const versions = [
+      ...new Set(hook.locations.map((location) => location.version)),
+    ].sort(compareVersions);
+    const inVersion = (version) => (entry) =>
+      !version || entry.version === resolveVersionName(version);
+
+    const node = {
+      name: hook.name,
+      type: hook.type,
+      dynamic: Boolean(hook.dynamic),
+      namePattern: hook.namePattern || null,
+      firstVersion: () => getVersionNode(versions[0]),
+      lastVersion: () => getVersionNode(versions[versions.length - 1]),
+      retired: versions[versions.length - 1] !== report.latestVersion,
+      versions: () => versions.map(getVersionNode),
+      locations: ({ version }) =>
+        hook.locations.filter(inVersion(version)).map((location) => ({
+          version: () => getVersionNode(location.version),
+          file: location.file,
+          lines: location.lines || [],
+          arguments: location.arguments || [],
+        })),
+      consumers: ({ version }) =>
+        (hook.consumers || []).filter(inVersion(version)).map((consumer) => ({
+          hook: () => node,
+          version: () => getVersionNode(consumer.version),
+          file: consumer.file,
+          lines: consumer.lines || [],
+          via: consumer.via || null,
+        })),
+      argumentHistory: () =>
+        (hook.argumentHistory || []).map((entry) => ({
+          arguments: entry.argumentSignature,
+          firstSeenVersion: () => getVersionNode(entry.firstSeenVersion),
+          versions: () => entry.versions.map(getVersionNode),
+        })),
+      arguments: ({ version }) => {
+        const name = resolveVersionName(version);
+        return versions.includes(name) ? getVersionArguments(hook, name) : null;
+      },
+      argumentChangeCount: hook.argumentChangeCount || 0,
+      renamedFrom: () => getRenameNode(hook.renamedFrom, hook.type),
+      renamedTo: () => getRenameNode(hook.renamedTo, hook.type),
+    };
+
+    hookNodes.set(key, node);
+    return node;
+  }
+
+  return {
+    hooks: ({ type, name, presentIn, changed }) =>
+      findHooks({
+        types: type ? [type] : null,
+        name,
+        presentIn: presentIn && resolveVersionName(presentIn),
+        changedOnly: changed,
+      }),
+    hook: ({ name, type }) => {
+      const hook = report.hooks.find(
+        (entry) => entry.name === name && (!type || entry.type === type)
+      );
+      return hook ? getHookNode(hook) : null;
+    },
+    versions: () => versionNames.map(getVersionNode),
+    version: ({ name }) => {
+      const resolved = resolveVersionName(name);
+      return versionNames.includes(resolved) ? getVersionNode(resolved) : null;
+    },
+    latestVersion: () => getVersionNode(report.latestVersion),
+  };
+}
+
+// Roots are kept per loaded report, so their nodes are shared across requests
+const roots = new WeakMap();
+
+function executeQuery(report, { query, variables, operationName }) {
+  if (!roots.has(report)) {
+    roots.set(report, createRoot(report));
+  }
+
+  return graphql({
+    schema,
+    source: query,
+    rootValue: roots.get(report),
+    variableValues: variables,
+    operationName,
+  });
+}
+
+module.exports = { SCHEMA, executeQuery, schema };
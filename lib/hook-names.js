@@ -0,0 +1,70 @@
+// Describes a hook whose name is only known at runtime. Each part is either a
+// literal string or null for a runtime value, so `${prefix}-class` becomes the
+// pattern "*-class". Names with no literal part at all are recorded under
+// their source expression (or a shorter label for it) instead of a bare "*".
+function describeDynamicName(parts, expression, label = expression) {
+  const namePattern = parts
+    .map((part) => (part === null ? "*" : part))
+    .join("")
+    .replace(/\*+/g, "*");
+
+  return {
+    name: /[^*]/.test(namePattern) ? namePattern : `{${label}}`,
+    dynamic: true,
+    namePattern,
+    nameExpression: expression,
+  };
+}
+
+// Whether a runtime-built name such as "*-class" can produce `name`
+function matchesNamePattern(namePattern, name) {
+  const source = namePattern
+    .split("*")
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".+");
+  return new RegExp(`^${source}$`).test(name);
+}
+
+// Whether a message such as a deprecation notice refers to a hook by name.
+// Only quoted names count, so short names don't match ordinary prose:
+// 'The "topic-title" outlet is deprecated' or "`api.decorateWidget()` is deprecated"
+function mentionsHookName(message, name) {
+  if (!message || !name) {
+    return false;
+  }
+
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`["'\`](?:api\\.)?${escaped}(?:\\(\\))?["'\`]`).test(
+    message
+  );
+}
+
+// How alike two names are, from 0 to 1, based on their edit distance:
+// "topic-list-item-class" and "topic-list-item-classes" score 0.91
+function getNameSimilarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+module.exports = {
+  describeDynamicName,
+  getNameSimilarity,
+  matchesNamePattern,
+  mentionsHookName,
+};
@@ -0,0 +1,29 @@
+// Also loaded by the web page as a plain script, as the HookTypes global
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.HookTypes = factory();
+  }
+})(globalThis, function () {
+  // Every kind of hook the analyzer reports, as used in --type and the GraphQL
+  // HookType enum
+  const HOOK_TYPES = [
+    "plugin_outlet",
+    "app_event_trigger",
+    "value_transformer",
+    "behavior_transformer",
+    "plugin_api_method",
+    "server_event",
+    "server_modifier",
+    "plugin_instance_method",
+  ];
+
+  // Hooks of different types can share a name, e.g. a server event and an app
+  // event, so hooks are told apart by type and name together
+  function getHookKey({ type, name }) {
+    return `${type}|${name}`;
+  }
+
+  return { HOOK_TYPES, getHookKey };
+});
@@ -0,0 +1,122 @@
+const zlib = require("zlib");
+
+// Encodings offered to clients, most preferred first
+const ENCODINGS = ["br", "gzip"];
+
+// Smaller responses gain too little from compression to be worth it
+const MIN_COMPRESS_SIZE = 1024;
+
+const COMPRESSIBLE_TYPES =
+  /^(?:text\/|application\/(?:javascript|json)|image\/svg\+xml)/;
+
+// Validator from the file's size and modification time. Compressed variants
+// differ byte for byte from the file, so they get weak, per-encoding tags.
+function getEtag(stats, encoding = null) {
+  const tag = `${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}`;
+  return encoding ? `W/"${tag}-${encoding}"` : `"${tag}"`;
+}
+
+function stripWeak(etag) {
+  return etag.trim().replace(/^W\//, "");
+}
+
+// Whether the client's cached copy is current (If-None-Match wins over
+// If-Modified-Since, as in RFC 9110)
+function isNotModified(headers, etag, mtime) {
+  const ifNoneMatch = headers["if-none-match"];
+  if (ifNoneMatch) {
+    return (
+      ifNoneMatch.trim() === "*" ||
+      ifNoneMatch
+        .split(",")
+        .some((candidate) => stripWeak(candidate) === stripWeak(etag))
+    );
+  }
+
+  const since = Date.parse(headers["if-modified-since"]);
+  // HTTP dates have whole seconds
+  return !isNaN(since) && Math.floor(mtime.getTime() / 1000) * 1000 <= since;
+}
+
+function isCompressible(contentType, size) {
+  return COMPRESSIBLE_TYPES.test(contentType) && size >= MIN_COMPRESS_SIZE;
+}
+
+// The preferred encoding the client accepts, or null for none
+function negotiateEncoding(acceptEncoding = "") {
+  const accepted = new Map();
+  acceptEncoding.split(",").forEach((part) => {
+    const [name, ...params] = part.trim().toLowerCase().split(";");
+    const q = params
+      .map((param) => param.trim().match(/^q=([\d.]+)$/))
+      .find(Boolean);
+    accepted.set(name, q ? Number(q[1]) : 1);
+  });
+
+  return (
+    ENCODINGS.find((encoding) => {
+      const q = accepted.has(encoding)
+        ? accepted.get(encoding)
+        : accepted.get("*");
+      return q > 0;
+    }) || null
+  );
+}
+
+function createCompressor(encoding) {
+  if (encoding === "br") {
+    // The default quality (11) is too slow for compressing on every request
+    return zlib.createBrotliCompress({
+      params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 },
+    });
+  }
+  return zlib.createGzip();
+}
+
+// A Range applies unless If-Range names a different version of the file
+function isRangeCurrent(ifRange, etag, mtime) {
+  if (!ifRange) {
+    return true;
+  }
+  if (ifRange.startsWith('"') || ifRange.startsWith("W/")) {
+    // Only strong validators can be used with ranges
+    return ifRange === etag && !etag.startsWith("W/");
+  }
+  return Date.parse(ifRange) === Math.floor(mtime.getTime() / 1000) * 1000;
+}
+
+// Parses a single "bytes=" range into inclusive { start, end } offsets.
+// Returns null to serve the whole file (no range, or several ranges) and
+// { unsatisfiable: true } when the range lies outside the file.
+function parseRange(header, size) {
+  const match = (header || "").match(/^bytes=(\d*)-(\d*)$/);
+  if (!match || (match[1] === "" && match[2] === "")) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (match[1] === "") {
+    // "-500" is the last 500 bytes
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end || size === 0) {
+    return { unsatisfiable: true };
+  }
+  return { start, end };
+}
+
+module.exports = {
+  createCompressor,
+  getEtag,
+  isCompressible,
+  isNotModified,
+  isRangeCurrent,
+  negotiateEncoding,
+  parseRange,
+};
@@ -0,0 +1,906 @@
+const path = require("path");
+const { parse } = require("@babel/parser");
+const { Preprocessor } = require("content-tag");
+const { describeDynamicName, mentionsHookName } = require("./hook-names");
+
+// Keys that never contain child nodes worth visiting
+const SKIPPED_KEYS = new Set([
+  "loc",
+  "start",
+  "end",
+  "extra",
+  "leadingComments",
+  "trailingComments",
+  "innerComments",
+  "comments",
+  "tokens",
+  "errors",
+]);
+
+const FUNCTION_TYPES = new Set([
+  "FunctionDeclaration",
+  "FunctionExpression",
+  "ArrowFunctionExpression",
+  "ObjectMethod",
+  "ClassMethod",
+  "ClassPrivateMethod",
+]);
+
+// Transformer names must be listed in these registries (or added through the
+// plugin API) before applyValueTransformer/applyBehaviorTransformer accept them
+const TRANSFORMER_REGISTRIES = {
+  VALUE_TRANSFORMERS: "value_transformer",
+  BEHAVIOR_TRANSFORMERS: "behavior_transformer",
+};
+const TRANSFORMER_REGISTRATION_CALLS = {
+  addValueTransformerName: "value_transformer",
+  addBehaviorTransformerName: "behavior_transformer",
+};
+
+// Fields copied from deprecated() options and deprecatedOutletArgument() calls
+const DEPRECATION_FIELDS = ["id", "since", "dropFrom", "message"];
+
+class JsHookExtractor {
+  constructor() {
+    this.templatePreprocessor = new Preprocessor();
+  }
+
+  canExtract(file) {
+    // .es6 covers the `.js.es6` modules used by older Discourse versions
+    return [".js", ".es6", ".ts", ".gjs"].includes(path.extname(file));
+  }
+
+  extract(content, file) {
+    const ast = this.parse(content, file);
+    if (!ast) {
+      return {
+        hooks: [],
+        consumers: [],
+        deprecations: [],
+        transformerRegistrations: [],
+        pluginApiVersion: null,
+      };
+    }
+
+    const hooks = [];
+    const consumers = [];
+    const deprecations = [];
+    const deprecationCalls = [];
+    const transformerRegistrations = [];
+    const functionHooks = new Map();
+    const constants = this.collectConstantStrings(ast.program);
+    let pluginApiVersion = null;
+
+    this.walk(ast.program, (node, ancestors) => {
+      if (this.isPluginApiClass(node)) {
+        hooks.push(...this.extractPluginApiMethods(node, file));
+        return;
+      }
+
+      if (
+        node.type === "VariableDeclarator" &&
+        node.id.type === "Identifier" &&
+        node.id.name === "PLUGIN_API_VERSION" &&
+        node.init
+      ) {
+        pluginApiVersion =
+          node.init.type === "NumericLiteral"
+            ? String(node.init.value)
+            : this.getStaticString(node.init);
+        return;
+      }
+
+      if (this.isTransformerRegistry(node)) {
+        transformerRegistrations.push(
+          ...this.extractTransformerRegistry(node, file)
+        );
+        return;
+      }
+
+      if (this.isDeprecatedRegistry(node)) {
+        deprecations.push(
+          ...this.extractDeprecatedRegistry(node, content, file)
+        );
+        return;
+      }
+
+      if (
+        node.type !== "CallExpression" &&
+        node.type !== "OptionalCallExpression"
+      ) {
+        return;
+      }
+
+      // Linked to hooks once the whole file has been walked
+      if (
+        this.isNamed(node.callee, "deprecated") ||
+        this.isNamed(node.callee, "deprecatedOutletArgument")
+      ) {
+        deprecationCalls.push({ node, ancestors: [...ancestors] });
+        return;
+      }
+
+      const [nameNode, ...argNodes] = node.arguments;
+
+      const registration = this.getTransformerRegistration(node.callee);
+      if (registration) {
+        const hookName = this.getHookName(nameNode, content, constants);
+        if (hookName) {
+          transformerRegistrations.push({
+            ...hookName,
+            ...registration,
+            file,
+            lines: this.getLines(node),
+          });
+        }
+        return;
+      }
+
+      const type = this.getHookType(node.callee);
+      if (type) {
+        const hookName = this.getHookName(nameNode, content, constants);
+        if (!hookName) {
+          return;
+        }
+
+        const hook = {
+          ...hookName,
+          type,
+          file,
+          lines: this.getLines(node),
+          span: this.getSpan(node),
+          // Behavior transformers take a callback, not data, so arguments aren't tracked
+          arguments:
+            type === "behavior_transformer"
+              ? []
+              : argNodes.map((arg) => this.describeArgument(arg)),
+          argumentExpressions: argNodes.map((arg) =>
+            this.getSource(content, arg)
+          ),
+        };
+        hooks.push(hook);
+
+        ancestors
+          .filter((ancestor) => FUNCTION_TYPES.has(ancestor.type))
+          .forEach((fn) => {
+            if (!functionHooks.has(fn)) {
+              functionHooks.set(fn, []);
+            }
+            functionHooks.get(fn).push(hook);
+          });
+        return;
+      }
+
+      const consumer = this.getConsumerType(node.callee);
+      if (consumer) {
+        const hookName = this.getHookName(nameNode, content, constants);
+        if (!hookName) {
+          return;
+        }
+
+        consumers.push({
+          ...hookName,
+          ...consumer,
+          file,
+          lines: this.getLines(node),
+          span: this.getSpan(node),
+        });
+      }
+    });
+
+    deprecationCalls.forEach(({ node, ancestors }) => {
+      deprecations.push(
+        ...this.describeDeprecationCall(node, ancestors, {
+          content,
+          file,
+          functionHooks,
+        })
+      );
+    });
+
+    return {
+      hooks,
+      consumers,
+      deprecations,
+      transformerRegistrations,
+      pluginApiVersion,
+    };
+  }
+
+  // Outlet arguments read in JavaScript: this.args.outletArgs.topic,
+  // outletArgs.topic in shouldRender, or const { topic } = this.args.outletArgs
+  getOutletArgumentUsages(content, file) {
+    const ast = this.parse(content, file);
+    if (!ast) {
+      return [];
+    }
+
+    const names = new Set();
+    this.walk(ast.program, (node) => {
+      if (
+        this.isMemberExpression(node) &&
+        this.isNamed(node.object, "outletArgs")
+      ) {
+        const name = this.getPropertyName(node);
+        if (name) {
+          names.add(name);
+        }
+      } else if (
+        node.type === "VariableDeclarator" &&
+        node.id.type === "ObjectPattern" &&
+        node.init &&
+        this.isNamed(node.init, "outletArgs")
+      ) {
+        node.id.properties
+          .filter(
+            (property) =>
+              property.type === "ObjectProperty" && !property.computed
+          )
+          .forEach((property) => names.add(this.getPropertyKey(property)));
+      }
+    });
+
+    return [...names];
+  }
+
+  isTransformerRegistry(node) {
+    return (
+      node.type === "VariableDeclarator" &&
+      node.id.type === "Identifier" &&
+      Object.hasOwn(TRANSFORMER_REGISTRIES, node.id.name) &&
+      Boolean(node.init)
+    );
+  }
+
+  extractTransformerRegistry(node, file) {
+    // VALUE_TRANSFORMERS = Object.freeze(["home-logo-href", ...])
+    const value = this.getRegistryValue(node.init);
+    if (value.type !== "ArrayExpression") {
+      return [];
+    }
+
+    return value.elements
+      .filter((element) => element && this.getStaticString(element))
+      .map((element) => ({
+        name: this.getStaticString(element),
+        type: TRANSFORMER_REGISTRIES[node.id.name],
+        via: node.id.name,
+        file,
+        lines: this.getLines(element),
+      }));
+  }
+
+  getTransformerRegistration(callee) {
+    // api.addValueTransformerName("name") from plugins
+    const method = Object.keys(TRANSFORMER_REGISTRATION_CALLS).find((name) =>
+      this.isNamed(callee, name)
+    );
+    return method
+      ? { type: TRANSFORMER_REGISTRATION_CALLS[method], via: method }
+      : null;
+  }
+
+  getRegistryValue(node) {
+    // Object.freeze([...]), new Set([...]) and new Map([...]) wrap the list itself
+    let value = node;
+    while (
+      (value.type === "CallExpression" || value.type === "NewExpression") &&
+      value.arguments.length > 0
+    ) {
+      value = value.arguments[0];
+    }
+    return value;
+  }
+
+  describeDeprecationCall(node, ancestors, { content, file, functionHooks }) {
+    const base = { file, lines: this.getLines(node) };
+
+    // deprecatedOutletArgument({ value, message, id, since, dropFrom }) sits
+    // under the outlet argument it replaces, e.g. `topic: deprecatedOutletArgument(...)`
+    if (this.isNamed(node.callee, "deprecatedOutletArgument")) {
+      const parent = ancestors[ancestors.length - 1];
+      return [
+        {
+          ...base,
+          name: null,
+          type: "plugin_outlet",
+          via: "deprecatedOutletArgument",
+          argument:
+            parent?.type === "ObjectProperty" && !parent.computed
+              ? this.getPropertyKey(parent)
+              : null,
+          ...this.getDeprecationFields(node.arguments[0], content),
+        },
+      ];
+    }
+
+    // deprecated(message, { id, since, dropFrom })
+    const [messageNode, optionsNode] = node.arguments;
+    const deprecation = {
+      ...base,
+      via: "deprecated",
+      ...this.getDeprecationFields(optionsNode, content),
+      message: this.getMessage(messageNode, content),
+    };
+
+    // Prefer the hooks of the function the call guards, narrowed to any the
+    // message names; otherwise the name in the message is matched against
+    // every hook when versions are merged
+    const hooks = this.getEnclosingHooks(ancestors, functionHooks);
+    const mentioned = hooks.filter((hook) =>
+      mentionsHookName(deprecation.message, hook.name)
+    );
+    const targets = mentioned.length > 0 ? mentioned : hooks;
+
+    if (targets.length === 0) {
+      return [{ ...deprecation, name: null, type: null }];
+    }
+
+    return targets.map((hook) => ({
+      ...deprecation,
+      name: hook.name,
+      type: hook.type,
+    }));
+  }
+
+  getEnclosingHooks(ancestors, functionHooks) {
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+      const ancestor = ancestors[i];
+      if (!FUNCTION_TYPES.has(ancestor.type)) {
+        continue;
+      }
+
+      if (functionHooks.has(ancestor)) {
+        return functionHooks.get(ancestor);
+      }
+
+      // A deprecated PluginApi method: ClassMethod > ClassBody > class PluginApi
+      if (
+        ancestor.type === "ClassMethod" &&
+        !ancestor.computed &&
+        ancestor.key.type === "Identifier" &&
+        this.isPluginApiClass(ancestors[i - 2] || {})
+      ) {
+        return [{ name: ancestor.key.name, type: "plugin_api_method" }];
+      }
+    }
+
+    return [];
+  }
+
+  getDeprecationFields(node, content) {
+    const fields = {};
+    DEPRECATION_FIELDS.forEach((field) => {
+      fields[field] = null;
+    });
+
+    if (node?.type !== "ObjectExpression") {
+      return fields;
+    }
+
+    node.properties.forEach((property) => {
+      if (property.type !== "ObjectProperty" || property.computed) {
+        return;
+      }
+
+      const key = this.getPropertyKey(property);
+      if (DEPRECATION_FIELDS.includes(key)) {
+        fields[key] =
+          key === "message"
+            ? this.getMessage(property.value, content)
+            : this.getStaticString(property.value);
+      }
+    });
+
+    return fields;
+  }
+
+  getMessage(node, content) {
+    if (!node) {
+      return null;
+    }
+
+    // Messages built from template literals or concatenation keep their source
+    return this.getStaticString(node) ?? this.getSource(content, node);
+  }
+
+  getPropertyKey(property) {
+    if (property.key.type === "Identifier") {
+      return property.key.name;
+    }
+    return this.getStaticString(property.key);
+  }
+
+  isDeprecatedRegistry(node) {
+    return (
+      node.type === "VariableDeclarator" &&
+      node.id.type === "Identifier" &&
+      /^DEPRECATED_\w*TRANSFORMERS?$/.test(node.id.name) &&
+      Boolean(node.init)
+    );
+  }
+
+  extractDeprecatedRegistry(node, content, file) {
+    // DEPRECATED_VALUE_TRANSFORMERS = Object.freeze(["name", ...]), or entries
+    // carrying details: [{ name, id, since, dropFrom }] / { name: { id, ... } }
+    // / new Map([["name", { id, ... }]])
+    const registryName = node.id.name;
+    let type = null;
+    if (registryName.includes("VALUE_TRANSFORMER")) {
+      type = "value_transformer";
+    } else if (registryName.includes("BEHAVIOR_TRANSFORMER")) {
+      type = "behavior_transformer";
+    }
+
+    const value = this.getRegistryValue(node.init);
+    const entries = [];
+    if (value.type === "ArrayExpression") {
+      value.elements.forEach((element) => {
+        if (!element) {
+          return;
+        }
+
+        const name = this.getStaticString(element);
+        if (name) {
+          entries.push({ name, node: element, details: null });
+        } else if (element.type === "ObjectExpression") {
+          const nameProperty = element.properties.find(
+            (property) =>
+              property.type === "ObjectProperty" &&
+              this.getPropertyKey(property) === "name"
+          );
+          const entryName =
+            nameProperty && this.getStaticString(nameProperty.value);
+          if (entryName) {
+            entries.push({ name: entryName, node: element, details: element });
+          }
+        } else if (
+          element.type === "ArrayExpression" &&
+          element.elements.length > 0
+        ) {
+          const entryName = this.getStaticString(element.elements[0]);
+          if (entryName) {
+            entries.push({
+              name: entryName,
+              node: element,
+              details: element.elements[1],
+            });
+          }
+        }
+      });
+    } else if (value.type === "ObjectExpression") {
+      value.properties.forEach((property) => {
+        if (property.type === "ObjectProperty" && !property.computed) {
+          entries.push({
+            name: this.getPropertyKey(property),
+            node: property,
+            details: property.value,
+          });
+        }
+      });
+    }
+
+    return entries
+      .filter(({ name }) => name)
+      .map((entry) => ({
+        name: entry.name,
+        type,
+        via: registryName,
+        file,
+        lines: this.getLines(entry.node),
+        ...this.getDeprecationFields(entry.details, content),
+      }));
+  }
+
+  isPluginApiClass(node) {
+    return (
+      (node.type === "ClassDeclaration" || node.type === "ClassExpression") &&
+      node.id?.name === "PluginApi"
+    );
+  }
+
+  extractPluginApiMethods(node, file) {
+    // Every public method on the class is something plugins can call as `api.*`
+    return node.body.body
+      .filter(
+        (member) =>
+          member.type === "ClassMethod" &&
+          member.kind === "method" &&
+          !member.static &&
+          !member.computed &&
+          member.key.type === "Identifier" &&
+          !member.key.name.startsWith("_")
+      )
+      .map((member) => {
+        const lines = [];
+        for (
+          let line = member.key.loc.start.line;
+          line <= member.body.loc.start.line;
+          line++
+        ) {
+          lines.push(line);
+        }
+
+        return {
+          name: member.key.name,
+          type: "plugin_api_method",
+          file,
+          lines,
+          span: this.getSpan(member),
+          arguments: member.params.map((param) => this.describeParam(param)),
+        };
+      });
+  }
+
+  describeParam(node) {
+    switch (node.type) {
+      case "Identifier":
+        return node.name;
+      // Optional parameters use the JSDoc [name] convention
+      case "AssignmentPattern":
+        return `[${this.describeParam(node.left)}]`;
+      case "RestElement":
+        return `...${this.describeParam(node.argument)}`;
+      case "ObjectPattern":
+        return `{${node.properties
+          .map((property) => {
+            if (property.type === "RestElement") {
+              return this.describeParam(property);
+            }
+            return !property.computed && property.key.type === "Identifier"
+              ? property.key.name
+              : "value";
+          })
+          .join(",")}}`;
+      case "ArrayPattern":
+        return "array";
+      case "TSParameterProperty":
+        return this.describeParam(node.parameter);
+      default:
+        return "value";
+    }
+  }
+
+  parse(content, file) {
+    const ext = path.extname(file);
+    const source = ext === ".gjs" ? this.blankTemplates(content) : content;
+
+    try {
+      return parse(source, {
+        sourceType: "module",
+        allowImportExportEverywhere: true,
+        allowReturnOutsideFunction: true,
+        allowUndeclaredExports: true,
+        errorRecovery: true,
+        plugins:
+          ext === ".ts"
+            ? ["typescript", "decorators-legacy"]
+            : ["decorators-legacy"],
+      });
+    } catch {
+      // Unparseable files (e.g. syntax from very old versions) have no hooks we can trust
+      return null;
+    }
+  }
+
+  collectConstantStrings(program) {
+    // Module-level and local `const NAME = "value"` bindings, so hook names
+    // passed through a constant resolve to the real name
+    const constants = new Map();
+    const ambiguous = new Set();
+
+    this.walk(program, (node) => {
+      if (node.type !== "VariableDeclaration" || node.kind !== "const") {
+        return;
+      }
+
+      node.declarations.forEach((declarator) => {
+        const value = this.getStaticString(declarator.init);
+        if (declarator.id.type !== "Identifier" || value === null) {
+          return;
+        }
+
+        const name = declarator.id.name;
+        if (constants.has(name) && constants.get(name) !== value) {
+          ambiguous.add(name);
+        }
+        constants.set(name, value);
+      });
+    });
+
+    ambiguous.forEach((name) => constants.delete(name));
+    return constants;
+  }
+
+  getHookName(node, content, constants) {
+    if (!node || node.type === "SpreadElement") {
+      return null;
+    }
+
+    const parts = this.getNameParts(node, constants);
+    if (!parts.includes(null)) {
+      const name = parts.join("");
+      return name ? { name } : null;
+    }
+
+    return describeDynamicName(parts, this.getSource(content, node));
+  }
+
+  getNameParts(node, constants) {
+    const value =
+      node.type === "Identifier"
+        ? constants.get(node.name)
+        : this.getStaticString(node);
+    if (value !== null && value !== undefined) {
+      return [value];
+    }
+
+    // `${prefix}-class`
+    if (node.type === "TemplateLiteral") {
+      return node.quasis.flatMap((quasi, index) =>
+        index < node.expressions.length
+          ? [
+              quasi.value.cooked,
+              ...this.getNameParts(node.expressions[index], constants),
+            ]
+          : [quasi.value.cooked]
+      );
+    }
+
+    // "topic-" + type
+    if (node.type === "BinaryExpression" && node.operator === "+") {
+      return [
+        ...this.getNameParts(node.left, constants),
+        ...this.getNameParts(node.right, constants),
+      ];
+    }
+
+    return [null];
+  }
+
+  blankTemplates(content) {
+    // Replace each <template> block with a placeholder of identical length so
+    // Babel can parse the file while line and column positions stay accurate
+    let templates;
+    try {
+      templates = this.templatePreprocessor.parse(content);
+    } catch {
+      return content;
+    }
+
+    let output = "";
+    let offset = 0;
+
+    templates.forEach(({ type, range }) => {
+      const start = range.startUtf16Codepoint;
+      const end = range.endUtf16Codepoint;
+      const blank = content.slice(start, end).replace(/[^\n]/g, " ");
+
+      output += content.slice(offset, start);
+      output +=
+        type === "class-member"
+          ? `static{${blank.slice(8)}}`
+          : `\`${blank.slice(2)}\``;
+      offset = end;
+    });
+
+    return output + content.slice(offset);
+  }
+
+  walk(node, visitor, ancestors = []) {
+    if (!node || typeof node.type !== "string") {
+      return;
+    }
+
+    visitor(node, ancestors);
+
+    ancestors.push(node);
+
+    Object.keys(node).forEach((key) => {
+      if (SKIPPED_KEYS.has(key)) {
+        return;
+      }
+
+      const value = node[key];
+      if (Array.isArray(value)) {
+        value.forEach((child) => this.walk(child, visitor, ancestors));
+      } else if (value && typeof value === "object") {
+        this.walk(value, visitor, ancestors);
+      }
+    });
+    ancestors.pop();
+  }
+
+  getHookType(callee) {
+    if (this.isNamed(callee, "applyValueTransformer")) {
+      return "value_transformer";
+    }
+
+    if (this.isNamed(callee, "applyBehaviorTransformer")) {
+      return "behavior_transformer";
+    }
+
+    if (
+      this.isMemberExpression(callee) &&
+      this.getPropertyName(callee) === "trigger" &&
+      this.isAppEvents(callee.object)
+    ) {
+      return "app_event_trigger";
+    }
+
+    return null;
+  }
+
+  getConsumerType(callee) {
+    const consumerMethods = {
+      registerValueTransformer: "value_transformer",
+      registerBehaviorTransformer: "behavior_transformer",
+      onAppEvent: "app_event_trigger",
+      renderInOutlet: "plugin_outlet",
+      renderBeforeWrapperOutlet: "plugin_outlet",
+      renderAfterWrapperOutlet: "plugin_outlet",
+    };
+
+    const method = Object.keys(consumerMethods).find((name) =>
+      this.isNamed(callee, name)
+    );
+    if (method) {
+      return { type: consumerMethods[method], via: method };
+    }
+
+    // appEvents.on(...), appEvents.off(...), appEvents.one(...)
+    if (this.isMemberExpression(callee) && this.isAppEvents(callee.object)) {
+      const eventMethod = this.getPropertyName(callee);
+      if (["on", "off", "one"].includes(eventMethod)) {
+        return { type: "app_event_trigger", via: `appEvents.${eventMethod}` };
+      }
+    }
+
+    return null;
+  }
+
+  isNamed(callee, name) {
+    // Matches both `fn(...)` and `obj.fn(...)`
+    if (callee.type === "Identifier") {
+      return callee.name === name;
+    }
+
+    return (
+      this.isMemberExpression(callee) && this.getPropertyName(callee) === name
+    );
+  }
+
+  isAppEvents(node) {
+    // appEvents.trigger(...)
+    if (node.type === "Identifier") {
+      return node.name === "appEvents";
+    }
+
+    // this.appEvents.trigger(...), api.container.appEvents.trigger(...)
+    if (this.isMemberExpression(node)) {
+      return this.getPropertyName(node) === "appEvents";
+    }
+
+    // getOwner(this).lookup("service:app-events").trigger(...)
+    if (
+      (node.type === "CallExpression" ||
+        node.type === "OptionalCallExpression") &&
+      this.isMemberExpression(node.callee) &&
+      this.getPropertyName(node.callee) === "lookup"
+    ) {
+      return ["service:app-events", "app-events:main"].includes(
+        this.getStaticString(node.arguments[0])
+      );
+    }
+
+    return false;
+  }
+
+  isMemberExpression(node) {
+    return (
+      node.type === "MemberExpression" ||
+      node.type === "OptionalMemberExpression"
+    );
+  }
+
+  getPropertyName(node) {
+    if (!node.computed && node.property.type === "Identifier") {
+      return node.property.name;
+    }
+
+    return this.getStaticString(node.property);
+  }
+
+  getStaticString(node) {
+    if (!node) {
+      return null;
+    }
+
+    if (node.type === "StringLiteral") {
+      return node.value;
+    }
+
+    if (node.type === "TemplateLiteral" && node.expressions.length === 0) {
+      return node.quasis[0].value.cooked;
+    }
+
+    return null;
+  }
+
+  describeArgument(node) {
+    // Reduce an argument expression to the name a plugin author would use for it
+    switch (node.type) {
+      case "Identifier":
+        return node.name;
+      case "ThisExpression":
+        return "this";
+      case "MemberExpression":
+      case "OptionalMemberExpression":
+        return this.getPropertyName(node) || "value";
+      case "CallExpression":
+      case "OptionalCallExpression":
+        return this.isMemberExpression(node.callee)
+          ? this.getPropertyName(node.callee) || "value"
+          : this.describeArgument(node.callee);
+      case "ObjectExpression":
+        return this.describeObject(node);
+      case "StringLiteral":
+      case "TemplateLiteral":
+        return "string";
+      case "NumericLiteral":
+        return "number";
+      case "BooleanLiteral":
+        return "boolean";
+      case "NullLiteral":
+        return "null";
+      case "ArrayExpression":
+        return "array";
+      case "ArrowFunctionExpression":
+      case "FunctionExpression":
+        return "function";
+      case "AwaitExpression":
+      case "TSAsExpression":
+      case "TSNonNullExpression":
+        return this.describeArgument(node.argument || node.expression);
+      default:
+        return "value";
+    }
+  }
+
+  describeObject(node) {
+    const keys = [];
+
+    node.properties.forEach((property) => {
+      if (property.type === "SpreadElement") {
+        keys.push(`...${this.describeArgument(property.argument)}`);
+      } else if (!property.computed && property.key.type === "Identifier") {
+        keys.push(property.key.name);
+      } else if (this.getStaticString(property.key)) {
+        keys.push(this.getStaticString(property.key));
+      }
+    });
+
+    return keys.length > 0 ? `{${keys.sort().join(",")}}` : "object";
+  }
+
+  getSource(content, node) {
+    return content.slice(node.start, node.end);
+  }
+
+  getSpan(node) {
+    return {
+      start: { line: node.loc.start.line, column: node.loc.start.column },
+      end: { line: node.loc.end.line, column: node.loc.end.column },
+    };
+  }
+
+  getLines(node) {
+    const lines = [];
+    for (let line = node.loc.start.line; line <= node.loc.end.line; line++) {
+      lines.push(line);
+    }
+    return lines;
+  }
+}
+
+module.exports = JsHookExtractor;
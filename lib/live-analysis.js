@@ -0,0 +1,163 @@
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { execFileSync, fork } = require("child_process");
+const { isRemoteRepository, resolveRepository } = require("./repository");
+
+// Quiet period after the last ref change before re-analyzing, so a fetch or
+// rebase that touches many refs only triggers one run
+const WATCH_DEBOUNCE = 2000;
+
+const ANALYSIS_PROCESS = path.join(__dirname, "analysis-process.js");
+
+// Runs the analysis inside the web server, one run at a time, and re-runs it
+// when a local Discourse checkout gets new commits or tags. Emits "progress"
+// with the analyzer's progress, "complete" and "failed".
+class LiveAnalysis extends EventEmitter {
+  constructor(analyzerOptions = {}) {
+    super();
+    this.analyzerOptions = analyzerOptions;
+    this.running = false;
+    // A run requested while another one is in progress
+    this.pending = false;
+    this.lastRun = null;
+    this.child = null;
+  }
+
+  getStatus() {
+    return { running: this.running, lastRun: this.lastRun };
+  }
+
+  // Starts a run, or queues one to follow the current run
+  analyze(reason) {
+    if (this.running) {
+      this.pending = true;
+      return false;
+    }
+
+    this.running = true;
+    this.emit("progress", { stage: "start", message: reason });
+    this.runAnalysis().finally(() => {
+      this.running = false;
+      if (this.pending) {
+        this.pending = false;
+        this.analyze("Changes arrived during the last run");
+      }
+    });
+    return true;
+  }
+
+  async runAnalysis() {
+    const startedAt = Date.now();
+
+    try {
+      await this.runAnalysisProcess();
+
+      this.lastRun = {
+        finishedAt: new Date().toISOString(),
+        duration: (Date.now() - startedAt) / 1000,
+        error: null,
+      };
+      this.emit("complete", this.lastRun);
+    } catch (error) {
+      console.error(`Live analysis failed: ${error.message}`);
+      this.lastRun = {
+        finishedAt: new Date().toISOString(),
+        duration: (Date.now() - startedAt) / 1000,
+        error: error.message,
+      };
+      this.emit("failed", this.lastRun);
+    }
+  }
+
+  // The analyzer runs synchronous git and file operations for most of a run,
+  // which would stall every request and event stream if it ran in the server
+  runAnalysisProcess() {
+    return new Promise((resolve, reject) => {
+      const child = fork(ANALYSIS_PROCESS);
+      this.child = child;
+      let result = null;
+
+      child.on("message", (message) => {
+        if (message.type === "progress") {
+          this.emit("progress", message.progress);
+        } else {
+          result = message;
+        }
+      });
+      child.on("error", reject);
+      child.on("exit", (code, signal) => {
+        this.child = null;
+        if (result && result.type === "complete") {
+          resolve();
+        } else {
+          reject(
+            new Error(
+              result
+                ? result.error
+                : `Analysis process exited with ${signal || `code ${code}`}`
+            )
+          );
+        }
+      });
+
+      child.send(this.analyzerOptions);
+    });
+  }
+
+  // Watches the refs of a local --repo checkout. Remote repositories can't be
+  // watched, so they are only re-analyzed on request.
+  watch() {
+    const repository = resolveRepository(this.analyzerOptions.repository);
+    if (isRemoteRepository(repository)) {
+      console.log(
+        "Watching needs --repo pointing at a local checkout; re-analyze from the web UI instead"
+      );
+      return false;
+    }
+
+    let gitDir;
+    try {
+      gitDir = execFileSync(
+        "git",
+        ["-C", repository, "rev-parse", "--absolute-git-dir"],
+        { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }
+      ).trim();
+    } catch {
+      console.error(`${repository} is not a git repository; not watching it`);
+      return false;
+    }
+
+    let timer = null;
+    this.watcher = fs.watch(gitDir, { recursive: true }, (event, file) => {
+      // New commits and tags only show up as ref changes
+      const name = (file || "").replace(/\\/g, "/");
+      const isRef =
+        name === "HEAD" || name === "packed-refs" || name.startsWith("refs/");
+      if (!isRef || name.endsWith(".lock")) {
+        return;
+      }
+
+      clearTimeout(timer);
+      timer = setTimeout(
+        () => this.analyze(`${repository} changed`),
+        WATCH_DEBOUNCE
+      );
+    });
+
+    console.log(`Watching ${repository} for new commits and tags`);
+    return true;
+  }
+
+  close() {
+    if (this.child) {
+      this.child.kill();
+    }
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+module.exports = LiveAnalysis;
@@ -0,0 +1,180 @@
+const { compareVersions } = require("./versions");
+const { matchesNamePattern } = require("./hook-names");
+const { getAnalyzedVersions, getVersionArguments } = require("./diff");
+
+// One entry per hook a plugin uses, with every place it's used from
+function getHookUsages({ hooks, consumers }) {
+  // Hooks the plugin produces itself, such as its own outlets or app events
+  const ownHooks = new Set(hooks.map((hook) => `${hook.type}|${hook.name}`));
+  const usages = new Map();
+
+  consumers.forEach((consumer) => {
+    const key = `${consumer.type}|${consumer.name}`;
+    if (ownHooks.has(key)) {
+      return;
+    }
+
+    if (!usages.has(key)) {
+      usages.set(key, {
+        name: consumer.name,
+        type: consumer.type,
+        dynamic: Boolean(consumer.dynamic),
+        files: [],
+        outletArguments: new Set(),
+      });
+    }
+
+    const usage = usages.get(key);
+    usage.files.push(
+      consumer.lines.length > 0
+        ? `${consumer.file}:${consumer.lines.join(",")}`
+        : consumer.file
+    );
+    (consumer.outletArguments || []).forEach((arg) =>
+      usage.outletArguments.add(arg)
+    );
+  });
+
+  return [...usages.values()].map((usage) => ({
+    ...usage,
+    outletArguments: [...usage.outletArguments].sort(),
+  }));
+}
+
+// The report's hook for a usage, including runtime-built names like "*-class"
+function findHook(report, usage) {
+  return (
+    report.hooks.find(
+      (hook) => hook.name === usage.name && hook.type === usage.type
+    ) ||
+    report.hooks.find(
+      (hook) =>
+        hook.dynamic &&
+        hook.type === usage.type &&
+        matchesNamePattern(hook.namePattern, usage.name)
+    )
+  );
+}
+
+function getUsageProblems(hook, usage, { target, from }) {
+  if (!hook) {
+    return ["not found in any analyzed version"];
+  }
+
+  const versions = [...new Set(hook.locations.map((loc) => loc.version))].sort(
+    compareVersions
+  );
+  if (!versions.includes(target)) {
+    const first = versions[0];
+    const last = versions[versions.length - 1];
+    if (compareVersions(target, first) < 0) {
+      return [`only added in ${first}`];
+    }
+    if (compareVersions(target, last) > 0) {
+      return [`retired, last present in ${last}`];
+    }
+    return [`not present in ${target}`];
+  }
+
+  const problems = [];
+  const targetArguments = getVersionArguments(hook, target);
+
+  if (usage.type === "plugin_outlet") {
+    // Outlets whose arguments couldn't be read are given the benefit of the doubt
+    const missing = usage.outletArguments.filter(
+      (arg) => !targetArguments.includes(arg)
+    );
+    if (targetArguments.length > 0 && missing.length > 0) {
+      problems.push(
+        `doesn't pass ${missing.map((arg) => `@outletArgs.${arg}`).join(", ")} in ${target}`
+      );
+    }
+  } else if (from && versions.includes(from)) {
+    const fromArguments = getVersionArguments(hook, from);
+    if (fromArguments.join(",") !== targetArguments.join(",")) {
+      problems.push(
+        `arguments changed from (${fromArguments.join(", ")}) in ${from} to (${targetArguments.join(", ")})`
+      );
+    }
+  }
+
+  return problems;
+}
+
+// Checks the hooks a plugin or theme uses against one version of the report.
+// Argument changes are reported relative to `from`, by default the version
+// analyzed just before the target.
+function checkPlugin(report, pluginHooks, { target, from = null }) {
+  const versions = getAnalyzedVersions(report);
+  [target, from].filter(Boolean).forEach((version) => {
+    if (!versions.includes(version)) {
+      throw new Error(`${version} is not in the report`);
+    }
+  });
+  const baseline = from || versions[versions.indexOf(target) - 1] || null;
+
+  const usages = getHookUsages(pluginHooks);
+  const problems = [];
+  const skipped = [];
+
+  usages.forEach((usage) => {
+    // Names only known at runtime can't be looked up
+    if (usage.dynamic) {
+      skipped.push({ name: usage.name, type: usage.type, files: usage.files });
+      return;
+    }
+
+    const hook = findHook(report, usage);
+    getUsageProblems(hook, usage, { target, from: baseline }).forEach(
+      (message) => {
+        problems.push({
+          name: usage.name,
+          type: usage.type,
+          message,
+          files: usage.files,
+        });
+      }
+    );
+  });
+
+  return {
+    target,
+    from: baseline,
+    checked: usages.length - skipped.length,
+    problems,
+    skipped,
+  };
+}
+
+function formatCheck(result, format = "text") {
+  if (format === "json") {
+    return JSON.stringify(result, null, 2);
+  }
+
+  const lines = [
+    `Checking against ${result.target}` +
+      (result.from ? ` (argument changes since ${result.from})` : ""),
+    "",
+  ];
+
+  result.problems.forEach((problem) => {
+    lines.push(`✗ ${problem.name} (${problem.type}): ${problem.message}`);
+    problem.files.forEach((file) => lines.push(`    ${file}`));
+  });
+  result.skipped.forEach((usage) => {
+    lines.push(
+      `? ${usage.name} (${usage.type}): name built at runtime, skipped`
+    );
+  });
+
+  if (result.problems.length > 0 || result.skipped.length > 0) {
+    lines.push("");
+  }
+  lines.push(
+    `${result.problems.length} problem${result.problems.length !== 1 ? "s" : ""} in ${result.checked} hooks used`
+  );
+
+  return lines.join("\n");
+}
+
+module.exports = { checkPlugin, formatCheck, getHookUsages };
@@ -0,0 +1,132 @@
+const { matchesGlob } = require("./glob");
+const { compareVersions } = require("./versions");
+
+const FORMATS = ["table", "json", "csv"];
+
+// The same filters as the web UI's hook list. `name` matches as a
+// case-insensitive substring, a glob when it has wildcards, or a RegExp.
+function filterHooks(report, filters = {}) {
+  const { name, types, introducedIn, presentIn, changedOnly, file } = filters;
+
+  let matchesName = () => true;
+  if (name instanceof RegExp) {
+    matchesName = (hookName) => name.test(hookName);
+  } else if (name && /[*?{]/.test(name)) {
+    matchesName = (hookName) => matchesGlob(hookName, name);
+  } else if (name) {
+    const term = name.toLowerCase();
+    matchesName = (hookName) => hookName.toLowerCase().includes(term);
+  }
+
+  return report.hooks.filter((hook) => {
+    if (!matchesName(hook.name)) {
+      return false;
+    }
+    if (types && !types.includes(hook.type)) {
+      return false;
+    }
+    if (changedOnly && !hook.hasArgumentChanges) {
+      return false;
+    }
+    if (introducedIn && hook.firstVersion !== introducedIn) {
+      return false;
+    }
+
+    // File globs only look at the locations in --present-in, when given
+    const locations = presentIn
+      ? hook.locations.filter((location) => location.version === presentIn)
+      : hook.locations;
+    if (locations.length === 0) {
+      return false;
+    }
+    if (
+      file &&
+      !locations.some((location) => matchesGlob(location.file, file))
+    ) {
+      return false;
+    }
+
+    return true;
+  });
+}
+
+// One row per hook, with the locations of the last version it's in
+function getQueryRow(report, hook) {
+  const versions = [...new Set(hook.locations.map((loc) => loc.version))].sort(
+    compareVersions
+  );
+  const lastVersion = versions[versions.length - 1];
+
+  return {
+    name: hook.name,
+    type: hook.type,
+    firstVersion: versions[0],
+    lastVersion,
+    retired: lastVersion !== report.latestVersion,
+    argumentChanges: hook.argumentChangeCount || 0,
+    locations: hook.locations
+      .filter((location) => location.version === lastVersion)
+      .map((location) => ({
+        file: location.file,
+        lines: location.lines || [],
+      })),
+  };
+}
+
+function formatLocation(location) {
+  return location.lines.length > 0
+    ? `${location.file}:${location.lines.join(",")}`
+    : location.file;
+}
+
+function formatCsvValue(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const COLUMNS = [
+  { title: "name", value: (row) => row.name },
+  { title: "type", value: (row) => row.type },
+  { title: "first_version", value: (row) => row.firstVersion },
+  { title: "last_version", value: (row) => row.lastVersion },
+  { title: "retired", value: (row) => row.retired },
+  { title: "argument_changes", value: (row) => row.argumentChanges },
+  {
+    title: "locations",
+    value: (row) => row.locations.map(formatLocation).join(" "),
+  },
+];
+
+function formatQuery(report, hooks, format = "table") {
+  const rows = hooks.map((hook) => getQueryRow(report, hook));
+
+  if (format === "json") {
+    return JSON.stringify(rows, null, 2);
+  }
+
+  const table = [
+    COLUMNS.map((column) => column.title),
+    ...rows.map((row) => COLUMNS.map((column) => String(column.value(row)))),
+  ];
+
+  if (format === "csv") {
+    return table.map((cells) => cells.map(formatCsvValue).join(",")).join("\n");
+  }
+
+  // Pad every column but the last to its widest cell
+  const widths = COLUMNS.map((column, i) =>
+    Math.max(...table.map((cells) => cells[i].length))
+  );
+  return table
+    .map((cells) =>
+      cells
+        .map((cell, i) =>
+          i < cells.length - 1 ? cell.padEnd(widths[i]) : cell
+        )
+        .join("  ")
+        .trimEnd()
+    )
+    .join("\n");
+}
+
+module.exports = { FORMATS, filterHooks, formatQuery, getQueryRow };
@@ -0,0 +1,76 @@
+const { compareVersions } = require("./versions");
+
+function countByType(hooks) {
+  const counts = {};
+  hooks.forEach((hook) => {
+    counts[hook.type] = (counts[hook.type] || 0) + 1;
+  });
+  return counts;
+}
+
+// Aggregate counts of a report, computed from its hooks so that `report
+// --types` can recompute them for just the selected hook types
+function getReportTotals({
+  hooks,
+  latestVersion,
+  unmatchedConsumers,
+  transformerRegistry,
+}) {
+  const isInLatestVersion = (hook) =>
+    hook.locations.some((loc) => loc.version === latestVersion);
+  const hooksInLatestVersion = hooks.filter(isInLatestVersion);
+  // Hooks that don't exist in the latest version
+  const retiredHooks = hooks.filter((hook) => !isInLatestVersion(hook));
+  const countInLatestVersion = (entries) =>
+    entries.filter((entry) => entry.versions.includes(latestVersion)).length;
+
+  return {
+    totalHooks: hooks.length,
+    hooksByType: countByType(hooks),
+    hooksWithArgumentChanges: hooksInLatestVersion.filter(
+      (h) => h.hasArgumentChanges
+    ).length,
+    latestVersion,
+    hooksInLatestVersion: hooksInLatestVersion.length,
+    latestVersionHooksByType: countByType(hooksInLatestVersion),
+    retiredHooks: retiredHooks.length,
+    renamedHooks: hooks.filter((hook) => hook.renamedTo).length,
+    unmatchedConsumersInLatestVersion: countInLatestVersion(unmatchedConsumers),
+    deprecatedHooksInLatestVersion: hooksInLatestVersion.filter((hook) =>
+      hook.deprecations.some((deprecation) =>
+        deprecation.versions.includes(latestVersion)
+      )
+    ).length,
+    registeredNotAppliedInLatestVersion: countInLatestVersion(
+      transformerRegistry.registeredNotApplied
+    ),
+    appliedNotRegisteredInLatestVersion: countInLatestVersion(
+      transformerRegistry.appliedNotRegistered
+    ),
+    summary: {
+      totalArgumentChanges: hooksInLatestVersion.reduce(
+        (sum, hook) => sum + hook.argumentChangeCount,
+        0
+      ),
+      hooksWithMostChanges: hooksInLatestVersion
+        .filter((h) => h.argumentChangeCount > 0)
+        .sort((a, b) => b.argumentChangeCount - a.argumentChangeCount)
+        .slice(0, 10)
+        .map((h) => ({
+          name: h.name,
+          type: h.type,
+          changes: h.argumentChangeCount,
+        })),
+      retiredHooksList: retiredHooks.slice(0, 10).map((h) => ({
+        name: h.name,
+        type: h.type,
+        lastSeenVersion: h.locations
+          .map((loc) => loc.version)
+          .sort(compareVersions)
+          .pop(),
+      })),
+    },
+  };
+}
+
+module.exports = { getReportTotals };
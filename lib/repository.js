@@ -0,0 +1,38 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_REPOSITORY = "https://github.com/discourse/discourse.git";
+
+// Local paths are used as-is (resolved), anything else is treated as a git URL
+function resolveRepository(repository = DEFAULT_REPOSITORY) {
+  return fs.existsSync(repository) ? path.resolve(repository) : repository;
+}
+
+// URLs (https://, ssh://) and scp-style git@host:owner/repo need the network;
+// local paths and file:// URLs don't
+function isRemoteRepository(repository) {
+  if (fs.existsSync(repository)) {
+    return false;
+  }
+
+  return (
+    (/^[a-z][a-z0-9+.-]*:\/\//i.test(repository) &&
+      !repository.startsWith("file://")) ||
+    /^[^/\s]+@[^/\s]+:/.test(repository)
+  );
+}
+
+// Browsable GitHub URL for source links, e.g. for a fork; null when not on GitHub
+function getRepositoryWebUrl(repository) {
+  const match = repository.match(
+    /github\.com[:/]([\w.-]+\/[\w.-]+?)(?:\.git)?\/?$/
+  );
+  return match ? `https://github.com/${match[1]}` : null;
+}
+
+module.exports = {
+  DEFAULT_REPOSITORY,
+  getRepositoryWebUrl,
+  isRemoteRepository,
+  resolveRepository,
+};
@@ -0,0 +1,570 @@
+const path = require("path");
+const { describeDynamicName } = require("./hook-names");
+
+// Calls that produce server-side hooks, keyed by the hook type they create
+const PRODUCER_CALLS = [
+  { pattern: /\bDiscourseEvent\.trigger\b/g, type: "server_event" },
+  {
+    pattern: /\bDiscoursePluginRegistry\.apply_modifier\b/g,
+    type: "server_modifier",
+  },
+];
+
+// Calls that consume them
+const CONSUMER_CALLS = [
+  {
+    pattern: /\bDiscourseEvent\.on\b/g,
+    type: "server_event",
+    via: "DiscourseEvent.on",
+  },
+];
+
+// Plugin::Instance methods that make up the server-side plugin API
+const PLUGIN_INSTANCE_METHOD = /\bdef\s+(register_\w+|add_to_serializer)\b/g;
+
+// Characters after which a "/" starts a regular expression rather than a division
+const REGEXP_PRECEDERS = "(,=!~|&{[;:?+-*%<>";
+const REGEXP_KEYWORDS =
+  /\b(?:if|unless|when|and|or|not|return|while|until)\s*$/;
+
+class RubyHookExtractor {
+  canExtract(file) {
+    return (
+      path.extname(file) === ".rb" &&
+      (file.startsWith("app/") || file.startsWith("lib/"))
+    );
+  }
+
+  extract(content, file) {
+    const source = {
+      content,
+      code: this.maskNonCode(content),
+      lineStarts: this.getLineStarts(content),
+    };
+    const hooks = [];
+    const consumers = [];
+
+    PRODUCER_CALLS.forEach(({ pattern, type }) => {
+      this.findCalls(source, pattern).forEach((call) => {
+        const [nameArg, ...args] = call.args;
+        const hookName = nameArg && this.getHookName(nameArg);
+        if (!hookName) {
+          return;
+        }
+
+        hooks.push({
+          ...hookName,
+          type,
+          file,
+          lines: call.lines,
+          arguments: this.describeArguments(args),
+          argumentExpressions: args,
+        });
+      });
+    });
+
+    CONSUMER_CALLS.forEach(({ pattern, type, via }) => {
+      this.findCalls(source, pattern).forEach((call) => {
+        const hookName = call.args[0] && this.getHookName(call.args[0]);
+        if (hookName) {
+          consumers.push({ ...hookName, type, via, file, lines: call.lines });
+        }
+      });
+    });
+
+    if (this.definesPluginInstance(source.code)) {
+      hooks.push(...this.extractPluginInstanceMethods(source, file));
+    }
+
+    return {
+      hooks,
+      consumers,
+      deprecations: [],
+      transformerRegistrations: [],
+    };
+  }
+
+  maskNonCode(content) {
+    // Blank out comments, string contents and heredoc bodies (keeping newlines)
+    // so the patterns above only ever match real code
+    const chars = content.split("");
+    const blank = (from, to) => {
+      for (let i = from; i < to; i++) {
+        if (chars[i] !== "\n") {
+          chars[i] = " ";
+        }
+      }
+    };
+
+    const pendingHeredocs = [];
+    let i = 0;
+
+    while (i < content.length) {
+      const char = content[i];
+      const atLineStart = i === 0 || content[i - 1] === "\n";
+
+      if (char === "\n" && pendingHeredocs.length > 0) {
+        i = this.skipHeredocBodies(content, i + 1, pendingHeredocs, blank);
+        pendingHeredocs.length = 0;
+        continue;
+      }
+
+      if (atLineStart && content.startsWith("=begin", i)) {
+        const end = content.indexOf("\n=end", i);
+        const stop = end === -1 ? content.length : end + 5;
+        blank(i, stop);
+        i = stop;
+        continue;
+      }
+
+      if (char === "#") {
+        const end = content.indexOf("\n", i);
+        const stop = end === -1 ? content.length : end;
+        blank(i, stop);
+        i = stop;
+        continue;
+      }
+
+      if (char === '"' || char === "'" || char === "`") {
+        const stop = this.skipQuoted(content, i + 1, char, char);
+        blank(i + 1, stop - 1);
+        i = stop;
+        continue;
+      }
+
+      const heredoc = content
+        .slice(i, i + 100)
+        .match(/^<<([~-]?)(['"`]?)([A-Z_][A-Z0-9_]*)\2/);
+      if (heredoc) {
+        pendingHeredocs.push({ id: heredoc[3], indented: heredoc[1] !== "" });
+        i += heredoc[0].length;
+        continue;
+      }
+
+      const percentLiteral = this.matchPercentLiteral(content, i);
+      if (percentLiteral) {
+        const stop = this.skipQuoted(
+          content,
+          percentLiteral.contentStart,
+          percentLiteral.open,
+          percentLiteral.close
+        );
+        blank(percentLiteral.contentStart, stop - 1);
+        i = stop;
+        continue;
+      }
+
+      if (char === "/" && this.startsRegExp(content, i)) {
+        const stop = this.skipQuoted(content, i + 1, "/", "/");
+        blank(i + 1, stop - 1);
+        i = stop;
+        continue;
+      }
+
+      i++;
+    }
+
+    return chars.join("");
+  }
+
+  skipQuoted(content, start, open, close) {
+    // Returns the index just past the closing delimiter
+    let depth = 0;
+    let i = start;
+
+    while (i < content.length) {
+      const char = content[i];
+      if (char === "\\") {
+        i += 2;
+        continue;
+      }
+      if (close !== open && char === open) {
+        depth++;
+      } else if (char === close) {
+        if (depth === 0) {
+          return i + 1;
+        }
+        depth--;
+      } else if (char === "#" && content[i + 1] === "{" && open !== "'") {
+        i = this.skipQuoted(content, i + 2, "{", "}");
+        continue;
+      }
+      i++;
+    }
+
+    return content.length;
+  }
+
+  skipHeredocBodies(content, start, heredocs, blank) {
+    let i = start;
+
+    heredocs.forEach(({ id, indented }) => {
+      while (i < content.length) {
+        const end = content.indexOf("\n", i);
+        const lineEnd = end === -1 ? content.length : end;
+        const line = content.slice(i, lineEnd);
+        const isTerminator = indented ? line.trim() === id : line === id;
+
+        if (!isTerminator) {
+          blank(i, lineEnd);
+        }
+        i = lineEnd + 1;
+
+        if (isTerminator) {
+          break;
+        }
+      }
+    });
+
+    return i;
+  }
+
+  matchPercentLiteral(content, i) {
+    if (content[i] !== "%") {
+      return null;
+    }
+
+    const match = content.slice(i, i + 3).match(/^%([qQwWiIrs]?)([([{<|!/])/);
+    if (!match) {
+      return null;
+    }
+
+    // A bare "%(" after a value is the modulo operator
+    if (
+      !match[1] &&
+      /[\w)\]]\s*$/.test(content.slice(Math.max(0, i - 20), i))
+    ) {
+      return null;
+    }
+
+    const pairs = { "(": ")", "[": "]", "{": "}", "<": ">" };
+    return {
+      contentStart: i + match[0].length,
+      open: match[2],
+      close: pairs[match[2]] || match[2],
+    };
+  }
+
+  startsRegExp(content, i) {
+    const lineStart = content.lastIndexOf("\n", i - 1) + 1;
+    const before = content.slice(lineStart, i);
+    const trimmed = before.trimEnd();
+
+    if (trimmed === "") {
+      return true;
+    }
+
+    return (
+      REGEXP_PRECEDERS.includes(trimmed[trimmed.length - 1]) ||
+      REGEXP_KEYWORDS.test(trimmed)
+    );
+  }
+
+  getLineStarts(content) {
+    const lineStarts = [0];
+    for (let i = 0; i < content.length; i++) {
+      if (content[i] === "\n") {
+        lineStarts.push(i + 1);
+      }
+    }
+    return lineStarts;
+  }
+
+  getLineNumber(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return low + 1;
+  }
+
+  findCalls(source, pattern) {
+    const calls = [];
+    let match;
+
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(source.code)) !== null) {
+      const { args, end } = this.readArguments(
+        source,
+        match.index + match[0].length
+      );
+
+      const startLine = this.getLineNumber(source.lineStarts, match.index);
+      const endLine = this.getLineNumber(
+        source.lineStarts,
+        Math.max(end - 1, 0)
+      );
+      const lines = [];
+      for (let line = startLine; line <= endLine; line++) {
+        lines.push(line);
+      }
+
+      calls.push({ args, lines });
+    }
+
+    return calls;
+  }
+
+  readArguments(source, start) {
+    const { code, content } = source;
+    let i = start;
+
+    while (code[i] === " " || code[i] === "\t") {
+      i++;
+    }
+
+    // trigger(:name, arg) vs. trigger :name, arg
+    const parenthesized = code[i] === "(" && i === start;
+    if (parenthesized) {
+      i++;
+    } else if (i === start || /[\n;.)\]}]/.test(code[i] || "\n")) {
+      return { args: [], end: start };
+    }
+
+    const segments = [];
+    let segmentStart = i;
+    let depth = 0;
+
+    for (; i < code.length; i++) {
+      const char = code[i];
+
+      if ("([{".includes(char)) {
+        depth++;
+      } else if (")]}".includes(char)) {
+        if (depth === 0) {
+          break;
+        }
+        depth--;
+      } else if (char === "," && depth === 0) {
+        segments.push([segmentStart, i]);
+        segmentStart = i + 1;
+      } else if (!parenthesized && depth === 0) {
+        // Unparenthesized arguments end with the line, unless it ends in a comma,
+        // or at a trailing modifier such as `if`/`unless`/`do`
+        if (char === "\n" && !/[,\\]\s*$/.test(code.slice(start, i))) {
+          break;
+        }
+        if (/^\s(?:if|unless|do)\b/.test(code.slice(i, i + 8))) {
+          break;
+        }
+      }
+    }
+
+    segments.push([segmentStart, i]);
+
+    const args = segments
+      .map(([from, to]) => content.slice(from, to).trim())
+      .filter(Boolean);
+
+    return { args, end: parenthesized ? i + 1 : i };
+  }
+
+  getHookName(arg) {
+    // :post_created, "post_created", :"#{type}_created"
+    const symbol = arg.match(/^:([A-Za-z_]\w*[?!]?)$/);
+    if (symbol) {
+      return { name: symbol[1] };
+    }
+
+    const quoted = arg.match(/^:?(["'])(.*)\1$/s);
+    if (quoted) {
+      const parts =
+        quoted[1] === '"' ? this.splitInterpolation(quoted[2]) : [quoted[2]];
+      if (!parts.includes(null)) {
+        return parts.join("") ? { name: parts.join("") } : null;
+      }
+      return describeDynamicName(parts, arg);
+    }
+
+    return describeDynamicName([null], arg);
+  }
+
+  splitInterpolation(text) {
+    // "#{type}_created" => [null, "_created"]
+    const parts = [];
+    let literal = "";
+    let i = 0;
+
+    while (i < text.length) {
+      if (text[i] === "#" && text[i + 1] === "{") {
+        parts.push(literal, null);
+        literal = "";
+        i = this.skipQuoted(text, i + 2, "{", "}");
+      } else {
+        literal += text[i];
+        i++;
+      }
+    }
+
+    parts.push(literal);
+    return parts.filter((part) => part !== "");
+  }
+
+  describeArguments(args) {
+    // Trailing `key: value` arguments form a single options hash
+    const described = [];
+    let keywords = null;
+
+    args.forEach((arg) => {
+      const keyword = this.getHashKey(arg);
+      if (keyword) {
+        keywords = keywords || [];
+        keywords.push(keyword);
+        return;
+      }
+
+      described.push(this.describeArgument(arg));
+    });
+
+    if (keywords) {
+      described.push(`{${keywords.sort().join(",")}}`);
+    }
+
+    return described;
+  }
+
+  describeArgument(arg) {
+    if (/^\{.*\}$/s.test(arg)) {
+      const keys = this.splitTopLevel(arg.slice(1, -1))
+        .map((entry) => this.getHashKey(entry))
+        .filter(Boolean);
+      return keys.length > 0 ? `{${keys.sort().join(",")}}` : "hash";
+    }
+    if (/^:/.test(arg)) {
+      return "symbol";
+    }
+    if (/^["']/.test(arg) || /^%[qQ]?[^\w\s]/.test(arg)) {
+      return "string";
+    }
+    if (/^(?:\[|%[wWiI])/.test(arg)) {
+      return "array";
+    }
+    if (/^-?\d/.test(arg)) {
+      return "number";
+    }
+    if (arg === "true" || arg === "false") {
+      return "boolean";
+    }
+    if (arg === "nil") {
+      return "nil";
+    }
+    if (/^\*\*?[A-Za-z_]\w*$/.test(arg) || /^&[A-Za-z_]\w*$/.test(arg)) {
+      return arg;
+    }
+
+    // @post => post, post => post, Post => Post
+    const name = arg.match(/^@{0,2}([A-Za-z_]\w*[?!]?)$/);
+    if (name) {
+      return name[1];
+    }
+
+    // post.user, post.user(true) => user
+    const method = arg.match(/\.([A-Za-z_]\w*[?!]?)\s*(?:\(.*\))?$/s);
+    if (method) {
+      return method[1];
+    }
+
+    return "value";
+  }
+
+  getHashKey(entry) {
+    const match = entry
+      .trim()
+      .match(
+        /^(?:([A-Za-z_]\w*[?!]?):(?!:)|:([A-Za-z_]\w*[?!]?)\s*=>|["']([\w-]+)["']\s*=>)/
+      );
+    return match ? match[1] || match[2] || match[3] : null;
+  }
+
+  splitTopLevel(text) {
+    const entries = [];
+    let depth = 0;
+    let current = "";
+
+    for (const char of text) {
+      if ("([{".includes(char)) {
+        depth++;
+      } else if (")]}".includes(char)) {
+        depth--;
+      }
+
+      if (char === "," && depth === 0) {
+        entries.push(current.trim());
+        current = "";
+      } else {
+        current += char;
+      }
+    }
+
+    if (current.trim()) {
+      entries.push(current.trim());
+    }
+
+    return entries;
+  }
+
+  definesPluginInstance(code) {
+    return (
+      /\bclass\s+Plugin::Instance\b/.test(code) ||
+      (/\bmodule\s+Plugin\b/.test(code) && /\bclass\s+Instance\b/.test(code))
+    );
+  }
+
+  extractPluginInstanceMethods(source, file) {
+    const hooks = [];
+    let match;
+
+    PLUGIN_INSTANCE_METHOD.lastIndex = 0;
+    while ((match = PLUGIN_INSTANCE_METHOD.exec(source.code)) !== null) {
+      const { args, end } = this.readArguments(
+        source,
+        match.index + match[0].length
+      );
+
+      const startLine = this.getLineNumber(source.lineStarts, match.index);
+      const endLine = this.getLineNumber(
+        source.lineStarts,
+        Math.max(end - 1, 0)
+      );
+      const lines = [];
+      for (let line = startLine; line <= endLine; line++) {
+        lines.push(line);
+      }
+
+      hooks.push({
+        name: match[1],
+        type: "plugin_instance_method",
+        file,
+        lines,
+        arguments: args.map((param) => this.describeParam(param)),
+      });
+    }
+
+    return hooks;
+  }
+
+  describeParam(param) {
+    // Optional parameters use the JSDoc [name] convention, as for the JS plugin API
+    const withDefault = param.match(/^([A-Za-z_]\w*)\s*=/);
+    if (withDefault) {
+      return `[${withDefault[1]}]`;
+    }
+
+    const keyword = param.match(/^([A-Za-z_]\w*):(.*)$/s);
+    if (keyword) {
+      return keyword[2].trim() ? `[${keyword[1]}:]` : `${keyword[1]}:`;
+    }
+
+    return param;
+  }
+}
+
+module.exports = RubyHookExtractor;
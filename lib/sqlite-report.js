@@ -0,0 +1,226 @@
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+const { getAnalyzedVersions, getVersionArguments } = require("./diff");
+const { getHookKey } = require("./hook-types");
+
+// Normalized form of the JSON report, for ad-hoc SQL. Versions have a
+// `position` in release order so ranges can be compared with < and >.
+const SCHEMA = `
+CREATE TABLE report_info (
+  key TEXT PRIMARY KEY,
+  value TEXT
+);
+
+CREATE TABLE versions (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  position INTEGER NOT NULL,
+  commit_sha TEXT,
+  plugin_api_version TEXT
+);
+
+-- Hooks of different types can share a name
+CREATE TABLE hooks (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL,
+  dynamic INTEGER NOT NULL,
+  name_pattern TEXT,
+  first_version_id INTEGER REFERENCES versions (id),
+  last_version_id INTEGER REFERENCES versions (id),
+  argument_change_count INTEGER NOT NULL,
+  introduced_in_api_version TEXT,
+  renamed_to_id INTEGER REFERENCES hooks (id),
+  rename_confidence REAL,
+  UNIQUE (type, name)
+);
+
+CREATE TABLE locations (
+  id INTEGER PRIMARY KEY,
+  hook_id INTEGER NOT NULL REFERENCES hooks (id),
+  version_id INTEGER NOT NULL REFERENCES versions (id),
+  file TEXT NOT NULL,
+  line INTEGER,
+  lines TEXT
+);
+
+-- The hook's argument signature in each version it exists in
+CREATE TABLE arguments (
+  hook_id INTEGER NOT NULL REFERENCES hooks (id),
+  version_id INTEGER NOT NULL REFERENCES versions (id),
+  position INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  PRIMARY KEY (hook_id, version_id, position)
+);
+
+CREATE TABLE consumers (
+  id INTEGER PRIMARY KEY,
+  hook_id INTEGER NOT NULL REFERENCES hooks (id),
+  version_id INTEGER NOT NULL REFERENCES versions (id),
+  file TEXT NOT NULL,
+  line INTEGER,
+  lines TEXT,
+  via TEXT
+);
+
+CREATE INDEX hooks_name ON hooks (name);
+CREATE INDEX locations_hook ON locations (hook_id, version_id);
+CREATE INDEX locations_version ON locations (version_id);
+CREATE INDEX consumers_hook ON consumers (hook_id, version_id);
+CREATE INDEX consumers_version ON consumers (version_id);
+CREATE INDEX arguments_version ON arguments (version_id);
+
+-- One row per hook and version, with the arguments joined, e.g. "topic, index"
+CREATE VIEW hook_signatures AS
+SELECT
+  l.hook_id,
+  l.version_id,
+  COALESCE(
+    (
+      SELECT group_concat(a.name, ', ' ORDER BY a.position)
+      FROM arguments a
+      WHERE a.hook_id = l.hook_id AND a.version_id = l.version_id
+    ),
+    ''
+  ) AS signature
+FROM locations l
+GROUP BY l.hook_id, l.version_id;
+`;
+
+// hooks-report.json => hooks-report.sqlite
+function getSqlitePath(outputPath) {
+  const { dir, name } = path.parse(outputPath);
+  return path.join(dir, `${name}.sqlite`);
+}
+
+function insertAll(db, sql, rows) {
+  const statement = db.prepare(sql);
+  try {
+    rows.forEach((row) => statement.run(row));
+  } finally {
+    statement.free();
+  }
+}
+
+function formatLines(lines = []) {
+  return [lines[0] ?? null, lines.length > 0 ? lines.join(",") : null];
+}
+
+async function writeSqliteReport(report, filePath) {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+
+  try {
+    db.run(SCHEMA);
+    db.run("BEGIN");
+
+    insertAll(db, "INSERT INTO report_info VALUES (?, ?)", [
+      ["latest_version", report.latestVersion],
+      ["last_updated", report.lastUpdated],
+      ["repository_url", report.repositoryUrl],
+    ]);
+
+    const versions = getAnalyzedVersions(report);
+    const versionIds = new Map(versions.map((version, i) => [version, i + 1]));
+    insertAll(
+      db,
+      "INSERT INTO versions VALUES (?, ?, ?, ?, ?)",
+      versions.map((version, i) => [
+        versionIds.get(version),
+        version,
+        i,
+        (report.versionCommits || {})[version] || null,
+        (report.pluginApiVersions || {})[version] || null,
+      ])
+    );
+
+    const hookIds = new Map(
+      report.hooks.map((hook, i) => [getHookKey(hook), i + 1])
+    );
+    const hookRows = [];
+    const locationRows = [];
+    const argumentRows = [];
+    const consumerRows = [];
+
+    report.hooks.forEach((hook) => {
+      const hookId = hookIds.get(getHookKey(hook));
+      const hookVersions = [
+        ...new Set(hook.locations.map((location) => location.version)),
+      ].sort((a, b) => versionIds.get(a) - versionIds.get(b));
+      // A rename only records the new name; the type stays the same
+      const renamedToId = hook.renamedTo
+        ? hookIds.get(
+            getHookKey({ type: hook.type, name: hook.renamedTo.name })
+          )
+        : null;
+
+      hookRows.push([
+        hookId,
+        hook.name,
+        hook.type,
+        hook.dynamic ? 1 : 0,
+        hook.namePattern || null,
+        versionIds.get(hookVersions[0]) ?? null,
+        versionIds.get(hookVersions[hookVersions.length - 1]) ?? null,
+        hook.argumentChangeCount || 0,
+        hook.introducedInApiVersion || null,
+        renamedToId ?? null,
+        hook.renamedTo ? hook.renamedTo.confidence : null,
+      ]);
+
+      hook.locations.forEach((location) => {
+        locationRows.push([
+          hookId,
+          versionIds.get(location.version),
+          location.file,
+          ...formatLines(location.lines),
+        ]);
+      });
+
+      hookVersions.forEach((version) => {
+        getVersionArguments(hook, version).forEach((arg, position) => {
+          argumentRows.push([hookId, versionIds.get(version), position, arg]);
+        });
+      });
+
+      (hook.consumers || []).forEach((consumer) => {
+        consumerRows.push([
+          hookId,
+          versionIds.get(consumer.version),
+          consumer.file,
+          ...formatLines(consumer.lines),
+          consumer.via || null,
+        ]);
+      });
+    });
+
+    insertAll(
+      db,
+      "INSERT INTO hooks VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+      hookRows
+    );
+    insertAll(
+      db,
+      "INSERT INTO locations (hook_id, version_id, file, line, lines) VALUES (?, ?, ?, ?, ?)",
+      locationRows
+    );
+    insertAll(db, "INSERT INTO arguments VALUES (?, ?, ?, ?)", argumentRows);
+    insertAll(
+      db,
+      "INSERT INTO consumers (hook_id, version_id, file, line, lines, via) VALUES (?, ?, ?, ?, ?, ?)",
+      consumerRows.filter(([, versionId]) => versionId)
+    );
+
+    db.run("COMMIT");
+
+    // Written to a temporary file first so readers never see a partial database
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, Buffer.from(db.export()));
+    fs.renameSync(tempPath, filePath);
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = { SCHEMA, getSqlitePath, writeSqliteReport };
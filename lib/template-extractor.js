@@ -0,0 +1,463 @@
+const path = require("path");
+const { preprocess, traverse } = require("@glimmer/syntax");
+const { Preprocessor } = require("content-tag");
+const { describeDynamicName } = require("./hook-names");
+
+const HASH_HELPERS = ["hash", "lazyHash"];
+
+// Fields read from (deprecatedOutletArgument value=... message=... id=... since=... dropFrom=...)
+const DEPRECATION_FIELDS = ["id", "since", "dropFrom", "message"];
+
+class TemplateHookExtractor {
+  constructor() {
+    this.templatePreprocessor = new Preprocessor();
+  }
+
+  canExtract(file) {
+    return [".hbs", ".gjs"].includes(path.extname(file));
+  }
+
+  extract(content, file) {
+    const hooks = [];
+    const deprecations = [];
+
+    this.getTemplates(content, file).forEach((template) => {
+      let ast;
+      try {
+        ast = preprocess(template.source, { mode: "codemod" });
+      } catch {
+        // Templates Glimmer can't parse (mostly from very old versions) are
+        // scanned with the legacy patterns instead
+        this.findPluginOutletsWithPatterns(template, file, hooks);
+        return;
+      }
+
+      traverse(ast, {
+        ElementNode: (node) => {
+          if (node.tag === "PluginOutlet") {
+            this.addHook(hooks, this.describeElementOutlet(node), node, {
+              template,
+              file,
+              deprecations,
+            });
+          }
+        },
+        MustacheStatement: (node) => {
+          if (node.path.original === "plugin-outlet") {
+            this.addHook(hooks, this.describeCurlyOutlet(node), node, {
+              template,
+              file,
+              deprecations,
+            });
+          }
+        },
+        BlockStatement: (node) => {
+          if (node.path.original === "plugin-outlet") {
+            this.addHook(hooks, this.describeCurlyOutlet(node), node, {
+              template,
+              file,
+              deprecations,
+            });
+          }
+        },
+      });
+    });
+
+    return {
+      hooks,
+      consumers: [],
+      deprecations,
+      transformerRegistrations: [],
+    };
+  }
+
+  // Outlet arguments a template reads: {{@outletArgs.topic}},
+  // {{this.outletArgs.topic}} or {{outletArgs.topic}} in classic connectors
+  getOutletArgumentUsages(content, file) {
+    const names = new Set();
+
+    this.getTemplates(content, file).forEach((template) => {
+      let ast;
+      try {
+        ast = preprocess(template.source, { mode: "codemod" });
+      } catch {
+        return;
+      }
+
+      traverse(ast, {
+        PathExpression: (node) => {
+          const parts = node.original.split(".");
+          const index = parts.findIndex(
+            (part) => part === "@outletArgs" || part === "outletArgs"
+          );
+          if (index !== -1 && parts[index + 1]) {
+            names.add(parts[index + 1]);
+          }
+        },
+      });
+    });
+
+    return [...names];
+  }
+
+  getTemplates(content, file) {
+    if (path.extname(file) !== ".gjs") {
+      return [{ source: content, line: 1, column: 0 }];
+    }
+
+    let templates;
+    try {
+      templates = this.templatePreprocessor.parse(content);
+    } catch {
+      return [];
+    }
+
+    return templates.map(({ contents, contentRange }) => {
+      const before = content.slice(0, contentRange.startUtf16Codepoint);
+      const lineStart = before.lastIndexOf("\n") + 1;
+
+      return {
+        source: contents,
+        line: before.split("\n").length,
+        column: before.length - lineStart,
+      };
+    });
+  }
+
+  addHook(hooks, outlet, node, { template, file, deprecations }) {
+    if (!outlet.hookName) {
+      return;
+    }
+
+    // Only the opening tag identifies the outlet; a wrapper's body can be long
+    const start = node.loc.start;
+    let end = node.loc.end;
+    if (node.openTag) {
+      end = node.openTag.end;
+    } else if (node.type === "BlockStatement") {
+      end = node.program.loc.start;
+    }
+    const span = {
+      start: this.toFilePosition(start, template),
+      end: this.toFilePosition(end, template),
+    };
+
+    const lines = [];
+    for (let line = span.start.line; line <= span.end.line; line++) {
+      lines.push(line);
+    }
+
+    hooks.push({
+      ...outlet.hookName,
+      type: "plugin_outlet",
+      file,
+      lines,
+      span,
+      arguments: outlet.arguments,
+      outlet: {
+        wrapper: outlet.wrapper,
+        connectorTagName: outlet.connectorTagName,
+        defaultGlimmer: outlet.defaultGlimmer,
+      },
+    });
+
+    outlet.deprecatedArgs.forEach((deprecation) => {
+      deprecations.push({
+        name: outlet.hookName.name,
+        type: "plugin_outlet",
+        via: "deprecatedOutletArgument",
+        file,
+        lines,
+        ...deprecation,
+      });
+    });
+  }
+
+  toFilePosition({ line, column }, template) {
+    return {
+      line: template.line + line - 1,
+      column: line === 1 ? template.column + column : column,
+    };
+  }
+
+  describeElementOutlet(node) {
+    const attributes = new Map(
+      node.attributes.map((attribute) => [attribute.name, attribute.value])
+    );
+    const outletArgs =
+      attributes.get("@outletArgs") || attributes.get("@args") || null;
+
+    return {
+      hookName: this.getOutletName(attributes.get("@name")),
+      arguments: this.getHashKeys(outletArgs),
+      connectorTagName: this.getStaticValue(
+        attributes.get("@connectorTagName")
+      ),
+      defaultGlimmer: this.getStaticValue(attributes.get("@defaultGlimmer")),
+      deprecatedArgs: this.getDeprecatedArgs(attributes.get("@deprecatedArgs")),
+      wrapper: this.hasContent(node.children),
+    };
+  }
+
+  describeCurlyOutlet(node) {
+    const pairs = new Map(
+      node.hash.pairs.map((pair) => [pair.key, pair.value])
+    );
+
+    return {
+      hookName: this.getOutletName(pairs.get("name") || node.params[0]),
+      arguments: this.getHashKeys(pairs.get("args")),
+      connectorTagName: this.getStaticValue(pairs.get("connectorTagName")),
+      defaultGlimmer: this.getStaticValue(pairs.get("defaultGlimmer")),
+      deprecatedArgs: this.getDeprecatedArgs(pairs.get("deprecatedArgs")),
+      // Only the {{#plugin-outlet}} block form can wrap content
+      wrapper:
+        node.type === "BlockStatement" && this.hasContent(node.program.body),
+    };
+  }
+
+  hasContent(nodes) {
+    return nodes.some(
+      (child) => child.type !== "TextNode" || child.chars.trim() !== ""
+    );
+  }
+
+  getOutletName(node) {
+    if (!node) {
+      return null;
+    }
+
+    const parts = this.getNameParts(node);
+    if (!parts.includes(null)) {
+      const name = parts.join("");
+      return name ? { name } : null;
+    }
+
+    const expression = node.loc.asString();
+    return describeDynamicName(
+      parts,
+      expression,
+      node.type === "MustacheStatement"
+        ? expression.replace(/^{{~?\s*|\s*~?}}$/g, "")
+        : expression
+    );
+  }
+
+  getNameParts(node) {
+    switch (node.type) {
+      case "TextNode":
+        return [node.chars];
+      case "StringLiteral":
+        return [node.value];
+      // @name="topic-{{this.type}}"
+      case "ConcatStatement":
+        return node.parts.flatMap((part) => this.getNameParts(part));
+      // @name={{concat "topic-" this.type}} and name=(concat "topic-" type)
+      case "MustacheStatement":
+      case "SubExpression":
+        if (node.path.original === "concat") {
+          return node.params.flatMap((param) => this.getNameParts(param));
+        }
+
+        return node.params.length === 0 && node.hash.pairs.length === 0
+          ? this.getNameParts(node.path)
+          : [null];
+      default:
+        return [null];
+    }
+  }
+
+  getStaticValue(node) {
+    if (!node) {
+      return null;
+    }
+
+    switch (node.type) {
+      case "TextNode":
+        return node.chars;
+      case "StringLiteral":
+      case "BooleanLiteral":
+      case "NumberLiteral":
+        return node.value;
+      case "MustacheStatement":
+        return node.params.length === 0 && node.hash.pairs.length === 0
+          ? this.getStaticValue(node.path)
+          : null;
+      default:
+        return null;
+    }
+  }
+
+  getHashKeys(node) {
+    // @outletArgs={{hash topic=this.topic}} and args=(lazyHash topic=this.topic)
+    if (!this.isHashHelper(node)) {
+      return [];
+    }
+
+    return node.hash.pairs.map((pair) => pair.key).sort(); // Sort for consistent comparison
+  }
+
+  getDeprecatedArgs(node) {
+    // @deprecatedArgs={{hash topic=(deprecatedOutletArgument value=this.topic since="3.3.0")}}
+    if (!this.isHashHelper(node)) {
+      return [];
+    }
+
+    return node.hash.pairs
+      .filter(
+        (pair) =>
+          pair.value.type === "SubExpression" &&
+          pair.value.path.original === "deprecatedOutletArgument"
+      )
+      .map((pair) => {
+        const fields = new Map(
+          pair.value.hash.pairs.map((field) => [field.key, field.value])
+        );
+        const deprecation = { argument: pair.key };
+        DEPRECATION_FIELDS.forEach((field) => {
+          const value = this.getStaticValue(fields.get(field));
+          deprecation[field] = value === null ? null : String(value);
+        });
+        return deprecation;
+      });
+  }
+
+  isHashHelper(node) {
+    return Boolean(
+      node &&
+      node.path &&
+      HASH_HELPERS.includes(node.path.original) &&
+      node.hash
+    );
+  }
+
+  findPluginOutletsWithPatterns(template, file, hooks) {
+    const content = template.source;
+
+    // Multi-line patterns for PluginOutlet components with attributes
+    const pluginOutletRegex =
+      /<PluginOutlet\s+@name\s*=\s*['"]([^'"]+)['"][^>]*>/gs;
+    let match;
+
+    while ((match = pluginOutletRegex.exec(content)) !== null) {
+      // An outlet that isn't self-closing wraps content until its closing tag
+      const wrapper =
+        !match[0].endsWith("/>") &&
+        content.indexOf("</PluginOutlet>", match.index) !== -1;
+      hooks.push({
+        name: match[1],
+        type: "plugin_outlet",
+        file,
+        lines: this.getMatchLines(content, match, template),
+        span: this.getMatchSpan(content, match, template),
+        arguments: this.parsePluginOutletArgs(match[0]),
+        outlet: { wrapper, connectorTagName: null, defaultGlimmer: null },
+      });
+    }
+
+    // Multi-line patterns for plugin-outlet helpers with arguments
+    const pluginOutletHelperRegex =
+      /{{plugin-outlet\s+name\s*=\s*['"]([^'"]+)['"][^}]*}}/gs;
+
+    while ((match = pluginOutletHelperRegex.exec(content)) !== null) {
+      hooks.push({
+        name: match[1],
+        type: "plugin_outlet",
+        file,
+        lines: this.getMatchLines(content, match, template),
+        span: this.getMatchSpan(content, match, template),
+        arguments: this.parsePluginOutletHelperArgs(match[0]),
+        // Only the non-block form is matched, which can't wrap anything
+        outlet: {
+          wrapper: false,
+          connectorTagName: null,
+          defaultGlimmer: null,
+        },
+      });
+    }
+  }
+
+  // Same shape as the spans of parsed outlets
+  getMatchSpan(content, match, template) {
+    const position = (offset) => {
+      const before = content.slice(0, offset);
+      return this.toFilePosition(
+        {
+          line: before.split("\n").length,
+          column: offset - (before.lastIndexOf("\n") + 1),
+        },
+        template
+      );
+    };
+
+    return {
+      start: position(match.index),
+      end: position(match.index + match[0].length),
+    };
+  }
+
+  getMatchLines(content, match, template) {
+    // Find the starting line number
+    const beforeMatch = content.substring(0, match.index);
+    const startLine = template.line + beforeMatch.split("\n").length - 1;
+
+    // Count newlines in the matched text to determine how many lines it spans
+    const matchLines = match[0].split("\n").length;
+
+    // Generate array of all line numbers this match spans
+    const lines = [];
+    for (let i = 0; i < matchLines; i++) {
+      lines.push(startLine + i);
+    }
+
+    return lines;
+  }
+
+  parsePluginOutletArgs(componentString) {
+    // Extract @outletArgs content to get the actual outlet arguments (newer versions)
+    const outletArgsMatch = componentString.match(
+      /@(?:outletArgs|args)\s*=\s*{{([^}]+)}}/s
+    );
+
+    if (!outletArgsMatch) {
+      return []; // No outlet args found
+    }
+
+    return this.parseHashArgNames(
+      outletArgsMatch[1],
+      /(?:lazy)?hash\s+([^}]+)/is
+    );
+  }
+
+  parsePluginOutletHelperArgs(helperString) {
+    // For plugin-outlet helpers, extract arguments from args parameter
+    // Example: {{plugin-outlet name="admin-below-plugins-index" args=(hash model=this.getModel)}}
+    const argsMatch = helperString.match(/args\s*=\s*\(([^)]+)\)/);
+
+    if (!argsMatch) {
+      return []; // No args found
+    }
+
+    return this.parseHashArgNames(argsMatch[1], /(?:lazy)?hash\s+([^)]+)/);
+  }
+
+  parseHashArgNames(content, hashPattern) {
+    const hashMatch = content.match(hashPattern);
+    if (!hashMatch) {
+      return [];
+    }
+
+    // Extract argument names from key=value pairs
+    const argNames = [];
+    const argRegex = /(\w+)\s*=/g;
+    let match;
+
+    while ((match = argRegex.exec(hashMatch[1])) !== null) {
+      argNames.push(match[1]);
+    }
+
+    return argNames.sort(); // Sort for consistent comparison
+  }
+}
+
+module.exports = TemplateHookExtractor;
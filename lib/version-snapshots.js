@@ -0,0 +1,140 @@
+const fs = require("fs");
+const path = require("path");
+const { getAnalyzedVersions, getVersionArguments } = require("./diff");
+
+const MANIFEST_FILE = "index.json";
+
+// hooks-report.json => versions/ in the same directory
+function getSnapshotsDir(outputPath) {
+  return path.join(path.dirname(outputPath), "versions");
+}
+
+// Branch names can contain slashes
+function getSnapshotFileName(version) {
+  return `${version.replace(/[/\\]/g, "-")}.json`;
+}
+
+// Every hook in one version, with only that version's locations and consumers
+function getVersionSnapshot(report, version) {
+  const hooks = [];
+
+  report.hooks.forEach((hook) => {
+    const locations = hook.locations.filter(
+      (location) => location.version === version
+    );
+    if (locations.length === 0) {
+      return;
+    }
+
+    const withoutVersion = (entry) => {
+      const copy = { ...entry };
+      delete copy.version;
+      return copy;
+    };
+    hooks.push({
+      name: hook.name,
+      type: hook.type,
+      dynamic: hook.dynamic,
+      ...(hook.namePattern && { namePattern: hook.namePattern }),
+      arguments: getVersionArguments(hook, version),
+      locations: locations.map(withoutVersion),
+      consumers: (hook.consumers || [])
+        .filter((consumer) => consumer.version === version)
+        .map(withoutVersion),
+    });
+  });
+
+  return {
+    version,
+    commit: (report.versionCommits || {})[version] || null,
+    pluginApiVersion: (report.pluginApiVersions || {})[version] || null,
+    hooks: hooks.sort((a, b) => a.name.localeCompare(b.name)),
+  };
+}
+
+function getVersionSummary(snapshot) {
+  const hooksByType = {};
+  snapshot.hooks.forEach((hook) => {
+    hooksByType[hook.type] = (hooksByType[hook.type] || 0) + 1;
+  });
+
+  return {
+    version: snapshot.version,
+    file: getSnapshotFileName(snapshot.version),
+    commit: snapshot.commit,
+    hooks: snapshot.hooks.length,
+    hooksByType,
+  };
+}
+
+// The analyzed versions, oldest first, with their snapshot files and counts
+function getVersionManifest(report) {
+  return {
+    latestVersion: report.latestVersion,
+    lastUpdated: report.lastUpdated,
+    versions: getAnalyzedVersions(report).map((version) =>
+      getVersionSummary(getVersionSnapshot(report, version))
+    ),
+  };
+}
+
+// Snapshot files listed in the manifest of a previous run, if there is one
+function readManifestFiles(dir) {
+  let manifest;
+  try {
+    manifest = JSON.parse(
+      fs.readFileSync(path.join(dir, MANIFEST_FILE), "utf8")
+    );
+  } catch {
+    return [];
+  }
+
+  return (manifest.versions || [])
+    .map(({ file }) => file)
+    .filter(
+      (file) =>
+        typeof file === "string" &&
+        file.endsWith(".json") &&
+        file !== MANIFEST_FILE &&
+        path.basename(file) === file
+    );
+}
+
+// Writes versions/<version>.json for every analyzed version and the index.json
+// manifest, removing snapshots of versions that are no longer in the report
+function writeVersionSnapshots(report, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const versions = getAnalyzedVersions(report).map((version) => {
+    const snapshot = getVersionSnapshot(report, version);
+    const summary = getVersionSummary(snapshot);
+    fs.writeFileSync(path.join(dir, summary.file), JSON.stringify(snapshot));
+    return summary;
+  });
+
+  // Only remove snapshots an earlier run wrote, so other files in the
+  // directory are left alone
+  const files = new Set(versions.map(({ file }) => file));
+  readManifestFiles(dir)
+    .filter((file) => !files.has(file))
+    .forEach((file) => fs.rmSync(path.join(dir, file), { force: true }));
+
+  const manifest = {
+    latestVersion: report.latestVersion,
+    lastUpdated: report.lastUpdated,
+    versions,
+  };
+  fs.writeFileSync(
+    path.join(dir, MANIFEST_FILE),
+    JSON.stringify(manifest, null, 2)
+  );
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  getSnapshotFileName,
+  getSnapshotsDir,
+  getVersionManifest,
+  getVersionSnapshot,
+  writeVersionSnapshots,
+};
@@ -0,0 +1,107 @@
+// Also loaded by the web page as a plain script, as the HookVersions global
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.HookVersions = factory();
+  }
+})(globalThis, function () {
+  // Branches sort after every tag, from the one furthest behind to the most current
+  const BRANCH_ORDER = ["esr", "stable", "beta", "tests-passed", "main"];
+
+  // Pre-release stages, in release order
+  const PRERELEASE_ORDER = ["alpha", "beta", "pre", "rc"];
+
+  // v3.3.0, v3.3.0.beta1, v3.1.4.1, v3.2.0-esr, and `git describe` labels such as
+  // v3.3.0.beta1-120-gdeadbee for sampled commits
+  const VERSION_PATTERN =
+    /^v?(\d+)\.(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:[.-]?(alpha|beta|pre|rc)(\d*))?([.-]esr)?(?:-(\d+)-g[0-9a-f]+)?$/i;
+
+  function parseVersion(label) {
+    const match = label.match(VERSION_PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    return {
+      numbers: match.slice(1, 5).map((part) => Number(part || 0)),
+      prerelease: match[5]
+        ? {
+            stage: PRERELEASE_ORDER.indexOf(match[5].toLowerCase()),
+            number: Number(match[6] || 0),
+          }
+        : null,
+      esr: Boolean(match[7]),
+      // Commits after the tag a `git describe` label is based on
+      distance: Number(match[8] || 0),
+    };
+  }
+
+  function isPrerelease(label) {
+    const version = parseVersion(label);
+    return Boolean(version && version.prerelease);
+  }
+
+  function compareParsedVersions(a, b) {
+    for (let i = 0; i < a.numbers.length; i++) {
+      if (a.numbers[i] !== b.numbers[i]) {
+        return a.numbers[i] - b.numbers[i];
+      }
+    }
+
+    // A pre-release comes before its final release
+    if (a.prerelease && !b.prerelease) {
+      return -1;
+    }
+    if (!a.prerelease && b.prerelease) {
+      return 1;
+    }
+    if (a.prerelease && b.prerelease) {
+      if (a.prerelease.stage !== b.prerelease.stage) {
+        return a.prerelease.stage - b.prerelease.stage;
+      }
+      if (a.prerelease.number !== b.prerelease.number) {
+        return a.prerelease.number - b.prerelease.number;
+      }
+    }
+
+    // The ESR build of a release comes after the release itself
+    if (a.esr !== b.esr) {
+      return a.esr ? 1 : -1;
+    }
+
+    return a.distance - b.distance;
+  }
+
+  // Orders versions oldest first: tagged versions (and commits described
+  // relative to them), then any other refs by name, then the known branches
+  function compareVersions(a, b) {
+    const aVersion = parseVersion(a);
+    const bVersion = parseVersion(b);
+
+    if (aVersion && bVersion) {
+      return compareParsedVersions(aVersion, bVersion);
+    }
+    if (aVersion) {
+      return -1;
+    }
+    if (bVersion) {
+      return 1;
+    }
+
+    const aBranch = BRANCH_ORDER.indexOf(a);
+    const bBranch = BRANCH_ORDER.indexOf(b);
+    if (aBranch !== -1 || bBranch !== -1) {
+      return aBranch - bBranch;
+    }
+
+    return a.localeCompare(b);
+  }
+
+  return {
+    BRANCH_ORDER,
+    compareVersions,
+    isPrerelease,
+    parseVersion,
+  };
+});
@@ -3,11 +3,101 @@
 const http = require("http");
 const fs = require("fs");
 const path = require("path");
+const { pipeline } = require("stream");
+const { printSchema } = require("graphql");
+const { ApiError, handleApiRequest } = require("./lib/api");
+const { executeQuery, schema } = require("./lib/graphql");
+const {
+  createCompressor,
+  getEtag,
+  isCompressible,
+  isNotModified,
+  isRangeCurrent,
+  negotiateEncoding,
+  parseRange,
+} = require("./lib/http");
+
+// Cache-Control for files. Both revalidate with ETags and Last-Modified;
+// production lets browsers reuse their copy for a while first.
+const CACHE_CONTROL = {
+  development: "no-cache",
+  production: "public, max-age=300",
+};
+
+// Largest GraphQL request body accepted
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Sent with every response. Chart.js is the only script loaded from another
+// origin; pages may not be framed.
+const SECURITY_HEADERS = {
+  "Content-Security-Policy": [
+    "default-src 'self'",
+    "script-src 'self' https://cdn.jsdelivr.net",
+    "img-src 'self' data:",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'",
+  ].join("; "),
+  "X-Content-Type-Options": "nosniff",
+};
+
+// Analyzer modules the web page loads too, so it orders versions and compares
+// them the same way. `npm run build` copies them to web/lib for static hosting.
+const SHARED_MODULES = new Set([
+  "/lib/hook-types.js",
+  "/lib/versions.js",
+  "/lib/diff.js",
+]);
+
+// Comment lines sent to event stream clients so idle connections stay open
+const EVENTS_HEARTBEAT = 30 * 1000;
+
+function parseJsonParam(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new ApiError(400, `Invalid JSON: ${error.message}`);
+  }
+}
+
+// The real path of `relativePath` under `root`, or null when it doesn't exist
+// or resolves (e.g. through ".." or a symlink) to somewhere outside `root`
+async function resolveContainedPath(root, relativePath) {
+  try {
+    const realRoot = await fs.promises.realpath(root);
+    const realPath = await fs.promises.realpath(path.join(root, relativePath));
+    const contained =
+      realPath === realRoot || realPath.startsWith(realRoot + path.sep);
+    return contained ? realPath : null;
+  } catch {
+    return null;
+  }
+}
 
 class WebServer {
-  constructor(port = 3001) {
+  constructor(port = 3001, options = {}) {
     this.port = port;
+    // Only reachable from this machine unless bound to e.g. 0.0.0.0
+    this.host = options.host || "localhost";
     this.webDir = path.join(__dirname, "web");
+    this.reportPath =
+      options.reportPath || path.join(__dirname, "hooks-report.json");
+    // Per-version snapshots are written next to the report
+    this.versionsDir = path.join(path.dirname(this.reportPath), "versions");
+    this.cacheMode =
+      options.cacheMode ||
+      (process.env.NODE_ENV === "production" ? "production" : "development");
+    // A LiveAnalysis that re-runs the analysis and streams its progress to
+    // /api/events; without one the server only serves the existing report
+    this.live = options.live || null;
+    this.eventClients = new Set();
+
+    if (this.live) {
+      ["progress", "complete", "failed"].forEach((event) => {
+        this.live.on(event, (data) => this.broadcastEvent(event, data));
+      });
+    }
   }
 
   start() {
@@ -15,10 +105,25 @@ class WebServer {
       this.handleRequest(req, res);
     });
 
-    server.listen(this.port, () => {
+    server.listen(this.port, this.host, () => {
+      const host = ["0.0.0.0", "::"].includes(this.host)
+        ? "localhost"
+        : this.host.includes(":")
+          ? `[${this.host}]`
+          : this.host;
       console.log(`\n🚀 Discourse Hooks Database Web UI`);
-      console.log(`📍 Server running at: http://localhost:${this.port}`);
+      console.log(`📍 Server running at: http://${host}:${this.port}`);
       console.log(`📊 Access the web interface to explore hooks data\n`);
+
+      if (this.live && !this.heartbeat) {
+        this.heartbeat = setInterval(() => {
+          this.eventClients.forEach((client) => client.write(": ping\n\n"));
+        }, EVENTS_HEARTBEAT);
+        this.heartbeat.unref();
+
+        this.live.watch();
+        this.live.analyze("Server started");
+      }
     });
 
     server.on("error", (err) => {
@@ -35,19 +140,55 @@ class WebServer {
   }
 
   handleRequest(req, res) {
-    let filePath = req.url === "/" ? "/index.html" : req.url;
+    Object.entries(SECURITY_HEADERS).forEach(([name, value]) => {
+      res.setHeader(name, value);
+    });
 
-    // Security: prevent directory traversal
-    if (filePath.includes("..")) {
-      this.send404(res);
+    // Not parsed with URL, which would read "//host/path" as a host
+    const [rawUrl, query = ""] = req.url.split(/\?(.*)/s);
+    const rawPath = rawUrl.split("#")[0];
+
+    // API routes decode their own segments, so malformed escapes still get
+    // a JSON error
+    if (rawPath === "/api" || rawPath.startsWith("/api/")) {
+      this.handleApiRequest(req, res);
+      return;
+    }
+    if (rawPath === "/graphql") {
+      this.handleGraphqlRequest(req, res);
+      return;
+    }
+
+    let pathname;
+    try {
+      pathname = decodeURIComponent(rawPath);
+    } catch {
+      this.sendError(res, 400, "Bad Request");
+      return;
+    }
+    if (!pathname.startsWith("/") || pathname.includes("\0")) {
+      this.sendError(res, 400, "Bad Request");
+      return;
+    }
+
+    if (pathname === "/graphql/schema") {
+      res.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end(printSchema(schema));
+      return;
+    }
+
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.setHeader("Allow", "GET, HEAD");
+      this.sendError(res, 405, "Method Not Allowed");
       return;
     }
 
     // Handle hooks report JSON
-    if (filePath === "/hooks-report.json") {
-      const reportPath = path.join(__dirname, "hooks-report.json");
-      if (fs.existsSync(reportPath)) {
-        this.serveFile(reportPath, res, "application/json");
+    if (pathname === "/hooks-report.json") {
+      if (fs.existsSync(this.reportPath)) {
+        this.serveFile(req, res, this.reportPath, "application/json").catch(
+          (error) => this.sendServerError(res, error)
+        );
       } else {
         this.sendError(
           res,
@@ -58,24 +199,235 @@ class WebServer {
       return;
     }
 
-    // Serve static files from web directory
-    const fullPath = path.join(this.webDir, filePath);
+    if (SHARED_MODULES.has(pathname)) {
+      this.serveFile(req, res, path.join(__dirname, pathname)).catch((error) =>
+        this.sendServerError(res, error)
+      );
+      return;
+    }
+
+    // The file can vanish or become unreadable after it was resolved
+    this.serveStatic(req, res, pathname, query).catch((error) =>
+      this.sendServerError(res, error)
+    );
+  }
+
+  // Serves files from the web directory, and snapshots from the report's
+  async serveStatic(req, res, pathname, query) {
+    const isSnapshot = pathname.startsWith("/versions/");
+    const root = isSnapshot ? this.versionsDir : this.webDir;
+    const relativePath = isSnapshot
+      ? pathname.slice("/versions".length)
+      : pathname;
 
-    if (!fs.existsSync(fullPath)) {
+    // Dotfiles such as .env or .git are never public
+    if (relativePath.split("/").some((segment) => segment.startsWith("."))) {
       this.send404(res);
       return;
     }
 
-    const stats = fs.statSync(fullPath);
-    if (stats.isDirectory()) {
+    const filePath = await resolveContainedPath(root, relativePath);
+    if (!filePath) {
+      // Extensionless page URLs are left to the single page app
+      const acceptsHtml = (req.headers.accept || "").includes("text/html");
+      if (!isSnapshot && acceptsHtml && !path.extname(pathname)) {
+        await this.serveFile(req, res, path.join(this.webDir, "index.html"));
+      } else {
+        this.send404(res);
+      }
+      return;
+    }
+
+    const stats = await fs.promises.stat(filePath);
+    if (!stats.isDirectory()) {
+      await this.serveFile(req, res, filePath);
+      return;
+    }
+
+    // Relative links in a directory's index need the trailing slash. Leading
+    // slashes are collapsed so "//host" can't redirect to another site.
+    if (!pathname.endsWith("/")) {
+      const rawPath = req.url.split("?")[0].replace(/^\/+/, "/");
+      const location = `${rawPath}/${query ? `?${query}` : ""}`;
+      res.writeHead(301, { Location: location });
+      res.end();
+      return;
+    }
+
+    const indexPath = path.join(filePath, "index.html");
+    if (fs.existsSync(indexPath)) {
+      await this.serveFile(req, res, indexPath);
+    } else {
       this.send404(res);
+    }
+  }
+
+  handleApiRequest(req, res) {
+    try {
+      const url = new URL(req.url, "http://localhost");
+      if (url.pathname === "/api/events" || url.pathname === "/api/analyze") {
+        this.handleLiveRequest(req, res, url.pathname);
+        return;
+      }
+
+      if (req.method !== "GET" && req.method !== "HEAD") {
+        throw new ApiError(405, `${req.method} is not supported`);
+      }
+
+      const body = handleApiRequest(
+        this.loadReport(),
+        url.pathname,
+        url.searchParams
+      );
+      this.sendJson(res, 200, body);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        this.sendJsonError(res, error.status, error.message);
+      } else if (error instanceof URIError) {
+        this.sendJsonError(res, 400, "Malformed URL");
+      } else {
+        console.error("Error handling API request:", error);
+        this.sendJsonError(res, 500, "Internal server error");
+      }
+    }
+  }
+
+  handleLiveRequest(req, res, pathname) {
+    if (!this.live) {
+      throw new ApiError(
+        404,
+        "Live analysis is off; start the server with --watch"
+      );
+    }
+
+    if (pathname === "/api/analyze") {
+      if (req.method !== "POST") {
+        throw new ApiError(405, `${req.method} is not supported`);
+      }
+      const started = this.live.analyze("Requested from the web UI");
+      this.sendJson(res, 202, { started, queued: !started });
       return;
     }
 
-    this.serveFile(fullPath, res);
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    this.eventClients.add(res);
+    req.on("close", () => this.eventClients.delete(res));
+    this.sendEvent(res, "status", this.live.getStatus());
+  }
+
+  broadcastEvent(event, data) {
+    this.eventClients.forEach((client) => this.sendEvent(client, event, data));
+  }
+
+  sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // Queries come as JSON POST bodies or in ?query= for GET; browsers opening
+  // the endpoint get the schema explorer page instead
+  async handleGraphqlRequest(req, res) {
+    try {
+      let request;
+      if (req.method === "POST") {
+        request = await this.readJsonBody(req);
+      } else if (req.method === "GET" || req.method === "HEAD") {
+        const params = new URL(req.url, "http://localhost").searchParams;
+        if (!params.has("query")) {
+          await this.serveFile(
+            req,
+            res,
+            path.join(this.webDir, "graphql.html")
+          );
+          return;
+        }
+        request = {
+          query: params.get("query"),
+          variables: params.get("variables")
+            ? parseJsonParam(params.get("variables"))
+            : undefined,
+          operationName: params.get("operationName") || undefined,
+        };
+      } else {
+        throw new ApiError(405, `${req.method} is not supported`);
+      }
+
+      if (!request || typeof request.query !== "string") {
+        throw new ApiError(400, "A query is required");
+      }
+
+      const result = await executeQuery(this.loadReport(), request);
+      this.sendJson(res, 200, result);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        this.sendJsonError(res, error.status, error.message);
+      } else {
+        console.error("Error handling GraphQL request:", error);
+        this.sendJsonError(res, 500, "Internal server error");
+      }
+    }
+  }
+
+  readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          reject(new ApiError(413, "Request body too large"));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on("end", () => {
+        try {
+          resolve(parseJsonParam(Buffer.concat(chunks).toString("utf8")));
+        } catch (error) {
+          reject(error);
+        }
+      });
+      req.on("error", reject);
+    });
   }
 
-  serveFile(filePath, res, contentType = null) {
+  // Parsed once and reused until the report file changes
+  loadReport() {
+    if (!fs.existsSync(this.reportPath)) {
+      throw new ApiError(
+        404,
+        "Hooks report not found. Please run the analysis first."
+      );
+    }
+
+    const { mtimeMs } = fs.statSync(this.reportPath);
+    if (!this.report || this.reportMtime !== mtimeMs) {
+      this.report = JSON.parse(fs.readFileSync(this.reportPath, "utf8"));
+      this.reportMtime = mtimeMs;
+    }
+    return this.report;
+  }
+
+  sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, {
+      "Content-Type": "application/json",
+      "Cache-Control": "no-cache, no-store, must-revalidate",
+    });
+    res.end(JSON.stringify(body));
+  }
+
+  sendJsonError(res, statusCode, message) {
+    this.sendJson(res, statusCode, { error: { status: statusCode, message } });
+  }
+
+  // Streams a file with validators for conditional requests, compression
+  // when the client accepts it, and single byte ranges
+  async serveFile(req, res, filePath, contentType = null) {
     const ext = path.extname(filePath).toLowerCase();
 
     if (!contentType) {
@@ -94,25 +446,99 @@ class WebServer {
       contentType = mimeTypes[ext] || "text/plain";
     }
 
+    let stats;
     try {
-      const data = fs.readFileSync(filePath);
-      res.writeHead(200, {
-        "Content-Type": contentType,
-        "Cache-Control": "no-cache, no-store, must-revalidate",
-        Pragma: "no-cache",
-        Expires: "0",
-      });
-      res.end(data);
+      stats = await fs.promises.stat(filePath);
     } catch (error) {
       console.error("Error serving file:", error);
       this.sendError(res, 500, "Internal server error");
+      return;
+    }
+
+    const compressible = isCompressible(contentType, stats.size);
+    // Ranges are offsets into the file itself, so they're never compressed
+    const encoding =
+      compressible && !req.headers.range
+        ? negotiateEncoding(req.headers["accept-encoding"])
+        : null;
+    const etag = getEtag(stats, encoding);
+
+    const headers = {
+      "Content-Type": contentType,
+      "Cache-Control": CACHE_CONTROL[this.cacheMode],
+      ETag: etag,
+      "Last-Modified": stats.mtime.toUTCString(),
+      "Accept-Ranges": "bytes",
+    };
+    if (compressible) {
+      headers.Vary = "Accept-Encoding";
+    }
+
+    if (isNotModified(req.headers, etag, stats.mtime)) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+
+    let status = 200;
+    let range = null;
+    if (
+      req.headers.range &&
+      isRangeCurrent(req.headers["if-range"], etag, stats.mtime)
+    ) {
+      range = parseRange(req.headers.range, stats.size);
     }
+
+    if (range && range.unsatisfiable) {
+      res.writeHead(416, {
+        ...headers,
+        "Content-Range": `bytes */${stats.size}`,
+      });
+      res.end();
+      return;
+    } else if (range) {
+      status = 206;
+      headers["Content-Range"] =
+        `bytes ${range.start}-${range.end}/${stats.size}`;
+      headers["Content-Length"] = range.end - range.start + 1;
+    } else if (encoding) {
+      headers["Content-Encoding"] = encoding;
+    } else {
+      headers["Content-Length"] = stats.size;
+    }
+
+    res.writeHead(status, headers);
+    if (req.method === "HEAD") {
+      res.end();
+      return;
+    }
+
+    const streams = [fs.createReadStream(filePath, range || {})];
+    if (encoding) {
+      streams.push(createCompressor(encoding));
+    }
+    pipeline(...streams, res, (error) => {
+      // Clients going away mid-download isn't worth reporting
+      if (error && error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+        console.error("Error serving file:", error);
+      }
+    });
   }
 
   send404(res) {
     this.sendError(res, 404, "Not Found");
   }
 
+  sendServerError(res, error) {
+    console.error("Error serving file:", error);
+    // A response that has already started can only be cut off
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    this.sendError(res, 500, "Internal server error");
+  }
+
   sendError(res, statusCode, message) {
     res.writeHead(statusCode, { "Content-Type": "text/plain" });
     res.end(message);
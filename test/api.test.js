@@ -0,0 +1,162 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, before, test } = require("node:test");
+const WebServer = require("../server");
+const { ApiError, handleApiRequest } = require("../lib/api");
+const { listen } = require("./helpers");
+
+const location = (version, args = []) => ({
+  version,
+  file: "app/hooks.js",
+  lines: [1],
+  arguments: args,
+});
+
+const report = {
+  latestVersion: "v2.0.0",
+  lastUpdated: "2024-01-01T00:00:00.000Z",
+  hooks: [
+    {
+      name: "topic-title",
+      type: "value_transformer",
+      firstVersion: "v1.0.0",
+      locations: [location("v1.0.0", ["topic"]), location("v2.0.0", ["post"])],
+    },
+    {
+      name: "topic-title",
+      type: "app_event_trigger",
+      firstVersion: "v2.0.0",
+      locations: [location("v2.0.0")],
+    },
+    {
+      name: "user-card",
+      type: "plugin_outlet",
+      firstVersion: "v1.0.0",
+      locations: [location("v1.0.0")],
+    },
+  ],
+};
+
+// Answers a request path like the server does
+const request = (url) => {
+  const { pathname, searchParams } = new URL(url, "http://localhost");
+  return handleApiRequest(report, pathname, searchParams);
+};
+
+test("lists hooks with filters and pagination", () => {
+  const page = request("/api/hooks?q=topic&per_page=1&page=2");
+  assert.deepEqual(
+    page.hooks.map((hook) => [hook.name, hook.type]),
+    [["topic-title", "app_event_trigger"]]
+  );
+  assert.deepEqual(page.pagination, {
+    page: 2,
+    perPage: 1,
+    total: 2,
+    totalPages: 2,
+  });
+
+  assert.deepEqual(
+    request(
+      "/api/hooks?version=latest&type=value_transformer,plugin_outlet"
+    ).hooks.map((hook) => hook.name),
+    ["topic-title"]
+  );
+  assert.equal(request("/api/hooks?per_page=9999").pagination.perPage, 500);
+});
+
+test("looks hooks up by name, and by type when names are shared", () => {
+  assert.equal(
+    request("/api/hooks/topic-title").hook.type,
+    "value_transformer"
+  );
+  assert.equal(
+    request("/api/hooks/topic-title?type=app_event_trigger").hook.type,
+    "app_event_trigger"
+  );
+});
+
+test("lists versions and the hooks in each of them", () => {
+  assert.deepEqual(
+    request("/api/versions").versions.map(({ version, hooks }) => [
+      version,
+      hooks,
+    ]),
+    [
+      ["v1.0.0", 2],
+      ["v2.0.0", 2],
+    ]
+  );
+
+  const { version, hooks } = request("/api/versions/v1.0.0/hooks");
+  assert.equal(version, "v1.0.0");
+  assert.deepEqual(
+    hooks.map((hook) => [hook.name, hook.arguments]),
+    [
+      ["topic-title", ["topic"]],
+      ["user-card", []],
+    ]
+  );
+
+  assert.deepEqual(
+    request("/api/diff?from=v1.0.0&to=latest").argumentsChanged.map(
+      (change) => [change.name, change.from, change.to]
+    ),
+    [["topic-title", ["topic"], ["post"]]]
+  );
+});
+
+test("rejects requests it can't answer", () => {
+  const cases = [
+    ["/api/hooks?page=0", 400, "page must be a positive integer"],
+    ["/api/hooks?per_page=ten", 400, "per_page must be a positive integer"],
+    ["/api/hooks/missing", 404, "Hook missing not found"],
+    ["/api/versions/v9.0.0/hooks", 404, "Version v9.0.0 is not in the report"],
+    ["/api/diff?from=v1.0.0", 400, "from and to are required"],
+    ["/api/plugins", 404, "No API endpoint at /api/plugins"],
+  ];
+
+  cases.forEach(([url, status, message]) => {
+    assert.throws(
+      () => request(url),
+      (error) =>
+        error instanceof ApiError &&
+        error.status === status &&
+        error.message === message,
+      url
+    );
+  });
+});
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "hooks-db-api-"));
+let server;
+
+before(async () => {
+  const reportPath = path.join(tempDir, "hooks-report.json");
+  fs.writeFileSync(reportPath, JSON.stringify(report));
+  server = await listen(new WebServer(0, { reportPath }));
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test("the server answers with JSON, errors included", async () => {
+  const found = await fetch(`${server.url}/api/hooks/user-card`);
+  assert.equal(found.status, 200);
+  assert.equal(found.headers.get("content-type"), "application/json");
+  assert.equal((await found.json()).hook.type, "plugin_outlet");
+
+  const missing = await fetch(`${server.url}/api/hooks/missing`);
+  assert.equal(missing.status, 404);
+  assert.deepEqual(await missing.json(), {
+    error: { status: 404, message: "Hook missing not found" },
+  });
+
+  const posted = await fetch(`${server.url}/api/hooks`, { method: "POST" });
+  assert.equal(posted.status, 405);
+  assert.equal((await posted.json()).error.message, "POST is not supported");
+});
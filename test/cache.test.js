@@ -0,0 +1,83 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, test } = require("node:test");
+const DiscourseHooksDB = require("../index");
+const { addCommit, createRepository } = require("./helpers");
+
+const repository = createRepository([
+  {
+    files: { "app/title.js": `applyValueTransformer("topic-title", title);` },
+    tags: ["v1.0.0"],
+  },
+]);
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "hooks-db-cache-"));
+
+after(() => {
+  fs.rmSync(repository, { recursive: true, force: true });
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// Runs an analysis, returning the versions it had to analyze and the report
+async function analyze() {
+  const analyzed = [];
+  const app = new DiscourseHooksDB({
+    repository,
+    workDir,
+    outputPath: path.join(workDir, "hooks-report.json"),
+    logLevel: "quiet",
+  });
+  const processVersions = app.processVersionsInParallel.bind(app);
+  app.processVersionsInParallel = (versions, maxWorkers) => {
+    analyzed.push(...versions);
+    return processVersions(versions, maxWorkers);
+  };
+
+  await app.run();
+  const report = JSON.parse(
+    fs.readFileSync(path.join(workDir, "hooks-report.json"), "utf8")
+  );
+  return { analyzed, report };
+}
+
+test("only re-analyzes versions whose commit changed", async () => {
+  const first = await analyze();
+  assert.deepEqual(first.analyzed, ["v1.0.0", "main"]);
+
+  const second = await analyze();
+  assert.deepEqual(second.analyzed, []);
+  assert.deepEqual(
+    second.report.hooks.map((hook) => hook.name),
+    first.report.hooks.map((hook) => hook.name)
+  );
+
+  addCommit(repository, {
+    files: { "app/events.js": `appEvents.trigger("topic:created", topic);` },
+  });
+  const third = await analyze();
+  assert.deepEqual(third.analyzed, ["main"]);
+  assert.deepEqual(
+    third.report.hooks.map((hook) => [hook.name, hook.firstVersion]),
+    [
+      ["topic-title", "v1.0.0"],
+      ["topic:created", "main"],
+    ]
+  );
+});
+
+test("ignores cache entries written by another extractor version", async () => {
+  const cacheDir = path.join(workDir, ".cache");
+  const cacheFile = fs
+    .readdirSync(cacheDir)
+    .find((file) => file.startsWith("v1.0.0"));
+  const cachePath = path.join(cacheDir, cacheFile);
+  const entry = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+  fs.writeFileSync(
+    cachePath,
+    JSON.stringify({ ...entry, extractorVersion: 0 })
+  );
+
+  const { analyzed } = await analyze();
+  assert.deepEqual(analyzed, ["v1.0.0"]);
+});
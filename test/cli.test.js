@@ -0,0 +1,99 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, before, test } = require("node:test");
+const { main } = require("../lib/cli");
+const { analyzeResults } = require("./helpers");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "hooks-db-cli-"));
+const reportPath = path.join(tempDir, "hooks-report.json");
+
+before(async () => {
+  const hook = (name, type) => ({
+    name,
+    type,
+    file: "app/lib/hooks.js",
+    lines: [1],
+    arguments: [],
+  });
+
+  const report = await analyzeResults([
+    {
+      version: "v1.0.0",
+      hooks: [
+        hook("topic-title", "value_transformer"),
+        hook("topic:created", "app_event_trigger"),
+        hook("topic:closed", "app_event_trigger"),
+      ],
+    },
+    {
+      version: "v1.1.0",
+      hooks: [
+        hook("topic-title", "value_transformer"),
+        hook("topic:created", "app_event_trigger"),
+      ],
+    },
+  ]);
+  fs.writeFileSync(reportPath, JSON.stringify(report));
+});
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// Runs the CLI, returning its exit code and what it printed
+async function run(t, args) {
+  const output = [];
+  t.mock.method(console, "log", (...parts) => output.push(parts.join(" ")));
+  t.mock.method(console, "error", (...parts) => output.push(parts.join(" ")));
+  const code = await main(args);
+  return { code, output: output.join("\n") };
+}
+
+test("rejects invalid usage before doing any work", async (t) => {
+  const cases = [
+    [["publish"], 'Unknown command "publish"'],
+    [["report", "--types", "outlet"], "Unknown hook type: outlet"],
+    [["--quiet", "--verbose"], "--quiet and --verbose can't be used together"],
+    [["analyze", "--workers", "0"], "--workers must be a positive integer"],
+    [["diff", "--bogus"], "Unknown option '--bogus'"],
+  ];
+
+  for (const [args, message] of cases) {
+    const { code, output } = await run(t, args);
+    assert.equal(code, 1, args.join(" "));
+    assert.ok(output.includes(message), output);
+    assert.ok(output.includes("Run with --help for usage."), output);
+  }
+});
+
+test("report prints the summary of a saved report", async (t) => {
+  const { code, output } = await run(t, ["report", "-o", reportPath]);
+
+  assert.equal(code, 0);
+  assert.match(output, /Total hooks found: 3/);
+  assert.match(output, /Retired hooks: 1/);
+});
+
+test("report --types recomputes the totals for the selected types", async (t) => {
+  const { code, output } = await run(t, [
+    "report",
+    "-o",
+    reportPath,
+    "--types",
+    "value_transformer",
+  ]);
+
+  assert.equal(code, 0);
+  assert.match(output, /Total hooks found: 1/);
+  assert.match(output, /Hooks in latest version: 1/);
+  assert.match(output, /Retired hooks: 0/);
+  assert.doesNotMatch(output, /app_event_trigger/);
+});
+
+test("commands that read a report explain when it's missing", async (t) => {
+  const missing = path.join(tempDir, "missing.json");
+  const { code, output } = await run(t, ["query", "-o", missing]);
+
+  assert.equal(code, 1);
+  assert.match(output, /No report at .*missing\.json/);
+});
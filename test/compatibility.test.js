@@ -0,0 +1,142 @@
+const assert = require("node:assert/strict");
+const { execFileSync } = require("node:child_process");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, test } = require("node:test");
+const DiscourseHooksDB = require("../index");
+const {
+  findPluginCommit,
+  formatCompatibility,
+  getCompatibilityRange,
+  updateCompatibilityFile,
+} = require("../lib/compatibility");
+const { createRepository } = require("./helpers");
+
+const hook = (name, versions, args = () => []) => ({
+  name,
+  type: "value_transformer",
+  locations: versions.map((version) => ({
+    version,
+    file: "app/hooks.js",
+    arguments: args(version),
+  })),
+});
+
+const report = {
+  latestVersion: "main",
+  hooks: [
+    hook("topic-title", ["v1.0.0", "v2.0.0", "v3.0.0", "v4.0.0", "main"]),
+    hook("old-title", ["v1.0.0"]),
+    hook("new-title", ["v2.0.0", "v3.0.0", "v4.0.0", "main", "stable"]),
+    hook("post-title", ["v2.0.0", "v3.0.0", "v4.0.0", "main"], (version) =>
+      version === "v4.0.0" || version === "main" ? ["post", "topic"] : ["post"]
+    ),
+  ],
+};
+
+const usesHooks = (...names) => ({
+  hooks: [],
+  consumers: names.map((name) => ({
+    name,
+    type: "value_transformer",
+    file: "assets/javascripts/initializers/setup.js",
+    lines: [1],
+  })),
+});
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "hooks-db-compat-"));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test("finds the versions around the reference a plugin supports", () => {
+  const range = getCompatibilityRange(
+    report,
+    usesHooks("topic-title", "new-title", "post-title")
+  );
+
+  assert.equal(range.min, "v4.0.0");
+  assert.equal(range.max, "main");
+  assert.equal(range.upperBound, null);
+  assert.equal(range.lowerBound.version, "v3.0.0");
+  assert.deepEqual(
+    range.lowerBound.problems.map((problem) => problem.message),
+    ["arguments changed from (post, topic) in main to (post)"]
+  );
+
+  assert.equal(
+    formatCompatibility(range),
+    [
+      "Supported: v4.0.0 – main (arguments as in main)",
+      "",
+      "Lower bound: not compatible with v3.0.0",
+      "  ✗ post-title (value_transformer): arguments changed from (post, topic) in main to (post)",
+      "Upper bound: main is the newest analyzed version",
+    ].join("\n")
+  );
+});
+
+test("measures from an older reference when asked", () => {
+  const range = getCompatibilityRange(report, usesHooks("new-title"), {
+    reference: "v2.0.0",
+  });
+
+  // Branches other than the reference are left out
+  assert.equal(range.min, "v2.0.0");
+  assert.equal(range.max, "v4.0.0");
+  assert.equal(range.lowerBound.version, "v1.0.0");
+});
+
+test("reports plugins that don't work with the reference at all", () => {
+  const range = getCompatibilityRange(report, usesHooks("old-title"));
+
+  assert.equal(range.min, null);
+  assert.equal(
+    formatCompatibility(range),
+    "Not compatible with main\n  ✗ old-title (value_transformer): retired, last present in v1.0.0"
+  );
+});
+
+test("pins the newest plugin commit that supports an older version", () => {
+  const plugin = createRepository([
+    {
+      files: {
+        "assets/javascripts/initializers/setup.js": `api.registerValueTransformer("old-title", () => {});`,
+      },
+    },
+    { files: { "README.md": "# Plugin" } },
+    {
+      files: {
+        "assets/javascripts/initializers/setup.js": `api.registerValueTransformer("new-title", () => {});`,
+      },
+    },
+    { files: { "README.md": "# Plugin\n\nUpdated" } },
+  ]);
+  // rev-list is newest first; the commit before the switch to new-title is
+  // the newest that still works with v1.0.0
+  const [, , pinned] = execFileSync("git", ["-C", plugin, "rev-list", "HEAD"], {
+    encoding: "utf8",
+  }).split("\n");
+
+  try {
+    const range = getCompatibilityRange(report, usesHooks("new-title"));
+    const commit = findPluginCommit(
+      plugin,
+      report,
+      range.lowerBound,
+      new DiscourseHooksDB({ workDir: tempDir, logLevel: "quiet" })
+    );
+    assert.equal(commit, pinned);
+
+    fs.writeFileSync(
+      path.join(plugin, ".discourse-compatibility"),
+      "< 1.0.0: abc\n3.0.0: def\n"
+    );
+    updateCompatibilityFile(plugin, range.min, commit);
+    assert.equal(
+      fs.readFileSync(path.join(plugin, ".discourse-compatibility"), "utf8"),
+      `3.0.0: def\n< 2.0.0: ${commit}\n< 1.0.0: abc\n`
+    );
+  } finally {
+    fs.rmSync(plugin, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,85 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const JsHookExtractor = require("../lib/js-extractor");
+const { analyzeResults } = require("./helpers");
+
+test("finds transformer registrations and app event listeners", () => {
+  const { hooks, consumers } = new JsHookExtractor().extract(
+    `
+    withPluginApi((api) => {
+      api.registerValueTransformer("topic-title", ({ value }) => value);
+      api.registerBehaviorTransformer("save-action", ({ next }) => next());
+      api.onAppEvent("page:changed", () => {});
+      api.renderInOutlet("topic-above", TopicBanner);
+      this.appEvents.on("topic:created", this, this.refresh);
+      getOwner(this).lookup("service:app-events").off("topic:created", this.refresh);
+    });
+  `,
+    "plugin/initializers/setup.js"
+  );
+
+  assert.deepEqual(hooks, []);
+  assert.deepEqual(
+    consumers.map(({ name, type, via, lines }) => [name, type, via, lines]),
+    [
+      ["topic-title", "value_transformer", "registerValueTransformer", [3]],
+      [
+        "save-action",
+        "behavior_transformer",
+        "registerBehaviorTransformer",
+        [4],
+      ],
+      ["page:changed", "app_event_trigger", "onAppEvent", [5]],
+      ["topic-above", "plugin_outlet", "renderInOutlet", [6]],
+      ["topic:created", "app_event_trigger", "appEvents.on", [7]],
+      ["topic:created", "app_event_trigger", "appEvents.off", [8]],
+    ]
+  );
+});
+
+test("links consumers to their hook and lists the unmatched ones", async () => {
+  const report = await analyzeResults([
+    {
+      version: "v1.0.0",
+      hooks: [
+        {
+          name: "topic:created",
+          type: "app_event_trigger",
+          file: "app/models/topic.js",
+          lines: [10],
+          arguments: ["topic"],
+        },
+      ],
+      consumers: [
+        {
+          name: "topic:created",
+          type: "app_event_trigger",
+          via: "appEvents.on",
+          file: "app/components/list.js",
+          lines: [4],
+        },
+        {
+          name: "topic:gone",
+          type: "app_event_trigger",
+          via: "appEvents.on",
+          file: "app/components/list.js",
+          lines: [5],
+        },
+      ],
+    },
+  ]);
+
+  assert.deepEqual(report.hooks[0].consumers, [
+    {
+      version: "v1.0.0",
+      file: "app/components/list.js",
+      lines: [4],
+      via: "appEvents.on",
+    },
+  ]);
+  assert.deepEqual(
+    report.unmatchedConsumers.map(({ name, versions }) => [name, versions]),
+    [["topic:gone", ["v1.0.0"]]]
+  );
+  assert.equal(report.unmatchedConsumersInLatestVersion, 1);
+});
@@ -0,0 +1,127 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const JsHookExtractor = require("../lib/js-extractor");
+const TemplateHookExtractor = require("../lib/template-extractor");
+const { analyzeResults } = require("./helpers");
+
+test("ties deprecated() calls to the hooks of the function they guard", () => {
+  const { deprecations } = new JsHookExtractor().extract(
+    `
+    export const DEPRECATED_VALUE_TRANSFORMERS = Object.freeze([
+      { name: "old-title", id: "discourse.old-title", since: "3.3" },
+    ]);
+
+    function title() {
+      deprecated("The 'topic-title' transformer is deprecated", {
+        id: "discourse.topic-title",
+        since: "3.2",
+        dropFrom: "3.4",
+      });
+      return applyValueTransformer("topic-title", this.title);
+    }
+  `,
+    "app/lib/title.js"
+  );
+
+  assert.deepEqual(
+    deprecations.map(({ name, type, via, id, since, dropFrom }) => ({
+      name,
+      type,
+      via,
+      id,
+      since,
+      dropFrom,
+    })),
+    [
+      {
+        name: "old-title",
+        type: "value_transformer",
+        via: "DEPRECATED_VALUE_TRANSFORMERS",
+        id: "discourse.old-title",
+        since: "3.3",
+        dropFrom: null,
+      },
+      {
+        name: "topic-title",
+        type: "value_transformer",
+        via: "deprecated",
+        id: "discourse.topic-title",
+        since: "3.2",
+        dropFrom: "3.4",
+      },
+    ]
+  );
+});
+
+test("reads deprecatedOutletArgument in outlet templates", () => {
+  const { deprecations } = new TemplateHookExtractor().extract(
+    `<PluginOutlet
+  @name="topic-above"
+  @outletArgs={{lazyHash topic=this.topic}}
+  @deprecatedArgs={{hash
+    model=(deprecatedOutletArgument
+      value=this.topic message="Use topic instead" id="topic-above.model" since="3.3"
+    )
+  }}
+/>`,
+    "app/templates/topic.hbs"
+  );
+
+  assert.deepEqual(deprecations, [
+    {
+      name: "topic-above",
+      type: "plugin_outlet",
+      via: "deprecatedOutletArgument",
+      file: "app/templates/topic.hbs",
+      lines: [1, 2, 3, 4, 5, 6, 7, 8, 9],
+      argument: "model",
+      id: "topic-above.model",
+      since: "3.3",
+      dropFrom: null,
+      message: "Use topic instead",
+    },
+  ]);
+});
+
+test("links deprecations that only name the hook in their message", async () => {
+  const hook = {
+    name: "old:event",
+    type: "app_event_trigger",
+    file: "app/lib/events.js",
+    lines: [3],
+    arguments: [],
+  };
+  const deprecation = (dropFrom) => ({
+    name: null,
+    type: null,
+    via: "deprecated",
+    file: "app/lib/events.js",
+    lines: [2],
+    id: "discourse.old-event",
+    since: "3.2",
+    dropFrom,
+    message: 'Use "new:event" instead of "old:event"',
+  });
+
+  const report = await analyzeResults([
+    { version: "v3.2.0", hooks: [hook], deprecations: [deprecation("3.3")] },
+    { version: "v3.3.0", hooks: [hook], deprecations: [deprecation("3.4")] },
+  ]);
+
+  assert.equal(report.deprecatedHooksInLatestVersion, 1);
+  assert.deepEqual(
+    report.hooks[0].deprecations.map(({ id, dropFrom, versions }) => ({
+      id,
+      dropFrom,
+      versions,
+    })),
+    // Details come from the newest version
+    [
+      {
+        id: "discourse.old-event",
+        dropFrom: "3.4",
+        versions: ["v3.2.0", "v3.3.0"],
+      },
+    ]
+  );
+});
@@ -0,0 +1,156 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { test } = require("node:test");
+const vm = require("node:vm");
+const { diffVersions, formatDiff } = require("../lib/diff");
+
+const location = (version, file, args = []) => ({
+  version,
+  file,
+  arguments: args,
+});
+
+const report = {
+  hooks: [
+    {
+      name: "topic-title",
+      type: "value_transformer",
+      locations: [
+        location("v1.0.0", "app/title.js", ["topic"]),
+        location("v2.0.0", "app/title.js", ["post", "topic"]),
+      ],
+    },
+    {
+      name: "topic:created",
+      type: "app_event_trigger",
+      locations: [
+        location("v1.0.0", "app/models/topic.js"),
+        location("v2.0.0", "app/services/topic.js"),
+      ],
+    },
+    {
+      name: "topic-list-item-class",
+      type: "value_transformer",
+      locations: [location("v1.0.0", "app/list.js")],
+      renamedTo: {
+        name: "topic-list-item-classes",
+        version: "v2.0.0",
+        confidence: 0.9,
+      },
+    },
+    {
+      name: "topic-list-item-classes",
+      type: "value_transformer",
+      locations: [location("v2.0.0", "app/list.js")],
+    },
+    {
+      name: "user-card",
+      type: "plugin_outlet",
+      locations: [location("v2.0.0", "app/user-card.gjs")],
+    },
+    // Same name as the app event, so it must be told apart by type
+    {
+      name: "topic:created",
+      type: "server_event",
+      locations: [location("v1.0.0", "app/models/topic.rb")],
+    },
+  ],
+};
+
+test("lists what changed between two versions", () => {
+  const diff = diffVersions(report, "v1.0.0", "v2.0.0");
+
+  assert.deepEqual(diff, {
+    from: "v1.0.0",
+    to: "v2.0.0",
+    added: [
+      {
+        name: "user-card",
+        type: "plugin_outlet",
+        files: ["app/user-card.gjs"],
+      },
+    ],
+    removed: [
+      {
+        name: "topic:created",
+        type: "server_event",
+        files: ["app/models/topic.rb"],
+      },
+    ],
+    renamed: [
+      {
+        name: "topic-list-item-classes",
+        type: "value_transformer",
+        files: ["app/list.js"],
+        from: "topic-list-item-class",
+        confidence: 0.9,
+      },
+    ],
+    argumentsChanged: [
+      {
+        name: "topic-title",
+        type: "value_transformer",
+        from: ["topic"],
+        to: ["post", "topic"],
+      },
+    ],
+    moved: [
+      {
+        name: "topic:created",
+        type: "app_event_trigger",
+        from: ["app/models/topic.js"],
+        to: ["app/services/topic.js"],
+      },
+    ],
+  });
+});
+
+test("only pairs renames that happened inside the range", () => {
+  const diff = diffVersions(report, "v2.0.0", "v1.0.0");
+
+  assert.deepEqual(diff.renamed, []);
+  assert.deepEqual(
+    diff.added.map((hook) => hook.name),
+    ["topic-list-item-class", "topic:created"]
+  );
+});
+
+test("rejects versions that aren't in the report", () => {
+  assert.throws(
+    () => diffVersions(report, "v1.0.0", "v3.0.0"),
+    /v3\.0\.0 is not in the report/
+  );
+});
+
+test("formats a diff as text and markdown", () => {
+  const diff = diffVersions(report, "v1.0.0", "v2.0.0");
+
+  assert.match(
+    formatDiff(diff),
+    /^Hook changes from v1\.0\.0 to v2\.0\.0\n\nAdded \(1\):\n {2}user-card \(plugin_outlet\): app\/user-card\.gjs/
+  );
+  assert.match(
+    formatDiff(diff, "markdown"),
+    /## Arguments changed \(1\)\n\n- `topic-title` \(value_transformer\): \(topic\) → \(post, topic\)/
+  );
+  assert.match(
+    formatDiff(diffVersions(report, "v2.0.0", "v2.0.0")),
+    /No changes$/
+  );
+});
+
+test("loads in the web page as plain scripts", () => {
+  const page = vm.createContext({});
+  ["hook-types.js", "versions.js", "diff.js"].forEach((file) => {
+    const filePath = path.join(__dirname, "..", "lib", file);
+    vm.runInContext(fs.readFileSync(filePath, "utf8"), page);
+  });
+
+  assert.deepEqual(
+    JSON.parse(
+      JSON.stringify(page.HookDiff.diffVersions(report, "v1.0.0", "v2.0.0"))
+    ),
+    diffVersions(report, "v1.0.0", "v2.0.0")
+  );
+});
@@ -0,0 +1,59 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, test } = require("node:test");
+const DiscourseHooksDB = require("../index");
+const GitObjectReader = require("../lib/git-objects");
+const { createRepository } = require("./helpers");
+
+const title = `applyValueTransformer("topic-title", title); // “quoted”`;
+const repository = createRepository([
+  {
+    files: { "app/title.js": title, "README.md": "# Discourse" },
+    tags: ["v1.0.0"],
+  },
+  { files: { "app/events.js": `appEvents.trigger("topic:created", topic);` } },
+]);
+const reader = new GitObjectReader(path.join(repository, ".git"));
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "hooks-db-blobs-"));
+
+after(() => {
+  fs.rmSync(repository, { recursive: true, force: true });
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test("lists and reads the files of a ref without checking it out", () => {
+  const files = reader.listFiles("v1.0.0", ["app"]);
+  assert.deepEqual(
+    files.map((file) => file.path),
+    ["app/title.js"]
+  );
+
+  const contents = reader.readBlobs([files[0].oid, "0".repeat(40)]);
+  assert.deepEqual([...contents.values()], [title]);
+
+  assert.deepEqual(
+    reader.listFiles("main", ["app"]).map((file) => file.path),
+    ["app/events.js", "app/title.js"]
+  );
+});
+
+test("reuses the results of blobs analyzed for an earlier version", () => {
+  const app = new DiscourseHooksDB({ workDir, logLevel: "quiet" });
+
+  const first = app.findHooksInRef(reader, "v1.0.0");
+  assert.equal(first.stats.reused, 0);
+  assert.deepEqual(
+    first.hooks.map((hook) => hook.name),
+    ["topic-title"]
+  );
+
+  const second = app.findHooksInRef(reader, "main");
+  assert.equal(second.stats.files, 2);
+  assert.equal(second.stats.reused, 1);
+  assert.deepEqual(
+    second.hooks.map((hook) => hook.name),
+    ["topic:created", "topic-title"]
+  );
+});
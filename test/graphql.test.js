@@ -0,0 +1,162 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, before, test } = require("node:test");
+const WebServer = require("../server");
+const { executeQuery } = require("../lib/graphql");
+const { analyzeResults, listen } = require("./helpers");
+
+const hook = (name, type, file, line, args = []) => ({
+  name,
+  type,
+  file,
+  lines: [line],
+  arguments: args,
+});
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "hooks-db-graphql-"));
+let report;
+let server;
+
+before(async () => {
+  report = await analyzeResults([
+    {
+      version: "v1.0.0",
+      hooks: [
+        hook("topic-title", "value_transformer", "app/title.js", 3, ["topic"]),
+        hook("topic-list-item-class", "value_transformer", "app/list.js", 10),
+      ],
+    },
+    {
+      version: "v2.0.0",
+      hooks: [
+        hook("topic-title", "value_transformer", "app/title.js", 3, [
+          "post",
+          "topic",
+        ]),
+        hook("topic-list-item-classes", "value_transformer", "app/list.js", 11),
+        hook("topic-title", "app_event_trigger", "app/events.js", 1),
+      ],
+    },
+  ]);
+
+  const reportPath = path.join(tempDir, "hooks-report.json");
+  fs.writeFileSync(reportPath, JSON.stringify(report));
+  server = await listen(new WebServer(0, { reportPath }));
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test("answers nested queries across hooks and versions", async () => {
+  const { data, errors } = await executeQuery(report, {
+    query: `{
+      version(name: "latest") {
+        name
+        hooks(type: value_transformer, name: "title") {
+          name
+          argumentHistory { arguments versions { name } }
+          locations(version: "v2.0.0") { file lines }
+        }
+      }
+    }`,
+  });
+
+  assert.equal(errors, undefined);
+  assert.deepEqual(JSON.parse(JSON.stringify(data)), {
+    version: {
+      name: "v2.0.0",
+      hooks: [
+        {
+          name: "topic-title",
+          argumentHistory: [
+            { arguments: ["topic"], versions: [{ name: "v1.0.0" }] },
+            { arguments: ["post", "topic"], versions: [{ name: "v2.0.0" }] },
+          ],
+          locations: [{ file: "app/title.js", lines: [3] }],
+        },
+      ],
+    },
+  });
+});
+
+test("tells hooks that share a name apart by type", async () => {
+  const { data } = await executeQuery(report, {
+    query: `query Hook($type: HookType) {
+      hook(name: "topic-title", type: $type) {
+        type
+        firstVersion { name }
+        arguments(version: "v1.0.0")
+      }
+    }`,
+    variables: { type: "app_event_trigger" },
+  });
+
+  assert.deepEqual(JSON.parse(JSON.stringify(data)), {
+    hook: {
+      type: "app_event_trigger",
+      firstVersion: { name: "v2.0.0" },
+      arguments: null,
+    },
+  });
+});
+
+test("follows renames to the hook they point at", async () => {
+  const { data } = await executeQuery(report, {
+    query: `{
+      hook(name: "topic-list-item-class") {
+        retired
+        renamedTo { hook { name renamedFrom { hook { name } } } version { name } }
+      }
+    }`,
+  });
+
+  assert.deepEqual(JSON.parse(JSON.stringify(data)), {
+    hook: {
+      retired: true,
+      renamedTo: {
+        hook: {
+          name: "topic-list-item-classes",
+          renamedFrom: { hook: { name: "topic-list-item-class" } },
+        },
+        version: { name: "v2.0.0" },
+      },
+    },
+  });
+});
+
+test("is served at /graphql with the schema alongside", async () => {
+  const posted = await fetch(`${server.url}/graphql`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ query: "{ versions { name hookCount } }" }),
+  });
+  assert.equal(posted.status, 200);
+  assert.deepEqual(await posted.json(), {
+    data: {
+      versions: [
+        { name: "v1.0.0", hookCount: 2 },
+        { name: "v2.0.0", hookCount: 3 },
+      ],
+    },
+  });
+
+  const query = encodeURIComponent("{ latestVersion { name } }");
+  const got = await fetch(`${server.url}/graphql?query=${query}`);
+  assert.deepEqual(await got.json(), {
+    data: { latestVersion: { name: "v2.0.0" } },
+  });
+
+  const invalid = await fetch(`${server.url}/graphql`, {
+    method: "POST",
+    body: "{",
+  });
+  assert.equal(invalid.status, 400);
+  assert.match((await invalid.json()).error.message, /^Invalid JSON/);
+
+  const schema = await fetch(`${server.url}/graphql/schema`);
+  assert.match(await schema.text(), /type Hook \{/);
+});
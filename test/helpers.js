@@ -0,0 +1,105 @@
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const DiscourseHooksDB = require("../index");
+
+// Runs the analyzer's merge and report stages on per-version results, as the
+// workers would return them, and returns the report it writes. No git needed.
+async function analyzeResults(results, options = {}) {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "hooks-db-test-"));
+  const app = new DiscourseHooksDB({
+    ...options,
+    workDir: outputDir,
+    outputPath: path.join(outputDir, "hooks-report.json"),
+    logLevel: "quiet",
+  });
+
+  app.setupWorkDirectory = async () => {};
+  app.getDiscourseVersions = async () => results.map(({ version }) => version);
+  app.loadCachedResults = (versions) => {
+    app.versionCommits = new Map();
+    return { cachedResults: [], uncachedVersions: versions };
+  };
+  app.saveCachedResult = () => {};
+  // Workers tag every hook and consumer with its version
+  app.processVersionsInParallel = async () => ({
+    failed: [],
+    results: results.map(({ version, hooks, consumers = [], ...rest }) => ({
+      deprecations: [],
+      transformerRegistrations: [],
+      ...rest,
+      version,
+      hooks: hooks.map((hook) => ({ ...hook, version })),
+      consumers: consumers.map((consumer) => ({ ...consumer, version })),
+    })),
+  });
+
+  try {
+    await app.run();
+    return JSON.parse(
+      fs.readFileSync(path.join(outputDir, "hooks-report.json"), "utf8")
+    );
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+}
+
+// A git repository with one commit per entry on main, see addCommit
+function createRepository(commits) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hooks-db-repo-"));
+  execFileSync("git", ["init", "--quiet", "--initial-branch=main", dir]);
+  commits.forEach((commit) => addCommit(dir, commit));
+  return dir;
+}
+
+// Writes `files` and commits them on the current branch, then adds the
+// lightweight `tags` and `branches`. `date` is an ISO date for the commit (and
+// so for its tags).
+function addCommit(
+  dir,
+  { files = {}, tags = [], branches = [], date = "2024-01-01T00:00:00Z" }
+) {
+  const git = (...args) =>
+    execFileSync("git", ["-C", dir, ...args], {
+      env: {
+        ...process.env,
+        GIT_AUTHOR_NAME: "Test",
+        GIT_AUTHOR_EMAIL: "test@example.com",
+        GIT_AUTHOR_DATE: date,
+        GIT_COMMITTER_NAME: "Test",
+        GIT_COMMITTER_EMAIL: "test@example.com",
+        GIT_COMMITTER_DATE: date,
+      },
+      stdio: "pipe",
+    });
+
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  });
+  git("add", "--all");
+  git("commit", "--quiet", "--allow-empty", "-m", "Update");
+  tags.forEach((tag) => git("tag", tag));
+  branches.forEach((branch) => git("branch", "--force", branch));
+}
+
+// Serves `webServer` on a free port, resolving to its base URL and a function
+// that stops it. Open connections such as event streams are dropped on close.
+async function listen(webServer) {
+  const server = http.createServer((req, res) =>
+    webServer.handleRequest(req, res)
+  );
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = { addCommit, analyzeResults, createRepository, listen };
@@ -0,0 +1,69 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const {
+  describeDynamicName,
+  matchesNamePattern,
+} = require("../lib/hook-names");
+const JsHookExtractor = require("../lib/js-extractor");
+const TemplateHookExtractor = require("../lib/template-extractor");
+
+test("records runtime-built names as patterns", () => {
+  assert.deepEqual(
+    describeDynamicName([null, "-", null, "-class"], "`${a}-${b}-class`"),
+    {
+      name: "*-*-class",
+      dynamic: true,
+      namePattern: "*-*-class",
+      nameExpression: "`${a}-${b}-class`",
+    }
+  );
+
+  // Nothing literal to go on, so the expression names the hook
+  assert.equal(describeDynamicName([null], "eventName").name, "{eventName}");
+});
+
+test("matches names against a pattern", () => {
+  assert.ok(matchesNamePattern("*-class", "topic-list-class"));
+  assert.ok(matchesNamePattern("composer:*", "composer:opened"));
+  assert.ok(!matchesNamePattern("*-class", "-class"));
+  assert.ok(!matchesNamePattern("topic.*", "topicX"));
+});
+
+test("finds dynamic names in JavaScript", () => {
+  const { hooks } = new JsHookExtractor().extract(
+    `
+    this.appEvents.trigger(eventName);
+    applyValueTransformer(\`\${this.kind}-class\`, []);
+    applyValueTransformer("list-" + name, []);
+  `,
+    "app/lib/list.js"
+  );
+
+  assert.deepEqual(
+    hooks.map(({ name, namePattern, nameExpression }) => [
+      name,
+      namePattern,
+      nameExpression,
+    ]),
+    [
+      ["{eventName}", "*", "eventName"],
+      ["*-class", "*-class", "`${this.kind}-class`"],
+      ["list-*", "list-*", '"list-" + name'],
+    ]
+  );
+});
+
+test("finds dynamic outlet names in templates", () => {
+  const { hooks } = new TemplateHookExtractor().extract(
+    `<PluginOutlet @name="topic-{{this.kind}}" />\n{{plugin-outlet name=(concat "user-" this.tab)}}`,
+    "app/templates/topic.hbs"
+  );
+
+  assert.deepEqual(
+    hooks.map(({ name, dynamic }) => [name, dynamic]),
+    [
+      ["topic-*", true],
+      ["user-*", true],
+    ]
+  );
+});
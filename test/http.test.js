@@ -0,0 +1,126 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, before, test } = require("node:test");
+const WebServer = require("../server");
+const {
+  getEtag,
+  isCompressible,
+  isNotModified,
+  isRangeCurrent,
+  negotiateEncoding,
+  parseRange,
+} = require("../lib/http");
+const { listen } = require("./helpers");
+
+const stats = { size: 2048, mtimeMs: 1704067200123.4 };
+const mtime = new Date(stats.mtimeMs);
+
+test("tags files by size and modification time", () => {
+  assert.equal(getEtag(stats), '"800-18cc251f47b"');
+  assert.equal(getEtag(stats, "gzip"), 'W/"800-18cc251f47b-gzip"');
+});
+
+test("knows when the client's copy is current", () => {
+  const etag = getEtag(stats);
+
+  assert.ok(isNotModified({ "if-none-match": etag }, etag, mtime));
+  assert.ok(isNotModified({ "if-none-match": `"a", W/${etag}` }, etag, mtime));
+  assert.ok(isNotModified({ "if-none-match": "*" }, etag, mtime));
+  assert.ok(
+    isNotModified({ "if-modified-since": mtime.toUTCString() }, etag, mtime)
+  );
+  // If-None-Match wins over If-Modified-Since
+  assert.ok(
+    !isNotModified(
+      { "if-none-match": '"a"', "if-modified-since": mtime.toUTCString() },
+      etag,
+      mtime
+    )
+  );
+  assert.ok(
+    !isNotModified(
+      { "if-modified-since": "Sun, 31 Dec 2023 00:00:00 GMT" },
+      etag,
+      mtime
+    )
+  );
+  assert.ok(!isNotModified({}, etag, mtime));
+});
+
+test("picks the preferred encoding the client accepts", () => {
+  assert.equal(negotiateEncoding("gzip, deflate, br"), "br");
+  assert.equal(negotiateEncoding("gzip, br;q=0"), "gzip");
+  assert.equal(negotiateEncoding("*;q=0.5, br;q=0"), "gzip");
+  assert.equal(negotiateEncoding("identity"), null);
+  assert.equal(negotiateEncoding(), null);
+
+  assert.ok(isCompressible("application/json", 2048));
+  assert.ok(!isCompressible("application/json", 100));
+  assert.ok(!isCompressible("image/png", 2048));
+});
+
+test("parses single byte ranges", () => {
+  assert.deepEqual(parseRange("bytes=0-99", 1000), { start: 0, end: 99 });
+  assert.deepEqual(parseRange("bytes=900-", 1000), { start: 900, end: 999 });
+  assert.deepEqual(parseRange("bytes=-100", 1000), { start: 900, end: 999 });
+  assert.deepEqual(parseRange("bytes=990-2000", 1000), {
+    start: 990,
+    end: 999,
+  });
+  assert.deepEqual(parseRange("bytes=1000-", 1000), { unsatisfiable: true });
+  assert.equal(parseRange("bytes=0-1,5-6", 1000), null);
+  assert.equal(parseRange("items=0-1", 1000), null);
+
+  const etag = getEtag(stats);
+  assert.ok(isRangeCurrent(undefined, etag, mtime));
+  assert.ok(isRangeCurrent(etag, etag, mtime));
+  assert.ok(!isRangeCurrent('"other"', etag, mtime));
+  assert.ok(isRangeCurrent(mtime.toUTCString(), etag, mtime));
+});
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "hooks-db-http-"));
+const report = JSON.stringify({ hooks: [], padding: "x".repeat(4096) });
+let server;
+
+before(async () => {
+  const reportPath = path.join(tempDir, "hooks-report.json");
+  fs.writeFileSync(reportPath, report);
+  server = await listen(new WebServer(0, { reportPath }));
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test("serves files compressed and revalidated with ETags", async () => {
+  const url = `${server.url}/hooks-report.json`;
+
+  const first = await fetch(url, { headers: { "Accept-Encoding": "gzip" } });
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get("content-encoding"), "gzip");
+  assert.equal(first.headers.get("vary"), "Accept-Encoding");
+  assert.equal(first.headers.get("cache-control"), "no-cache");
+  assert.equal(await first.text(), report);
+
+  const etag = first.headers.get("etag");
+  assert.match(etag, /^W\/".*-gzip"$/);
+  const cached = await fetch(url, {
+    headers: { "Accept-Encoding": "gzip", "If-None-Match": etag },
+  });
+  assert.equal(cached.status, 304);
+
+  const range = await fetch(url, { headers: { Range: "bytes=0-8" } });
+  assert.equal(range.status, 206);
+  assert.equal(range.headers.get("content-encoding"), null);
+  assert.equal(
+    range.headers.get("content-range"),
+    `bytes 0-8/${report.length}`
+  );
+  assert.equal(await range.text(), '{"hooks":');
+
+  const outside = await fetch(url, { headers: { Range: "bytes=99999-" } });
+  assert.equal(outside.status, 416);
+});
@@ -0,0 +1,101 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const JsHookExtractor = require("../lib/js-extractor");
+
+const extractor = new JsHookExtractor();
+const extractHooks = (content, file = "app/component.js") =>
+  extractor.extract(content, file).hooks;
+
+test("finds nested transformer calls with their arguments", () => {
+  const hooks = extractHooks(`
+    export default class Title {
+      get title() {
+        return applyValueTransformer(
+          "topic-title",
+          applyValueTransformer("inner-title", this.title),
+          { topic: this.topic, post }
+        );
+      }
+    }
+  `);
+
+  assert.deepEqual(
+    hooks.map(({ name, type, lines, arguments: args }) => ({
+      name,
+      type,
+      lines,
+      args,
+    })),
+    [
+      {
+        name: "topic-title",
+        type: "value_transformer",
+        lines: [4, 5, 6, 7, 8],
+        args: ["applyValueTransformer", "{post,topic}"],
+      },
+      {
+        name: "inner-title",
+        type: "value_transformer",
+        lines: [6],
+        args: ["title"],
+      },
+    ]
+  );
+});
+
+test("resolves names built from constants in the same file", () => {
+  const hooks = extractHooks(`
+    const PREFIX = "topic";
+    export function save(appEvents, model) {
+      appEvents.trigger(\`\${PREFIX}:saved\`, model);
+    }
+  `);
+
+  assert.equal(hooks.length, 1);
+  assert.equal(hooks[0].name, "topic:saved");
+  assert.equal(hooks[0].type, "app_event_trigger");
+  assert.deepEqual(hooks[0].argumentExpressions, ["model"]);
+});
+
+test("doesn't track behavior transformer callbacks as arguments", () => {
+  const [hook] = extractHooks(`
+    applyBehaviorTransformer("save-action", () => this.save(), { model });
+  `);
+
+  assert.equal(hook.type, "behavior_transformer");
+  assert.deepEqual(hook.arguments, []);
+  assert.deepEqual(hook.argumentExpressions, [
+    "() => this.save()",
+    "{ model }",
+  ]);
+});
+
+test("reads the JavaScript around <template> tags in .gjs files", () => {
+  const hooks = extractHooks(
+    `
+    export default class Items extends Component {
+      get items() {
+        return applyValueTransformer("items", [], { user: this.user });
+      }
+
+      <template>{{#each this.items as |item|}}{{item}}{{/each}}</template>
+    }
+  `,
+    "app/components/items.gjs"
+  );
+
+  assert.deepEqual(
+    hooks.map((hook) => [hook.name, hook.lines]),
+    [["items", [4]]]
+  );
+});
+
+test("skips files that don't parse", () => {
+  assert.deepEqual(extractor.extract("const x = ;", "broken.js"), {
+    hooks: [],
+    consumers: [],
+    deprecations: [],
+    transformerRegistrations: [],
+    pluginApiVersion: null,
+  });
+});
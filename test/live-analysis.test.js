@@ -0,0 +1,126 @@
+const assert = require("node:assert/strict");
+const { once } = require("node:events");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, test } = require("node:test");
+const WebServer = require("../server");
+const LiveAnalysis = require("../lib/live-analysis");
+const { createRepository, listen } = require("./helpers");
+
+const repository = createRepository([
+  {
+    files: { "app/title.js": `applyValueTransformer("topic-title", title);` },
+    tags: ["v1.0.0"],
+  },
+]);
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "hooks-db-live-"));
+
+after(() => {
+  fs.rmSync(repository, { recursive: true, force: true });
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// Reads an event stream until `done` returns true for what arrived so far
+async function readEvents(response, done) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = "";
+  while (!done(text)) {
+    const { value, done: ended } = await reader.read();
+    if (ended) {
+      break;
+    }
+    text += decoder.decode(value, { stream: true });
+  }
+  await reader.cancel();
+
+  return text
+    .split("\n\n")
+    .filter((message) => message.startsWith("event: "))
+    .map((message) => {
+      const [, event, data] = message.match(/^event: (.*)\ndata: (.*)$/);
+      return { event, data: JSON.parse(data) };
+    });
+}
+
+test("re-analyzes on request and streams the progress", async (t) => {
+  const outputPath = path.join(tempDir, "hooks-report.json");
+  const live = new LiveAnalysis({
+    repository,
+    workDir: path.join(tempDir, "work"),
+    outputPath,
+    logLevel: "quiet",
+    workers: 1,
+  });
+  const server = await listen(
+    new WebServer(0, { reportPath: outputPath, live })
+  );
+  t.after(() => {
+    live.close();
+    return server.close();
+  });
+
+  const events = await fetch(`${server.url}/api/events`);
+  assert.equal(events.headers.get("content-type"), "text/event-stream");
+
+  const started = await fetch(`${server.url}/api/analyze`, { method: "POST" });
+  assert.equal(started.status, 202);
+  assert.deepEqual(await started.json(), { started: true, queued: false });
+
+  const messages = await readEvents(events, (text) =>
+    /event: (complete|failed)/.test(text)
+  );
+  assert.deepEqual(messages[0], {
+    event: "status",
+    data: { running: false, lastRun: null },
+  });
+  assert.deepEqual(messages[1], {
+    event: "progress",
+    data: { stage: "start", message: "Requested from the web UI" },
+  });
+  assert.ok(messages.length > 3, "forwards the analyzer's progress");
+  assert.equal(messages[messages.length - 1].event, "complete");
+  assert.equal(messages[messages.length - 1].data.error, null);
+
+  const hooks = await fetch(`${server.url}/api/hooks?version=latest`);
+  assert.deepEqual(
+    (await hooks.json()).hooks.map((hook) => hook.name),
+    ["topic-title"]
+  );
+});
+
+test("reports runs that fail without stopping the server", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const live = new LiveAnalysis({
+    repository: path.join(tempDir, "missing"),
+    workDir: path.join(tempDir, "missing-work"),
+    outputPath: path.join(tempDir, "missing.json"),
+    logLevel: "quiet",
+  });
+
+  assert.equal(live.analyze("Test"), true);
+  // Asked for again while running, so it's queued
+  assert.equal(live.analyze("Test again"), false);
+
+  const [lastRun] = await once(live, "failed");
+  assert.match(lastRun.error, /repository .*missing. does not exist/);
+  assert.equal(live.getStatus().lastRun, lastRun);
+
+  // The queued run follows
+  await once(live, "failed");
+  assert.equal(live.getStatus().running, false);
+});
+
+test("only watches local checkouts", (t) => {
+  t.mock.method(console, "log", () => {});
+
+  const remote = new LiveAnalysis({
+    repository: "https://github.com/discourse/discourse.git",
+  });
+  assert.equal(remote.watch(), false);
+
+  const local = new LiveAnalysis({ repository });
+  assert.equal(local.watch(), true);
+  local.close();
+});
@@ -0,0 +1,65 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const JsHookExtractor = require("../lib/js-extractor");
+const { analyzeResults } = require("./helpers");
+
+test("indexes the public methods of the PluginApi class", () => {
+  const result = new JsHookExtractor().extract(
+    `
+    export const PLUGIN_API_VERSION = "2.1.0";
+
+    class PluginApi {
+      static create() {}
+
+      _privateHelper() {}
+
+      addPostMenuButton(name, callback) {}
+
+      decorateCooked(callback, opts = {}) {}
+
+      registerConnectorClass(outletName, connectorName, { klass, ...rest }) {}
+
+      modifyClass(...args) {}
+    }
+  `,
+    "app/lib/plugin-api.gjs"
+  );
+
+  assert.equal(result.pluginApiVersion, "2.1.0");
+  assert.deepEqual(
+    result.hooks.map(({ name, type, arguments: args }) => [name, type, args]),
+    [
+      ["addPostMenuButton", "plugin_api_method", ["name", "callback"]],
+      ["decorateCooked", "plugin_api_method", ["callback", "[opts]"]],
+      [
+        "registerConnectorClass",
+        "plugin_api_method",
+        ["outletName", "connectorName", "{klass,...rest}"],
+      ],
+      ["modifyClass", "plugin_api_method", ["...args"]],
+    ]
+  );
+});
+
+test("records the API version each method was introduced in", async () => {
+  const method = {
+    name: "addPostMenuButton",
+    type: "plugin_api_method",
+    file: "app/lib/plugin-api.gjs",
+    lines: [10],
+    arguments: ["name", "callback"],
+  };
+
+  const report = await analyzeResults([
+    { version: "v1.0.0", hooks: [], pluginApiVersion: "1.0.0" },
+    { version: "v1.1.0", hooks: [method], pluginApiVersion: "1.1.0" },
+    { version: "v1.2.0", hooks: [method], pluginApiVersion: "1.2.0" },
+  ]);
+
+  assert.equal(report.hooks[0].introducedInApiVersion, "1.1.0");
+  assert.deepEqual(report.pluginApiVersions, {
+    "v1.0.0": "1.0.0",
+    "v1.1.0": "1.1.0",
+    "v1.2.0": "1.2.0",
+  });
+});
@@ -0,0 +1,162 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, test } = require("node:test");
+const { main } = require("../lib/cli");
+const { checkPlugin, formatCheck } = require("../lib/plugin-check");
+
+const location = (version, args = []) => ({
+  version,
+  file: "app/hooks.js",
+  arguments: args,
+});
+
+const report = {
+  latestVersion: "v3.0.0",
+  hooks: [
+    {
+      name: "topic-title",
+      type: "value_transformer",
+      locations: [location("v2.0.0", ["topic"]), location("v3.0.0", ["post"])],
+    },
+    {
+      name: "topic:created",
+      type: "app_event_trigger",
+      locations: [location("v1.0.0"), location("v2.0.0")],
+    },
+    {
+      name: "user-card",
+      type: "value_transformer",
+      locations: [location("v3.0.0")],
+    },
+    {
+      name: "topic-above",
+      type: "plugin_outlet",
+      locations: [location("v3.0.0", ["topic"])],
+    },
+    {
+      name: "*-class",
+      type: "value_transformer",
+      dynamic: true,
+      namePattern: "*-class",
+      locations: [location("v3.0.0")],
+    },
+  ],
+};
+
+const consumer = (name, type, extra = {}) => ({
+  name,
+  type,
+  file: "assets/javascripts/initializers/setup.js",
+  lines: [1],
+  ...extra,
+});
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "hooks-db-check-"));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test("reports missing, retired and changed hooks", () => {
+  const result = checkPlugin(
+    report,
+    {
+      hooks: [{ name: "my-plugin:saved", type: "app_event_trigger" }],
+      consumers: [
+        consumer("topic-title", "value_transformer"),
+        consumer("topic:created", "app_event_trigger"),
+        consumer("user-card", "value_transformer"),
+        consumer("missing", "value_transformer"),
+        consumer("topic-above", "plugin_outlet", {
+          outletArguments: ["topic", "user"],
+        }),
+        consumer("topic-list-class", "value_transformer"),
+        consumer("*-suffix", "value_transformer", { dynamic: true }),
+        // Produced by the plugin itself
+        consumer("my-plugin:saved", "app_event_trigger"),
+      ],
+    },
+    { target: "v3.0.0" }
+  );
+
+  assert.equal(result.from, "v2.0.0");
+  assert.equal(result.checked, 6);
+  assert.deepEqual(
+    result.problems.map(({ name, message }) => [name, message]),
+    [
+      ["topic-title", "arguments changed from (topic) in v2.0.0 to (post)"],
+      ["topic:created", "retired, last present in v2.0.0"],
+      ["missing", "not found in any analyzed version"],
+      ["topic-above", "doesn't pass @outletArgs.user in v3.0.0"],
+    ]
+  );
+  assert.deepEqual(
+    result.skipped.map((usage) => usage.name),
+    ["*-suffix"]
+  );
+
+  assert.equal(
+    checkPlugin(
+      report,
+      {
+        hooks: [],
+        consumers: [consumer("user-card", "value_transformer")],
+      },
+      { target: "v2.0.0" }
+    ).problems[0].message,
+    "only added in v3.0.0"
+  );
+});
+
+test("formats the result for the terminal", () => {
+  const result = checkPlugin(
+    report,
+    { hooks: [], consumers: [consumer("missing", "value_transformer")] },
+    { target: "v3.0.0", from: "v1.0.0" }
+  );
+
+  assert.equal(
+    formatCheck(result),
+    [
+      "Checking against v3.0.0 (argument changes since v1.0.0)",
+      "",
+      "✗ missing (value_transformer): not found in any analyzed version",
+      "    assets/javascripts/initializers/setup.js:1",
+      "",
+      "1 problem in 1 hooks used",
+    ].join("\n")
+  );
+});
+
+test("check reads the plugin from disk and exits with 1 on problems", async (t) => {
+  const reportPath = path.join(tempDir, "hooks-report.json");
+  fs.writeFileSync(reportPath, JSON.stringify(report));
+
+  const pluginDir = path.join(tempDir, "plugin");
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(pluginDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(pluginDir, file), content);
+  };
+  write(
+    "assets/javascripts/discourse/connectors/topic-above/info.hbs",
+    "{{@outletArgs.topic.title}} {{@outletArgs.user.name}}"
+  );
+  // Tests and dependencies aren't part of the plugin
+  write(
+    "test/javascripts/setup-test.js",
+    `api.registerValueTransformer("missing", () => {});`
+  );
+  write(
+    "node_modules/lib/index.js",
+    `api.registerValueTransformer("missing", () => {});`
+  );
+
+  const output = [];
+  t.mock.method(console, "log", (text) => output.push(text));
+  const code = await main(["check", pluginDir, "-o", reportPath]);
+
+  assert.equal(code, 1);
+  assert.match(
+    output.join("\n"),
+    /✗ topic-above \(plugin_outlet\): doesn't pass @outletArgs\.user in v3\.0\.0\n {4}assets\/javascripts\/discourse\/connectors\/topic-above\/info\.hbs\n\n1 problem in 1 hooks used/
+  );
+});
@@ -0,0 +1,140 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, test } = require("node:test");
+const { main } = require("../lib/cli");
+const { filterHooks, formatQuery } = require("../lib/query");
+
+const location = (version, file, lines = [1]) => ({ version, file, lines });
+
+const report = {
+  latestVersion: "v2.0.0",
+  hooks: [
+    {
+      name: "topic-title",
+      type: "value_transformer",
+      firstVersion: "v1.0.0",
+      hasArgumentChanges: true,
+      argumentChangeCount: 1,
+      locations: [
+        location("v1.0.0", "app/models/topic.js", [3]),
+        location("v2.0.0", "app/components/topic-title.gjs", [12, 40]),
+      ],
+    },
+    {
+      name: "topic:created",
+      type: "app_event_trigger",
+      firstVersion: "v1.0.0",
+      locations: [location("v1.0.0", "app/models/topic.js", [8])],
+    },
+    {
+      name: "user-card",
+      type: "plugin_outlet",
+      firstVersion: "v2.0.0",
+      locations: [location("v2.0.0", "app/components/user-card.gjs", [])],
+    },
+  ],
+};
+
+const names = (hooks) => hooks.map((hook) => hook.name);
+
+test("filters hooks like the web UI", () => {
+  assert.deepEqual(names(filterHooks(report, { name: "TOPIC" })), [
+    "topic-title",
+    "topic:created",
+  ]);
+  assert.deepEqual(names(filterHooks(report, { name: "topic-*" })), [
+    "topic-title",
+  ]);
+  assert.deepEqual(names(filterHooks(report, { name: /^user|:/ })), [
+    "topic:created",
+    "user-card",
+  ]);
+  assert.deepEqual(names(filterHooks(report, { types: ["plugin_outlet"] })), [
+    "user-card",
+  ]);
+  assert.deepEqual(names(filterHooks(report, { introducedIn: "v2.0.0" })), [
+    "user-card",
+  ]);
+  assert.deepEqual(names(filterHooks(report, { changedOnly: true })), [
+    "topic-title",
+  ]);
+});
+
+test("matches file globs against the version asked for", () => {
+  assert.deepEqual(names(filterHooks(report, { file: "app/models/*.js" })), [
+    "topic-title",
+    "topic:created",
+  ]);
+  assert.deepEqual(
+    names(
+      filterHooks(report, { file: "app/models/*.js", presentIn: "v2.0.0" })
+    ),
+    []
+  );
+  assert.deepEqual(
+    names(filterHooks(report, { file: "**/*.gjs", presentIn: "v2.0.0" })),
+    ["topic-title", "user-card"]
+  );
+});
+
+test("formats the matches as a table, JSON or CSV", () => {
+  const hooks = filterHooks(report, { name: "topic" });
+
+  assert.equal(
+    formatQuery(report, hooks),
+    [
+      "name           type               first_version  last_version  retired  argument_changes  locations",
+      "topic-title    value_transformer  v1.0.0         v2.0.0        false    1                 app/components/topic-title.gjs:12,40",
+      "topic:created  app_event_trigger  v1.0.0         v1.0.0        true     0                 app/models/topic.js:8",
+    ].join("\n")
+  );
+  assert.deepEqual(JSON.parse(formatQuery(report, hooks, "json"))[1], {
+    name: "topic:created",
+    type: "app_event_trigger",
+    firstVersion: "v1.0.0",
+    lastVersion: "v1.0.0",
+    retired: true,
+    argumentChanges: 0,
+    locations: [{ file: "app/models/topic.js", lines: [8] }],
+  });
+  assert.equal(
+    formatQuery(report, hooks, "csv").split("\n")[1],
+    'topic-title,value_transformer,v1.0.0,v2.0.0,false,1,"app/components/topic-title.gjs:12,40"'
+  );
+});
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "hooks-db-query-"));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test("query runs the filters from the command line", async (t) => {
+  const reportPath = path.join(tempDir, "hooks-report.json");
+  fs.writeFileSync(reportPath, JSON.stringify(report));
+  const output = [];
+  t.mock.method(console, "log", (text) => output.push(text));
+  t.mock.method(console, "error", (text) => output.push(text));
+
+  const code = await main([
+    "query",
+    "^topic",
+    "--regex",
+    "--present-in",
+    "latest",
+    "--format",
+    "csv",
+    "-o",
+    reportPath,
+  ]);
+  assert.equal(code, 0);
+  assert.deepEqual(output.join("\n").split("\n").slice(1), [
+    'topic-title,value_transformer,v1.0.0,v2.0.0,false,1,"app/components/topic-title.gjs:12,40"',
+  ]);
+
+  output.length = 0;
+  assert.equal(
+    await main(["query", "--introduced", "v9.0.0", "-o", reportPath]),
+    1
+  );
+  assert.deepEqual(output, ["v9.0.0 is not in the report"]);
+});
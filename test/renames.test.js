@@ -0,0 +1,59 @@
+const assert = require("node:assert/strict");
+const { before, test } = require("node:test");
+const { analyzeResults } = require("./helpers");
+
+const hook = (name, file, line, args = ["topic"]) => ({
+  name,
+  type: "value_transformer",
+  file,
+  lines: [line],
+  arguments: args,
+});
+
+let report;
+const findHook = (name) => report.hooks.find((entry) => entry.name === name);
+
+before(async () => {
+  report = await analyzeResults([
+    {
+      version: "v1.0.0",
+      hooks: [
+        hook("topic-list-item-class", "app/topic-list.js", 10),
+        hook("user-card-class", "app/user-card.js", 5),
+        hook("post-menu", "app/post.js", 20, ["post"]),
+      ],
+    },
+    {
+      version: "v2.0.0",
+      hooks: [
+        hook("topic-list-item-classes", "app/topic-list.js", 11),
+        // Competes for the same retired hook, but further away
+        hook("topic-list-item-class-name", "app/topic-list.js", 80),
+        // Similar name, but in an unrelated directory
+        hook("user-card-classes", "lib/other/user-card.js", 5),
+        hook("post-menu", "app/post.js", 20, ["post"]),
+      ],
+    },
+  ]);
+});
+
+test("links a retired hook to the similar one that replaced it", () => {
+  assert.deepEqual(findHook("topic-list-item-class").renamedTo, {
+    name: "topic-list-item-classes",
+    version: "v2.0.0",
+    confidence: 0.96,
+  });
+  assert.deepEqual(findHook("topic-list-item-classes").renamedFrom, {
+    name: "topic-list-item-class",
+    version: "v1.0.0",
+    confidence: 0.96,
+  });
+  assert.equal(findHook("topic-list-item-class-name").renamedFrom, undefined);
+  assert.equal(report.renamedHooks, 1);
+});
+
+test("doesn't treat hooks added elsewhere as renames", () => {
+  assert.equal(findHook("user-card-class").renamedTo, undefined);
+  assert.equal(findHook("user-card-classes").renamedFrom, undefined);
+  assert.equal(findHook("post-menu").renamedTo, undefined);
+});
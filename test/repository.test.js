@@ -0,0 +1,76 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, test } = require("node:test");
+const DiscourseHooksDB = require("../index");
+const HookDocumentationGenerator = require("../generate-docs");
+const {
+  DEFAULT_REPOSITORY,
+  getRepositoryWebUrl,
+  isRemoteRepository,
+  resolveRepository,
+} = require("../lib/repository");
+const { createRepository } = require("./helpers");
+
+const repository = createRepository([{ tags: ["v1.0.0"] }]);
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "hooks-db-offline-"));
+
+after(() => {
+  fs.rmSync(repository, { recursive: true, force: true });
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test("tells local repositories from remote ones", () => {
+  assert.equal(resolveRepository(), DEFAULT_REPOSITORY);
+  assert.equal(resolveRepository(path.relative(".", repository)), repository);
+
+  assert.ok(isRemoteRepository(DEFAULT_REPOSITORY));
+  assert.ok(isRemoteRepository("git@github.com:discourse/discourse.git"));
+  assert.ok(!isRemoteRepository("file:///srv/mirrors/discourse.git"));
+  assert.ok(!isRemoteRepository(repository));
+
+  assert.equal(
+    getRepositoryWebUrl("git@github.com:someone/discourse.git"),
+    "https://github.com/someone/discourse"
+  );
+  assert.equal(getRepositoryWebUrl(repository), null);
+});
+
+test("offline runs need a clone or a local repository", async () => {
+  const workDir = path.join(tempDir, "analyzer");
+  const analyzer = (options) =>
+    new DiscourseHooksDB({ workDir, logLevel: "quiet", ...options });
+
+  await assert.rejects(
+    analyzer({ offline: true }).setupWorkDirectory(),
+    /Offline mode needs an existing clone/
+  );
+
+  // A local repository can still be cloned offline
+  await analyzer({ offline: true, repository }).setupWorkDirectory();
+
+  // An existing clone is used as-is, without contacting the remote
+  const app = analyzer({
+    offline: true,
+    repository: "https://example.invalid/discourse.git",
+  });
+  await app.setupWorkDirectory();
+  assert.deepEqual(await app.getDiscourseVersions(), ["v1.0.0", "main"]);
+});
+
+test("the docs generator passes repository paths to git as-is", (t) => {
+  t.mock.method(console, "log", () => {});
+
+  // Would create a file if the clone ran through a shell
+  const source = path.join(tempDir, "$(touch injected)");
+  fs.cpSync(repository, source, { recursive: true });
+
+  const generator = new HookDocumentationGenerator({ repository: source });
+  generator.masterDir = path.join(tempDir, "docs", "main");
+  generator.ensureMainBranch();
+
+  assert.ok(fs.existsSync(path.join(generator.masterDir, ".git")));
+  assert.ok(!fs.existsSync("injected"));
+  assert.ok(!fs.existsSync(path.join(tempDir, "injected")));
+});
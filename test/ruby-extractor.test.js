@@ -0,0 +1,109 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const RubyHookExtractor = require("../lib/ruby-extractor");
+const { analyzeResults } = require("./helpers");
+
+const extractor = new RubyHookExtractor();
+
+test("finds events and modifiers with their arguments", () => {
+  const { hooks } = extractor.extract(
+    `class User
+  def create
+    DiscourseEvent.trigger(:user_created, self, opts: 1)
+    DiscourseEvent.trigger("topic_#{kind}_done", self)
+    DiscoursePluginRegistry.apply_modifier(:user_name, name, user: self)
+  end
+end`,
+    "app/models/user.rb"
+  );
+
+  assert.deepEqual(
+    hooks.map(({ name, type, lines, arguments: args }) => [
+      name,
+      type,
+      lines,
+      args,
+    ]),
+    [
+      ["user_created", "server_event", [3], ["self", "{opts}"]],
+      ["topic_*_done", "server_event", [4], ["self"]],
+      ["user_name", "server_modifier", [5], ["name", "{user}"]],
+    ]
+  );
+});
+
+test("ignores calls in comments, strings, heredocs and regexps", () => {
+  const { hooks } = extractor.extract(
+    `class User
+  # DiscourseEvent.trigger(:in_comment, self)
+  def create
+    note = "DiscourseEvent.trigger(:in_string)"
+    sql = <<~SQL
+      DiscourseEvent.trigger(:in_heredoc)
+    SQL
+    pattern = %r{DiscourseEvent.trigger(:in_regexp)}
+    DiscourseEvent.trigger(:user_created, self)
+  end
+end`,
+    "app/models/user.rb"
+  );
+
+  assert.deepEqual(
+    hooks.map((hook) => [hook.name, hook.lines]),
+    [["user_created", [9]]]
+  );
+});
+
+test("finds listeners and Plugin::Instance methods", () => {
+  const { consumers } = extractor.extract(
+    "DiscourseEvent.on(:user_created) { |user| }",
+    "lib/listener.rb"
+  );
+  assert.deepEqual(
+    consumers.map(({ name, via }) => [name, via]),
+    [["user_created", "DiscourseEvent.on"]]
+  );
+
+  const { hooks } = extractor.extract(
+    `class Plugin::Instance
+  def register_asset(file, opts = nil)
+  end
+
+  def add_to_serializer(serializer, attr, &block)
+  end
+end`,
+    "lib/plugin/instance.rb"
+  );
+  assert.deepEqual(
+    hooks.map(({ name, type, arguments: args }) => [name, type, args]),
+    [
+      ["register_asset", "plugin_instance_method", ["file", "[opts]"]],
+      [
+        "add_to_serializer",
+        "plugin_instance_method",
+        ["serializer", "attr", "&block"],
+      ],
+    ]
+  );
+});
+
+test("merges the arguments of every call to an event in a file", async () => {
+  const trigger = (lines, args) => ({
+    name: "user_created",
+    type: "server_event",
+    file: "app/models/user.rb",
+    lines,
+    arguments: args,
+  });
+
+  const report = await analyzeResults([
+    {
+      version: "v1.0.0",
+      hooks: [trigger([3], ["user"]), trigger([9], ["user", "opts"])],
+    },
+  ]);
+
+  const [location] = report.hooks[0].locations;
+  assert.deepEqual(location.lines, [3, 9]);
+  assert.deepEqual(location.arguments, ["opts", "user"]);
+});
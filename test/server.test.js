@@ -0,0 +1,112 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+const { after, before, test } = require("node:test");
+const WebServer = require("../server");
+const { listen } = require("./helpers");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "hooks-db-server-"));
+const reportPath = path.join(tempDir, "reports", "hooks-report.json");
+const versionsDir = path.join(tempDir, "reports", "versions");
+let server;
+
+before(async () => {
+  fs.mkdirSync(path.join(versionsDir, "archive"), { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify({ hooks: [] }));
+  fs.writeFileSync(path.join(versionsDir, "v1.0.0.json"), "{}");
+  fs.writeFileSync(path.join(tempDir, "secret.txt"), "secret");
+  fs.symlinkSync(
+    path.join(tempDir, "secret.txt"),
+    path.join(versionsDir, "secret.json")
+  );
+  server = await listen(new WebServer(0, { reportPath }));
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// Sends the path as written; URL parsing would resolve dot segments first
+function get(requestPath, headers = {}) {
+  const { hostname, port } = new URL(server.url);
+  return new Promise((resolve, reject) => {
+    const options = { hostname, port, path: requestPath, headers };
+    http
+      .get(options, (res) => {
+        let body = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => (body += chunk));
+        res.on("end", () =>
+          resolve({ statusCode: res.statusCode, headers: res.headers, body })
+        );
+      })
+      .on("error", reject);
+  });
+}
+
+test("binds to localhost unless told otherwise", () => {
+  assert.equal(new WebServer().host, "localhost");
+  assert.equal(new WebServer(3001, { host: "0.0.0.0" }).host, "0.0.0.0");
+});
+
+test("serves files with the query string and escapes handled", async () => {
+  const report = await get("/hooks-report.json?t=123");
+  assert.equal(report.statusCode, 200);
+  assert.equal(report.body, '{"hooks":[]}');
+  assert.equal(report.headers["x-content-type-options"], "nosniff");
+  assert.match(
+    report.headers["content-security-policy"],
+    /frame-ancestors 'none'/
+  );
+
+  assert.equal((await get("/versions/v1%2E0%2E0.json")).body, "{}");
+  assert.equal((await get("/%73tyles.css")).statusCode, 200);
+});
+
+test("keeps requests inside the served directories", async () => {
+  const outside = [
+    "/../package.json",
+    "/%2e%2e/package.json",
+    "/versions/..%2f..%2fsecret.txt",
+    // A symlink pointing out of the snapshots directory
+    "/versions/secret.json",
+    "/.gitignore",
+  ];
+
+  for (const requestPath of outside) {
+    const response = await get(requestPath);
+    assert.equal(response.statusCode, 404, requestPath);
+    assert.ok(!response.body.includes("secret"), requestPath);
+  }
+
+  assert.equal((await get("/%00.html")).statusCode, 400);
+  assert.equal((await get("/%E0%A4%A")).statusCode, 400);
+});
+
+test("answers malformed API paths with a JSON error", async () => {
+  const response = await get("/api/hooks/%E0%A4%A");
+
+  assert.equal(response.statusCode, 400);
+  assert.deepEqual(JSON.parse(response.body), {
+    error: { status: 400, message: "Malformed URL" },
+  });
+});
+
+test("redirects directories and falls back to the page for app URLs", async () => {
+  const directory = await get("/versions/archive?x=1");
+  assert.equal(directory.statusCode, 301);
+  assert.equal(directory.headers.location, "/versions/archive/?x=1");
+
+  const page = await get("/hooks/topic-title", { Accept: "text/html" });
+  assert.equal(page.statusCode, 200);
+  assert.match(page.body, /<html/i);
+
+  assert.equal((await get("/hooks/topic-title")).statusCode, 404);
+  assert.equal(
+    (await get("/missing.js", { Accept: "text/html" })).statusCode,
+    404
+  );
+});
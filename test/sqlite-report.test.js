@@ -0,0 +1,171 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, before, test } = require("node:test");
+const initSqlJs = require("sql.js");
+const { getSqlitePath, writeSqliteReport } = require("../lib/sqlite-report");
+const { analyzeResults } = require("./helpers");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "hooks-db-sqlite-"));
+const sqlitePath = path.join(tempDir, "hooks-report.sqlite");
+let report;
+let db;
+
+// Rows of a query as plain objects
+const query = (sql) => {
+  const [result] = db.exec(sql);
+  return result
+    ? result.values.map((row) =>
+        Object.fromEntries(row.map((value, i) => [result.columns[i], value]))
+      )
+    : [];
+};
+
+before(async () => {
+  report = await analyzeResults(
+    [
+      {
+        version: "v1.0.0",
+        hooks: [
+          {
+            name: "topic-title",
+            type: "value_transformer",
+            file: "app/title.js",
+            lines: [3],
+            arguments: ["topic"],
+          },
+        ],
+        consumers: [
+          {
+            name: "topic-title",
+            type: "value_transformer",
+            file: "plugins/chat/setup.js",
+            lines: [7, 9],
+          },
+        ],
+      },
+      {
+        version: "v2.0.0",
+        hooks: [
+          {
+            name: "topic-title",
+            type: "value_transformer",
+            file: "app/title.js",
+            lines: [3],
+            arguments: ["post", "topic"],
+          },
+          // Same name, different type
+          {
+            name: "topic-title",
+            type: "app_event_trigger",
+            file: "app/events.js",
+            lines: [1],
+            arguments: [],
+          },
+        ],
+      },
+    ],
+    { sqlitePath }
+  );
+
+  const SQL = await initSqlJs();
+  db = new SQL.Database(fs.readFileSync(sqlitePath));
+});
+
+after(() => {
+  db.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test("is written next to the JSON report", () => {
+  assert.equal(
+    getSqlitePath("/data/hooks-report.json"),
+    "/data/hooks-report.sqlite"
+  );
+  assert.deepEqual(query("SELECT key, value FROM report_info ORDER BY key"), [
+    { key: "last_updated", value: report.lastUpdated },
+    { key: "latest_version", value: "v2.0.0" },
+    { key: "repository_url", value: report.repositoryUrl },
+  ]);
+});
+
+test("stores hooks, versions and locations in normalized tables", () => {
+  assert.deepEqual(query("SELECT name, position FROM versions ORDER BY id"), [
+    { name: "v1.0.0", position: 0 },
+    { name: "v2.0.0", position: 1 },
+  ]);
+  assert.deepEqual(
+    query(`
+      SELECT h.name, h.type, f.name AS first, l.name AS last,
+        h.argument_change_count AS changes
+      FROM hooks h
+      JOIN versions f ON f.id = h.first_version_id
+      JOIN versions l ON l.id = h.last_version_id
+      ORDER BY h.type
+    `),
+    [
+      {
+        name: "topic-title",
+        type: "app_event_trigger",
+        first: "v2.0.0",
+        last: "v2.0.0",
+        changes: 0,
+      },
+      {
+        name: "topic-title",
+        type: "value_transformer",
+        first: "v1.0.0",
+        last: "v2.0.0",
+        changes: 1,
+      },
+    ]
+  );
+  assert.deepEqual(
+    query(`
+      SELECT c.file, c.line, c.lines, v.name AS version
+      FROM consumers c JOIN versions v ON v.id = c.version_id
+    `),
+    [
+      {
+        file: "plugins/chat/setup.js",
+        line: 7,
+        lines: "7,9",
+        version: "v1.0.0",
+      },
+    ]
+  );
+});
+
+test("answers argument questions through the signatures view", () => {
+  assert.deepEqual(
+    query(`
+      SELECT v.name AS version, s.signature
+      FROM hook_signatures s
+      JOIN hooks h ON h.id = s.hook_id
+      JOIN versions v ON v.id = s.version_id
+      WHERE h.type = 'value_transformer'
+      ORDER BY v.position
+    `),
+    [
+      { version: "v1.0.0", signature: "topic" },
+      { version: "v2.0.0", signature: "post, topic" },
+    ]
+  );
+});
+
+test("keeps one row per hook type and name", async () => {
+  const duplicate = {
+    ...report,
+    hooks: [report.hooks[0], { ...report.hooks[0], consumers: [] }],
+  };
+
+  await assert.rejects(
+    writeSqliteReport(duplicate, path.join(tempDir, "duplicate.sqlite")),
+    /UNIQUE constraint failed/
+  );
+  assert.deepEqual(
+    fs.readdirSync(tempDir).filter((file) => file.startsWith("duplicate")),
+    []
+  );
+});
@@ -0,0 +1,89 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const TemplateHookExtractor = require("../lib/template-extractor");
+
+const extractor = new TemplateHookExtractor();
+
+test("finds angle bracket and curly outlets", () => {
+  const { hooks } = extractor.extract(
+    [
+      `<PluginOutlet @name="topic-above" @outletArgs={{lazyHash topic=this.topic user=this.user}} />`,
+      `{{plugin-outlet name="topic-below" args=(hash topic=this.topic)}}`,
+      `{{#plugin-outlet name="topic-wrapper"}}<Topic />{{/plugin-outlet}}`,
+    ].join("\n"),
+    "app/templates/topic.hbs"
+  );
+
+  assert.deepEqual(
+    hooks.map(({ name, lines, arguments: args, outlet }) => [
+      name,
+      lines,
+      args,
+      outlet.wrapper,
+    ]),
+    [
+      ["topic-above", [1], ["topic", "user"], false],
+      ["topic-below", [2], ["topic"], false],
+      ["topic-wrapper", [3], [], true],
+    ]
+  );
+});
+
+test("reports positions in .gjs files relative to the whole file", () => {
+  const { hooks } = extractor.extract(
+    `import Component from "@glimmer/component";
+
+export default class Header extends Component {
+  <template>
+    <PluginOutlet @name="header-top" @outletArgs={{hash user=@user}} />
+    {{#if @open}}<PluginOutlet @name="header-body">{{yield}}</PluginOutlet>{{/if}}
+  </template>
+}`,
+    "app/components/header.gjs"
+  );
+
+  assert.deepEqual(
+    hooks.map(({ name, span, outlet }) => [name, span, outlet.wrapper]),
+    [
+      [
+        "header-top",
+        { start: { line: 5, column: 4 }, end: { line: 5, column: 71 } },
+        false,
+      ],
+      [
+        "header-body",
+        { start: { line: 6, column: 17 }, end: { line: 6, column: 51 } },
+        true,
+      ],
+    ]
+  );
+});
+
+test("scans templates Glimmer can't parse with the legacy patterns", () => {
+  const { hooks } = extractor.extract(
+    `<div>\n  <PluginOutlet @name="legacy" @args={{hash topic=topic}}>{{#if}}\n</PluginOutlet>`,
+    "app/templates/legacy.hbs"
+  );
+
+  assert.deepEqual(hooks, [
+    {
+      name: "legacy",
+      type: "plugin_outlet",
+      file: "app/templates/legacy.hbs",
+      lines: [2],
+      span: { start: { line: 2, column: 2 }, end: { line: 2, column: 58 } },
+      arguments: ["topic"],
+      outlet: { wrapper: true, connectorTagName: null, defaultGlimmer: null },
+    },
+  ]);
+});
+
+test("lists the outlet arguments a connector template reads", () => {
+  assert.deepEqual(
+    extractor.getOutletArgumentUsages(
+      "{{@outletArgs.topic}} {{outletArgs.user}} {{this.outletArgs.post}}",
+      "connectors/topic-above/info.hbs"
+    ),
+    ["topic", "user", "post"]
+  );
+});
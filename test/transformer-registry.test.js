@@ -0,0 +1,75 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const JsHookExtractor = require("../lib/js-extractor");
+const { analyzeResults } = require("./helpers");
+
+test("reads the registry lists and plugin registrations", () => {
+  const { transformerRegistrations } = new JsHookExtractor().extract(
+    `
+    export const VALUE_TRANSFORMERS = Object.freeze(["home-logo-href", "topic-title"]);
+    export const BEHAVIOR_TRANSFORMERS = Object.freeze(["save-action"]);
+
+    withPluginApi((api) => api.addValueTransformerName("my-plugin-title"));
+  `,
+    "app/lib/transformer/registry.js"
+  );
+
+  assert.deepEqual(
+    transformerRegistrations.map(({ name, type, via }) => [name, type, via]),
+    [
+      ["home-logo-href", "value_transformer", "VALUE_TRANSFORMERS"],
+      ["topic-title", "value_transformer", "VALUE_TRANSFORMERS"],
+      ["save-action", "behavior_transformer", "BEHAVIOR_TRANSFORMERS"],
+      ["my-plugin-title", "value_transformer", "addValueTransformerName"],
+    ]
+  );
+});
+
+test("compares applied transformers with the registry", async () => {
+  const apply = (name) => ({
+    name,
+    type: "value_transformer",
+    file: "app/components/header.js",
+    lines: [1],
+    arguments: [],
+  });
+  const register = (name) => ({
+    name,
+    type: "value_transformer",
+    via: "VALUE_TRANSFORMERS",
+    file: "app/lib/transformer/registry.js",
+    lines: [1],
+  });
+
+  const report = await analyzeResults([
+    // Before the registry existed, so nothing is flagged
+    { version: "v1.0.0", hooks: [apply("topic-title")] },
+    {
+      version: "v1.1.0",
+      hooks: [apply("topic-title"), apply("unlisted")],
+      transformerRegistrations: [register("topic-title"), register("unused")],
+    },
+  ]);
+
+  const hooks = Object.fromEntries(report.hooks.map((h) => [h.name, h]));
+  assert.deepEqual(hooks["topic-title"].registeredIn, ["v1.1.0"]);
+  assert.deepEqual(hooks["topic-title"].unregisteredIn, []);
+  assert.deepEqual(hooks.unlisted.unregisteredIn, ["v1.1.0"]);
+
+  assert.deepEqual(report.transformerRegistry, {
+    registeredNotApplied: [
+      {
+        name: "unused",
+        type: "value_transformer",
+        via: "VALUE_TRANSFORMERS",
+        file: "app/lib/transformer/registry.js",
+        versions: ["v1.1.0"],
+      },
+    ],
+    appliedNotRegistered: [
+      { name: "unlisted", type: "value_transformer", versions: ["v1.1.0"] },
+    ],
+  });
+  assert.equal(report.registeredNotAppliedInLatestVersion, 1);
+  assert.equal(report.appliedNotRegisteredInLatestVersion, 1);
+});
@@ -0,0 +1,64 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, test } = require("node:test");
+const DiscourseHooksDB = require("../index");
+const { createRepository } = require("./helpers");
+
+const repository = createRepository([
+  { tags: ["v1.0.0"], date: "2024-01-01T00:00:00Z" },
+  { tags: ["v1.1.0.beta1"], date: "2024-02-01T00:00:00Z" },
+  { tags: ["v1.1.0"], branches: ["stable"], date: "2024-03-01T00:00:00Z" },
+  { date: "2024-04-01T00:00:00Z" },
+]);
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "hooks-db-versions-"));
+
+after(() => {
+  fs.rmSync(repository, { recursive: true, force: true });
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function selectVersions(options = {}) {
+  const app = new DiscourseHooksDB({
+    ...options,
+    repository,
+    workDir,
+    logLevel: "quiet",
+  });
+  await app.setupWorkDirectory();
+  return app.getDiscourseVersions();
+}
+
+test("selects release tags and main by default", async () => {
+  assert.deepEqual(await selectVersions(), ["v1.0.0", "v1.1.0", "main"]);
+});
+
+test("adds pre-releases and branches, and filters tags by pattern", async () => {
+  assert.deepEqual(
+    await selectVersions({
+      versions: ["v1.1*"],
+      prereleases: true,
+      branches: ["stable"],
+    }),
+    ["v1.1.0.beta1", "v1.1.0", "stable", "main"]
+  );
+});
+
+test("limits tags to a date range", async () => {
+  assert.deepEqual(
+    await selectVersions({ since: "2024-01-15", until: "2024-03-15" }),
+    ["v1.1.0", "main"]
+  );
+});
+
+test("samples main and labels commits relative to the closest tag", async () => {
+  const versions = await selectVersions({
+    sampleMain: "1w",
+    since: "2024-03-15",
+  });
+
+  assert.equal(versions.length, 2);
+  assert.match(versions[0], /^v1\.1\.0-1-g[0-9a-f]+$/);
+  assert.equal(versions[1], "main");
+});
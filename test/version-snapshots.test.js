@@ -0,0 +1,121 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, test } = require("node:test");
+const {
+  getSnapshotFileName,
+  getVersionSnapshot,
+  writeVersionSnapshots,
+} = require("../lib/version-snapshots");
+const { analyzeResults } = require("./helpers");
+
+const hook = (name, args) => ({
+  name,
+  type: "value_transformer",
+  file: "app/hooks.js",
+  lines: [1],
+  arguments: args,
+});
+
+const results = [
+  { version: "v1.0.0", hooks: [hook("topic-title", ["topic"])] },
+  {
+    version: "v2.0.0",
+    hooks: [hook("topic-title", ["post", "topic"]), hook("user-card", [])],
+    consumers: [
+      {
+        name: "user-card",
+        type: "value_transformer",
+        file: "plugins/chat/setup.js",
+        lines: [4],
+      },
+    ],
+  },
+  { version: "main", hooks: [hook("user-card", [])] },
+];
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "hooks-db-snapshots-"));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const readJson = (dir, file) =>
+  JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+
+test("snapshots the hooks of each version as it was", async () => {
+  const dir = path.join(tempDir, "versions");
+  const report = await analyzeResults(results, { snapshotsDir: dir });
+
+  assert.deepEqual(readJson(dir, "v2.0.0.json"), {
+    version: "v2.0.0",
+    commit: null,
+    pluginApiVersion: null,
+    hooks: [
+      {
+        name: "topic-title",
+        type: "value_transformer",
+        dynamic: false,
+        arguments: ["post", "topic"],
+        locations: [
+          {
+            file: "app/hooks.js",
+            lines: [1],
+            arguments: ["post", "topic"],
+            calls: [],
+          },
+        ],
+        consumers: [],
+      },
+      {
+        name: "user-card",
+        type: "value_transformer",
+        dynamic: false,
+        arguments: [],
+        locations: [
+          { file: "app/hooks.js", lines: [1], arguments: [], calls: [] },
+        ],
+        consumers: [{ file: "plugins/chat/setup.js", lines: [4] }],
+      },
+    ],
+  });
+  assert.deepEqual(getVersionSnapshot(report, "v1.0.0").hooks[0].arguments, [
+    "topic",
+  ]);
+
+  assert.deepEqual(readJson(dir, "index.json"), {
+    latestVersion: "main",
+    lastUpdated: report.lastUpdated,
+    versions: ["v1.0.0", "v2.0.0", "main"].map((version) => ({
+      version,
+      file: `${version}.json`,
+      commit: null,
+      hooks: version === "v2.0.0" ? 2 : 1,
+      hooksByType: { value_transformer: version === "v2.0.0" ? 2 : 1 },
+    })),
+  });
+});
+
+test("removes snapshots of versions that are no longer analyzed", async () => {
+  const dir = path.join(tempDir, "pruned");
+  const report = await analyzeResults(results);
+  writeVersionSnapshots(report, dir);
+  fs.writeFileSync(path.join(dir, "notes.json"), "{}");
+
+  writeVersionSnapshots(
+    {
+      ...report,
+      hooks: report.hooks.filter((entry) => entry.name === "user-card"),
+    },
+    dir
+  );
+
+  assert.deepEqual(fs.readdirSync(dir).sort(), [
+    "index.json",
+    "main.json",
+    "notes.json",
+    "v2.0.0.json",
+  ]);
+});
+
+test("names snapshot files after branches with slashes", () => {
+  assert.equal(getSnapshotFileName("release/3.2"), "release-3.2.json");
+});
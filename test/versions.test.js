@@ -0,0 +1,37 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const { compareVersions, parseVersion } = require("../lib/versions");
+
+const sorted = (versions) => [...versions].sort(compareVersions);
+
+test("orders pre-releases before their release", () => {
+  assert.deepEqual(sorted(["v3.3.0", "v3.3.0.beta2", "v3.3.0.beta1"]), [
+    "v3.3.0.beta1",
+    "v3.3.0.beta2",
+    "v3.3.0",
+  ]);
+});
+
+test("orders the ESR build right after its release", () => {
+  assert.equal(parseVersion("v3.2.0-esr").esr, true);
+  assert.equal(parseVersion("v3.2.0").esr, false);
+
+  const expected = [
+    "v3.2.0",
+    "v3.2.0-3-gdeadbee",
+    "v3.2.0-esr",
+    "v3.2.0-esr-2-gdeadbee",
+    "v3.2.1",
+  ];
+  assert.deepEqual(sorted(expected), expected);
+  assert.deepEqual(sorted([...expected].reverse()), expected);
+});
+
+test("orders branches after every tag", () => {
+  assert.deepEqual(sorted(["main", "v3.2.0-esr", "stable", "esr"]), [
+    "v3.2.0-esr",
+    "esr",
+    "stable",
+    "main",
+  ]);
+});
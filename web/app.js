@@ -1,9 +1,13 @@
+// Shared with the analyzer; index.html loads them from lib/
+/* global HookDiff, HookTypes, HookVersions */
+
 class DiscourseHooksViewer {
   constructor() {
     this.data = null;
     this.filteredHooks = [];
     this.currentSort = "name";
     this.mostRecentVersion = null;
+    this.chart = null;
     this.init();
   }
 
@@ -12,9 +16,82 @@ class DiscourseHooksViewer {
     this.setupEventListeners();
     this.renderStats();
     this.populateFilters();
+    this.populateCompareVersions();
     this.setDefaultFilters();
     this.renderChart();
+    this.renderComparison();
     this.renderHooks();
+    this.connectLiveUpdates();
+  }
+
+  // Reloads the report after a live re-analysis, keeping the filters,
+  // comparison and sort the user has picked
+  async refresh() {
+    const firstLoad = !this.data;
+    await this.loadData();
+    this.renderStats();
+    this.populateFilters();
+    this.populateCompareVersions();
+    // Pages opened before the first report existed have no defaults yet
+    if (firstLoad) {
+      this.setDefaultFilters();
+    }
+    this.renderChart();
+    this.renderComparison();
+    this.applyFilters();
+  }
+
+  // Servers started with --watch stream analysis progress; elsewhere (e.g.
+  // static hosting) the request fails and the status bar stays hidden
+  connectLiveUpdates() {
+    if (!window.EventSource) {
+      return;
+    }
+
+    const source = new EventSource("./api/events");
+    const status = document.getElementById("liveStatus");
+    const parse = (event) => JSON.parse(event.data);
+
+    source.addEventListener("status", (event) => {
+      const { running, lastRun } = parse(event);
+      status.hidden = false;
+      if (running) {
+        this.showLiveStatus("Analysis running...", true);
+      } else if (lastRun && lastRun.error) {
+        this.showLiveStatus(`Last analysis failed: ${lastRun.error}`, false);
+      } else {
+        this.showLiveStatus("Watching for changes", false);
+      }
+    });
+
+    source.addEventListener("progress", (event) => {
+      const { message, completed, total } = parse(event);
+      const count = total ? ` (${completed}/${total})` : "";
+      this.showLiveStatus(`${message}${count}`, true);
+    });
+
+    source.addEventListener("complete", async () => {
+      this.showLiveStatus("Loading new results...", true);
+      await this.refresh();
+      this.showLiveStatus("Up to date", false);
+    });
+
+    source.addEventListener("failed", (event) => {
+      this.showLiveStatus(`Analysis failed: ${parse(event).error}`, false);
+    });
+
+    document.getElementById("reanalyze").addEventListener("click", async () => {
+      try {
+        await fetch("./api/analyze", { method: "POST" });
+      } catch (error) {
+        console.error("Error starting analysis:", error);
+      }
+    });
+  }
+
+  showLiveStatus(message, running) {
+    document.getElementById("liveStatusText").textContent = message;
+    document.getElementById("reanalyze").disabled = running;
   }
 
   async loadData() {
@@ -52,29 +129,7 @@ class DiscourseHooksViewer {
   }
 
   compareVersions(a, b) {
-    // Handle "main" as the latest version
-    if (a === "main" && b === "main") {
-      return 0;
-    }
-    if (a === "main") {
-      return 1; // main is greater than any version
-    }
-    if (b === "main") {
-      return -1; // any version is less than main
-    }
-
-    // Remove 'v' prefix and split into parts
-    const parseVersion = (v) => v.replace(/^v/, "").split(".").map(Number);
-    const [aMajor, aMinor, aPatch] = parseVersion(a);
-    const [bMajor, bMinor, bPatch] = parseVersion(b);
-
-    if (aMajor !== bMajor) {
-      return aMajor - bMajor;
-    }
-    if (aMinor !== bMinor) {
-      return aMinor - bMinor;
-    }
-    return aPatch - bPatch;
+    return HookVersions.compareVersions(a, b);
   }
 
   setupEventListeners() {
@@ -112,6 +167,13 @@ class DiscourseHooksViewer {
       this.resetFilters();
     });
 
+    // Version comparison
+    ["compareFrom", "compareTo"].forEach((id) => {
+      document.getElementById(id).addEventListener("change", () => {
+        this.renderComparison();
+      });
+    });
+
     // Sort
     document.getElementById("sortBy").addEventListener("change", (e) => {
       this.currentSort = e.target.value;
@@ -180,6 +242,9 @@ class DiscourseHooksViewer {
     // Populate type filter
     const typeFilter = document.getElementById("typeFilter");
     const types = Object.keys(this.data.hooksByType).sort();
+    const selectedType = typeFilter.value;
+    // Keep "All types" when repopulating after a refresh
+    typeFilter.length = 1;
 
     types.forEach((type) => {
       const option = document.createElement("option");
@@ -189,11 +254,14 @@ class DiscourseHooksViewer {
         .replace(/\b\w/g, (l) => l.toUpperCase());
       typeFilter.appendChild(option);
     });
+    typeFilter.value = types.includes(selectedType) ? selectedType : "";
 
     // Populate introduced version filter
     const introducedVersionFilter = document.getElementById(
       "introducedVersionFilter"
     );
+    const selectedVersion = introducedVersionFilter.value;
+    introducedVersionFilter.length = 1;
     const allVersions = new Set();
 
     this.data.hooks.forEach((hook) => {
@@ -210,6 +278,100 @@ class DiscourseHooksViewer {
       option.textContent = version;
       introducedVersionFilter.appendChild(option);
     });
+    introducedVersionFilter.value = allVersions.has(selectedVersion)
+      ? selectedVersion
+      : "";
+  }
+
+  getAnalyzedVersions() {
+    return HookDiff.getAnalyzedVersions(this.data);
+  }
+
+  populateCompareVersions() {
+    if (!this.data) {
+      return;
+    }
+
+    const versions = this.getAnalyzedVersions();
+    // Default to the changes in the latest version
+    const defaults = {
+      compareFrom: versions[Math.max(versions.length - 2, 0)] || "",
+      compareTo: versions[versions.length - 1] || "",
+    };
+
+    Object.entries(defaults).forEach(([id, fallback]) => {
+      const select = document.getElementById(id);
+      const selected = select.value;
+      select.length = 0;
+      versions.forEach((version) => {
+        const option = document.createElement("option");
+        option.value = version;
+        option.textContent = version;
+        select.appendChild(option);
+      });
+      select.value = versions.includes(selected) ? selected : fallback;
+    });
+  }
+
+  renderComparison() {
+    if (!this.data) {
+      return;
+    }
+
+    const from = document.getElementById("compareFrom").value;
+    const to = document.getElementById("compareTo").value;
+    const results = document.getElementById("compareResults");
+
+    if (!from || !to || from === to) {
+      results.innerHTML =
+        '<div class="no-results">Pick two different versions to compare.</div>';
+      return;
+    }
+
+    const diff = HookDiff.diffVersions(this.data, from, to);
+    const sections = HookDiff.SECTIONS.filter(
+      ({ key }) => diff[key].length > 0
+    );
+
+    if (sections.length === 0) {
+      results.innerHTML = `<div class="no-results">No hook changes between ${this.escapeHtml(from)} and ${this.escapeHtml(to)}.</div>`;
+      return;
+    }
+
+    results.innerHTML = sections
+      .map(
+        ({ key, title, describe }) => `
+          <div class="compare-section compare-${key}">
+            <h3>${title} (${diff[key].length})</h3>
+            <ul>
+              ${diff[key]
+                .map(
+                  (change) => `
+                    <li>
+                      <a href="#" class="compare-hook">${this.escapeHtml(change.name)}</a>
+                      <span class="hook-type ${this.getHookTypeClass(change.type)}">${this.escapeHtml(change.type.replace(/_/g, " "))}</span>
+                      <span class="compare-detail">${this.escapeHtml(describe(change))}</span>
+                    </li>
+                  `
+                )
+                .join("")}
+            </ul>
+          </div>
+        `
+      )
+      .join("");
+
+    // Links are rendered in the same order as the changes
+    const changes = sections.flatMap(({ key }) => diff[key]);
+    results.querySelectorAll(".compare-hook").forEach((link, index) => {
+      link.addEventListener("click", (e) => {
+        e.preventDefault();
+        const key = this.getHookKey(changes[index]);
+        this.showHookDetails(
+          this.data.hooks.find((hook) => this.getHookKey(hook) === key)
+        );
+      });
+    });
   }
 
   setDefaultFilters() {
@@ -349,6 +511,10 @@ class DiscourseHooksViewer {
     return hookType.replace(/_/g, "-");
   }
 
+  getHookKey(hook) {
+    return HookTypes.getHookKey(hook);
+  }
+
   createHookCard(hook) {
     const typeLabel = hook.type
       .replace(/_/g, " ")
@@ -358,22 +524,142 @@ class DiscourseHooksViewer {
     const changesBadge = hasChanges
       ? `<span class="changes-badge">${hook.argumentChangeCount} changes</span>`
       : "";
+    const dynamicBadge = hook.dynamic
+      ? `<span class="dynamic-badge" title="Name built at runtime">Dynamic</span>`
+      : "";
+    const wrapperBadge = this.isWrapperOutlet(hook)
+      ? `<span class="wrapper-badge">Wrapper</span>`
+      : "";
+    const deprecatedBadge = this.isDeprecated(hook)
+      ? `<span class="deprecated-badge">Deprecated</span>`
+      : "";
+    const renamedBadge = hook.renamedTo
+      ? `<span class="renamed-badge" title="Probably renamed to ${this.escapeHtml(hook.renamedTo.name)}">Renamed</span>`
+      : "";
 
     return `
       <div class="hook-card ${hasChanges ? "has-changes" : ""}">
         <div class="hook-header">
-          <h3 class="hook-name">${hook.name}</h3>
+          <h3 class="hook-name">${this.escapeHtml(hook.name)}</h3>
           <span class="hook-type ${typeClass}">${typeLabel}</span>
         </div>
         <div class="hook-meta">
-          <span class="first-version">Since: ${hook.firstVersion}</span>
+          <span class="first-version">Since: ${this.escapeHtml(hook.firstVersion)}</span>
           <span class="locations-count">${hook.locations.length} location${hook.locations.length !== 1 ? "s" : ""}</span>
           ${changesBadge}
+          ${dynamicBadge}
+          ${wrapperBadge}
+          ${deprecatedBadge}
+          ${renamedBadge}
         </div>
       </div>
     `;
   }
 
+  isWrapperOutlet(hook) {
+    // Wrapper outlets have a block body that connectors can replace
+    const latestVersion = this.getLatestVersionForHook(hook);
+    return hook.locations.some(
+      (loc) => loc.version === latestVersion && loc.outlet?.wrapper
+    );
+  }
+
+  isDeprecated(hook) {
+    const latestVersion = this.getLatestVersionForHook(hook);
+    return (hook.deprecations || []).some((deprecation) =>
+      deprecation.versions.includes(latestVersion)
+    );
+  }
+
+  createDeprecationsSection(hook) {
+    const deprecations = hook.deprecations || [];
+    if (deprecations.length === 0) {
+      return "";
+    }
+
+    const lastSeenVersion = this.getLatestVersionForHook(hook);
+    const isRetired = lastSeenVersion !== this.mostRecentVersion;
+
+    return `
+      <div class="section">
+        <h3>Deprecations</h3>
+        ${deprecations
+          .map((deprecation) => {
+            const firstFlagged = deprecation.versions[0];
+            const lastFlagged =
+              deprecation.versions[deprecation.versions.length - 1];
+            const subject = deprecation.argument
+              ? `Argument <code>${this.escapeHtml(deprecation.argument)}</code>`
+              : "Hook";
+
+            const timeline = [
+              `Deprecated since <strong>${this.escapeHtml(deprecation.since || firstFlagged)}</strong>`,
+              deprecation.dropFrom
+                ? `removed in <strong>${this.escapeHtml(deprecation.dropFrom)}</strong>`
+                : "no removal version set",
+            ];
+            if (isRetired && !deprecation.argument) {
+              timeline.push(
+                `last present in <strong>${this.escapeHtml(lastSeenVersion)}</strong>`
+              );
+            }
+
+            return `
+              <div class="deprecation-item">
+                <div class="deprecation-timeline">${subject}: ${timeline.join(" → ")}</div>
+                ${
+                  deprecation.message
+                    ? `<div class="deprecation-message">${this.escapeHtml(deprecation.message)}</div>`
+                    : ""
+                }
+                <div class="argument-meta">
+                  ${deprecation.id ? `<span>ID: <code>${this.escapeHtml(deprecation.id)}</code></span>` : ""}
+                  <span>Flagged in ${this.escapeHtml(firstFlagged)}${lastFlagged !== firstFlagged ? ` – ${this.escapeHtml(lastFlagged)}` : ""}</span>
+                  <span>Via: <code>${this.escapeHtml(deprecation.via)}</code></span>
+                </div>
+              </div>
+            `;
+          })
+          .join("")}
+      </div>
+    `;
+  }
+
+  formatRegistryStatus(hook, version) {
+    if (!hook.registeredIn) {
+      return "";
+    }
+
+    let status = "no transformer registry in this version";
+    if (hook.registeredIn.includes(version)) {
+      status = "registered";
+    } else if (hook.unregisteredIn.includes(version)) {
+      status = "<strong>applied but not registered</strong>";
+    }
+
+    return `<p><strong>Transformer registry (${this.escapeHtml(version)}):</strong> ${status}</p>`;
+  }
+
+  formatOutletDetails(outlet) {
+    if (!outlet) {
+      return "";
+    }
+
+    const details = [outlet.wrapper ? "Wrapper outlet" : "Append-only outlet"];
+    if (outlet.connectorTagName) {
+      details.push(
+        `Connector tag: <code>${this.escapeHtml(outlet.connectorTagName)}</code>`
+      );
+    }
+    if (outlet.defaultGlimmer !== null && outlet.defaultGlimmer !== undefined) {
+      details.push(
+        `Default Glimmer: <code>${this.escapeHtml(outlet.defaultGlimmer)}</code>`
+      );
+    }
+
+    return `<div class="location-outlet">${details.join(" · ")}</div>`;
+  }
+
   showHookDetails(hook) {
     const modal = document.getElementById("hookModal");
     const modalBody = document.getElementById("modalBody");
@@ -389,6 +675,36 @@ class DiscourseHooksViewer {
       (loc) => loc.version === latestVersion
     );
 
+    const latestConsumers = (hook.consumers || []).filter(
+      (consumer) => consumer.version === latestVersion
+    );
+    const consumersSection =
+      latestConsumers.length > 0
+        ? `
+        <div class="section">
+          <h3>Consumers (${this.escapeHtml(latestVersion)})</h3>
+          <div class="locations-list">
+            ${latestConsumers
+              .map(
+                (consumer) => `
+              <div class="location-item">
+                <div class="location-file">
+                  <a href="${this.escapeHtml(this.getGitHubUrl(consumer.file, consumer.lines, latestVersion))}"
+                     target="_blank" rel="noopener noreferrer" class="github-link">
+                    ${this.escapeHtml(consumer.file)}${consumer.lines.length > 0 ? `:${this.formatLineNumbers(consumer.lines)}` : ""}
+                    <span class="external-link">↗</span>
+                  </a>
+                </div>
+                <div class="location-args">Via: <code>${this.escapeHtml(consumer.via)}</code></div>
+              </div>
+            `
+              )
+              .join("")}
+          </div>
+        </div>
+      `
+        : "";
+
     let argumentsSection = "";
     if (hook.argumentHistory && hook.argumentHistory.length > 0) {
       argumentsSection = `
@@ -402,13 +718,13 @@ class DiscourseHooksViewer {
                 <strong>Arguments:</strong> ${
                   arg.argumentSignature.length > 0
                     ? arg.argumentSignature
-                        .map((a) => `<code>${a}</code>`)
+                        .map((a) => `<code>${this.escapeHtml(a)}</code>`)
                         .join(", ")
                     : "<em>No arguments</em>"
                 }
               </div>
               <div class="argument-meta">
-                <span>First seen: ${arg.firstSeenVersion}</span>
+                <span>First seen: ${this.escapeHtml(arg.firstSeenVersion)}</span>
                 <span>Used in ${arg.versions.length} version${arg.versions.length !== 1 ? "s" : ""}</span>
               </div>
             </div>
@@ -420,49 +736,112 @@ class DiscourseHooksViewer {
     }
 
     modalBody.innerHTML = `
-      <h2>${hook.name}</h2>
+      <h2>${this.escapeHtml(hook.name)}</h2>
       <div class="hook-type-badge ${typeClass}">${typeLabel}</div>
       
       <div class="section">
         <h3>Overview</h3>
-        <p><strong>First introduced:</strong> ${hook.firstVersion}</p>
-        <p><strong>Latest version:</strong> ${latestVersion}</p>
+        ${
+          hook.dynamic
+            ? `<p><strong>Dynamic name pattern:</strong> <code>${this.escapeHtml(hook.namePattern)}</code></p>`
+            : ""
+        }
+        <p><strong>First introduced:</strong> ${this.escapeHtml(hook.firstVersion)}</p>
+        ${this.formatRename(hook, "renamedFrom")}
+        ${this.formatRename(hook, "renamedTo")}
+        ${
+          hook.introducedInApiVersion
+            ? `<p><strong>Plugin API version:</strong> ${this.escapeHtml(hook.introducedInApiVersion)}</p>`
+            : ""
+        }
+        <p><strong>Latest version:</strong> ${this.escapeHtml(latestVersion)}</p>
+        ${this.formatRegistryStatus(hook, latestVersion)}
         <p><strong>Total historical locations:</strong> ${hook.locations.length}</p>
         <p><strong>Argument changes:</strong> ${hook.argumentChangeCount}</p>
       </div>
 
+      ${this.createDeprecationsSection(hook)}
+
       ${argumentsSection}
 
       <div class="section">
-        <h3>Current Locations (${latestVersion})</h3>
+        <h3>Current Locations (${this.escapeHtml(latestVersion)})</h3>
         <div class="locations-list">
           ${latestLocations
             .map(
               (loc) => `
             <div class="location-item">
               <div class="location-file">
-                <a href="${this.getGitHubUrl(loc.file, loc.lines, latestVersion)}" 
+                <a href="${this.escapeHtml(this.getGitHubUrl(loc.file, loc.lines, latestVersion))}" 
                    target="_blank" rel="noopener noreferrer" class="github-link">
-                  ${loc.file}:${this.formatLineNumbers(loc.lines)}
+                  ${this.escapeHtml(loc.file)}:${this.formatLineNumbers(loc.lines)}
                   <span class="external-link">↗</span>
                 </a>
               </div>
               ${
                 loc.arguments && loc.arguments.length > 0
-                  ? `<div class="location-args">Args: ${loc.arguments.map((a) => `<code>${a}</code>`).join(", ")}</div>`
+                  ? `<div class="location-args">Args: ${loc.arguments.map((a) => `<code>${this.escapeHtml(a)}</code>`).join(", ")}</div>`
+                  : ""
+              }
+              ${
+                loc.nameExpression
+                  ? `<div class="location-args">Name: <code>${this.escapeHtml(loc.nameExpression)}</code></div>`
                   : ""
               }
+              ${this.formatOutletDetails(loc.outlet)}
             </div>
           `
             )
             .join("")}
         </div>
       </div>
+
+      ${consumersSection}
     `;
 
+    // Follow a hook across its renames
+    modalBody.querySelectorAll(".rename-link").forEach((link) => {
+      link.addEventListener("click", (e) => {
+        e.preventDefault();
+        const { name } = hook[link.dataset.direction];
+        const renamedHook = this.data.hooks.find(
+          (h) => h.name === name && h.type === hook.type
+        );
+        if (renamedHook) {
+          this.showHookDetails(renamedHook);
+        }
+      });
+    });
+
     modal.style.display = "block";
   }
 
+  formatRename(hook, direction) {
+    const rename = hook[direction];
+    if (!rename) {
+      return "";
+    }
+
+    const link = `<a href="#" class="rename-link" data-direction="${direction}">${this.escapeHtml(rename.name)}</a>`;
+    const confidence = `<span class="rename-confidence">(${Math.round(rename.confidence * 100)}% confidence)</span>`;
+
+    return direction === "renamedFrom"
+      ? `<p><strong>Renamed from:</strong> ${link}, last present in ${this.escapeHtml(rename.version)} ${confidence}</p>`
+      : `<p><strong>Renamed to:</strong> ${link} in ${this.escapeHtml(rename.version)} ${confidence}</p>`;
+  }
+
+  // Safe for text and for quoted attribute values
+  escapeHtml(text) {
+    const entities = {
+      "&": "&amp;",
+      "<": "&lt;",
+      ">": "&gt;",
+      '"': "&quot;",
+      "'": "&#39;",
+    };
+    return String(text).replace(/[&<>"']/g, (char) => entities[char]);
+  }
+
   getLatestVersionForHook(hook) {
     const versions = hook.locations.map((loc) => loc.version);
     const uniqueVersions = [...new Set(versions)];
@@ -473,7 +852,10 @@ class DiscourseHooksViewer {
   }
 
   getGitHubUrl(filePath, lines, version) {
-    const baseUrl = "https://github.com/discourse/discourse";
+    const baseUrl =
+      this.data.repositoryUrl || "https://github.com/discourse/discourse";
+    // Link the exact commit analyzed; sampled versions aren't refs on GitHub
+    version = this.data.versionCommits?.[version] || version;
 
     if (!Array.isArray(lines)) {
       lines = [lines];
@@ -576,7 +958,7 @@ class DiscourseHooksViewer {
         if (!versionHookCounts.has(version)) {
           versionHookCounts.set(version, new Set());
         }
-        versionHookCounts.get(version).add(hook.name);
+        versionHookCounts.get(version).add(this.getHookKey(hook));
       });
     });
 
@@ -696,9 +1078,14 @@ class DiscourseHooksViewer {
       },
     };
 
+    // A canvas can only hold one chart, so the old one goes before redrawing
+    if (this.chart) {
+      this.chart.destroy();
+    }
+
     const ctx = document.getElementById("hooksChart").getContext("2d");
-    // eslint-disable-next-line no-new, no-undef
-    new Chart(ctx, chartConfig);
+    // eslint-disable-next-line no-undef
+    this.chart = new Chart(ctx, chartConfig);
   }
 }
 
@@ -0,0 +1,48 @@
+// Schema explorer for the GraphQL endpoint served by `node index.js serve`.
+// Static hosting has no endpoint, so both requests fail there.
+class GraphqlExplorer {
+  constructor() {
+    this.schemaElement = document.getElementById("graphqlSchema");
+    this.queryElement = document.getElementById("graphqlQuery");
+    this.resultElement = document.getElementById("graphqlResult");
+
+    document
+      .getElementById("runQuery")
+      .addEventListener("click", () => this.runQuery());
+
+    this.loadSchema();
+  }
+
+  async loadSchema() {
+    try {
+      const response = await fetch("/graphql/schema");
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      this.schemaElement.textContent = await response.text();
+    } catch (error) {
+      this.schemaElement.textContent = `Couldn't load the schema (${error.message}). The GraphQL endpoint is only available from the local server.`;
+    }
+  }
+
+  async runQuery() {
+    this.resultElement.textContent = "Running...";
+
+    try {
+      const response = await fetch("/graphql", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ query: this.queryElement.value }),
+      });
+      const result = await response.json();
+      this.resultElement.textContent = JSON.stringify(result, null, 2);
+    } catch (error) {
+      this.resultElement.textContent = `Query failed: ${error.message}`;
+    }
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  // eslint-disable-next-line no-new
+  new GraphqlExplorer();
+});